@@ -0,0 +1,84 @@
+<?php
+
+namespace Drupal\Core\Ajax;
+
+use Drupal\Core\Asset\AttachedAssets;
+
+/**
+ * Decorates an AJAX command so that the client offers to undo it.
+ *
+ * Only the 'insert', 'remove' and 'changed' commands can be undone. The client
+ * snapshots the affected part of the page before executing the command and
+ * displays an "Undo" toast. When the user clicks it, the page is restored and
+ * the optional undo URL is requested through Ajax, so that the server can
+ * revert its side of the change.
+ *
+ * This command is implemented by Drupal.AjaxUndo defined in misc/ajax.js.
+ *
+ * @ingroup ajax
+ */
+class UndoableCommand implements CommandInterface, CommandWithAttachedAssetsInterface {
+
+  /**
+   * The decorated command.
+   *
+   * @var \Drupal\Core\Ajax\CommandInterface
+   */
+  protected $command;
+
+  /**
+   * The URL requested when the command is undone.
+   *
+   * @var string|null
+   */
+  protected $undoUrl;
+
+  /**
+   * The message displayed next to the undo button.
+   *
+   * @var string|null
+   */
+  protected $message;
+
+  /**
+   * Constructs an UndoableCommand object.
+   *
+   * @param \Drupal\Core\Ajax\CommandInterface $command
+   *   The command to decorate.
+   * @param string $undo_url
+   *   (optional) The URL requested when the command is undone.
+   * @param string $message
+   *   (optional) The message displayed next to the undo button.
+   */
+  public function __construct(CommandInterface $command, $undo_url = NULL, $message = NULL) {
+    $this->command = $command;
+    $this->undoUrl = $undo_url;
+    $this->message = $message;
+  }
+
+  /**
+   * Implements Drupal\Core\Ajax\CommandInterface:render().
+   */
+  public function render() {
+    $command = $this->command->render();
+    $command['undoable'] = TRUE;
+    if (isset($this->undoUrl)) {
+      $command['undoUrl'] = $this->undoUrl;
+    }
+    if (isset($this->message)) {
+      $command['undoMessage'] = (string) $this->message;
+    }
+    return $command;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getAttachedAssets() {
+    if ($this->command instanceof CommandWithAttachedAssetsInterface) {
+      return $this->command->getAttachedAssets();
+    }
+    return new AttachedAssets();
+  }
+
+}
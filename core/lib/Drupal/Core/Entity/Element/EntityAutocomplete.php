@@ -4,6 +4,7 @@
 
 use Drupal\Component\Utility\Crypt;
 use Drupal\Component\Utility\Tags;
+use Drupal\Core\Entity\EntityAutocompleteMatcher;
 use Drupal\Core\Entity\EntityInterface;
 use Drupal\Core\Entity\EntityReferenceSelection\SelectionInterface;
 use Drupal\Core\Entity\EntityReferenceSelection\SelectionWithAutocreateInterface;
@@ -33,6 +34,8 @@ public function getInfo() {
     $info['#selection_handler'] = 'default';
     $info['#selection_settings'] = [];
     $info['#tags'] = FALSE;
+    // Whether the values of a #tags element are edited as removable chips.
+    $info['#chips'] = FALSE;
     $info['#autocreate'] = NULL;
     // This should only be set to FALSE if proper validation by the selection
     // handler is performed at another level on the extracted form values.
@@ -135,6 +138,18 @@ public static function processEntityAutocomplete(array &$element, FormStateInter
       $key_value_storage->set($selection_settings_key, $selection_settings);
     }
 
+    if ($element['#tags'] && $element['#chips']) {
+      $element['#attributes']['data-autocomplete-chips'] = 'true';
+    }
+
+    // Matches whose label contains the search string are returned up to a
+    // limit, so fewer matches for the beginning of a search string are all
+    // the matches there are, and the browser can filter them itself.
+    $match_operator = !empty($selection_settings['match_operator']) ? $selection_settings['match_operator'] : 'CONTAINS';
+    if ($match_operator == 'CONTAINS') {
+      $element['#attributes']['data-autocomplete-filter-limit'] = EntityAutocompleteMatcher::LIMIT;
+    }
+
     $element['#autocomplete_route_name'] = 'system.entity_autocomplete';
     $element['#autocomplete_route_parameters'] = [
       'target_type' => $element['#target_type'],
@@ -11,6 +11,11 @@
  */
 class EntityAutocompleteMatcher {
 
+  /**
+   * The maximum number of matches returned for a search string.
+   */
+  const LIMIT = 10;
+
   /**
    * The entity reference selection handler plugin manager.
    *
@@ -18,14 +23,25 @@ class EntityAutocompleteMatcher {
    */
   protected $selectionManager;
 
+  /**
+   * The entity type bundle info.
+   *
+   * @var \Drupal\Core\Entity\EntityTypeBundleInfoInterface
+   */
+  protected $entityTypeBundleInfo;
+
   /**
    * Constructs a EntityAutocompleteMatcher object.
    *
    * @param \Drupal\Core\Entity\EntityReferenceSelection\SelectionPluginManagerInterface $selection_manager
    *   The entity reference selection handler plugin manager.
+   * @param \Drupal\Core\Entity\EntityTypeBundleInfoInterface $entity_type_bundle_info
+   *   The entity type bundle info.
    */
-  public function __construct(SelectionPluginManagerInterface $selection_manager) {
+  public function __construct(SelectionPluginManagerInterface $selection_manager, EntityTypeBundleInfoInterface $entity_type_bundle_info = NULL) {
     $this->selectionManager = $selection_manager;
+    // @todo Make $entity_type_bundle_info required in Drupal 9.
+    $this->entityTypeBundleInfo = $entity_type_bundle_info ?: \Drupal::service('entity_type.bundle.info');
   }
 
   /**
@@ -43,6 +59,8 @@ public function __construct(SelectionPluginManagerInterface $selection_manager)
    * @return array
    *   An array of matched entity labels, in the format required by the AJAX
    *   autocomplete API (e.g. array('value' => $value, 'label' => $label)).
+   *   When the matches belong to several bundles, each match also has a
+   *   'group' key holding the label of its bundle.
    *
    * @throws \Symfony\Component\HttpKernel\Exception\AccessDeniedHttpException
    *   Thrown when the current user doesn't have access to the specified entity.
@@ -62,10 +80,13 @@ public function getMatches($target_type, $selection_handler, $selection_settings
     if (isset($string)) {
       // Get an array of matching entities.
       $match_operator = !empty($selection_settings['match_operator']) ? $selection_settings['match_operator'] : 'CONTAINS';
-      $entity_labels = $handler->getReferenceableEntities($string, $match_operator, 10);
+      $entity_labels = $handler->getReferenceableEntities($string, $match_operator, static::LIMIT);
+
+      // Group the matches by bundle when there are several of them.
+      $bundles = count($entity_labels) > 1 ? $this->entityTypeBundleInfo->getBundleInfo($target_type) : [];
 
       // Loop through the entities and convert them into autocomplete output.
-      foreach ($entity_labels as $values) {
+      foreach ($entity_labels as $bundle => $values) {
         foreach ($values as $entity_id => $label) {
           $key = "$label ($entity_id)";
           // Strip things like starting/trailing white spaces, line breaks and
@@ -73,7 +94,11 @@ public function getMatches($target_type, $selection_handler, $selection_settings
           $key = preg_replace('/\s\s+/', ' ', str_replace("\n", '', trim(Html::decodeEntities(strip_tags($key)))));
           // Names containing commas or quotes must be wrapped in quotes.
           $key = Tags::encode($key);
-          $matches[] = ['value' => $key, 'label' => $label];
+          $match = ['value' => $key, 'label' => $label];
+          if ($bundles) {
+            $match['group'] = isset($bundles[$bundle]['label']) ? (string) $bundles[$bundle]['label'] : $bundle;
+          }
+          $matches[] = $match;
         }
       }
     }
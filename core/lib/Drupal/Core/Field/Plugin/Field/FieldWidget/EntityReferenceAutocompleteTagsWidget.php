@@ -20,6 +20,40 @@
  */
 class EntityReferenceAutocompleteTagsWidget extends EntityReferenceAutocompleteWidget {
 
+  /**
+   * {@inheritdoc}
+   */
+  public static function defaultSettings() {
+    return [
+      'chips' => FALSE,
+    ] + parent::defaultSettings();
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function settingsForm(array $form, FormStateInterface $form_state) {
+    $element = parent::settingsForm($form, $form_state);
+    $element['chips'] = [
+      '#type' => 'checkbox',
+      '#title' => t('Show values as removable chips'),
+      '#default_value' => $this->getSetting('chips'),
+      '#description' => t('Each referenced entity is shown as a chip that can be removed, instead of being part of a comma-separated list.'),
+    ];
+    return $element;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function settingsSummary() {
+    $summary = parent::settingsSummary();
+    if ($this->getSetting('chips')) {
+      $summary[] = t('Values shown as chips');
+    }
+    return $summary;
+  }
+
   /**
    * {@inheritdoc}
    */
@@ -27,6 +61,7 @@ public function formElement(FieldItemListInterface $items, $delta, array $elemen
     $element = parent::formElement($items, $delta, $element, $form, $form_state);
 
     $element['target_id']['#tags'] = TRUE;
+    $element['target_id']['#chips'] = $this->getSetting('chips');
     $element['target_id']['#default_value'] = $items->referencedEntities();
 
     return $element;
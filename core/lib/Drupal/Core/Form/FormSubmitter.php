@@ -2,6 +2,7 @@
 
 namespace Drupal\Core\Form;
 
+use Drupal\Core\Render\Element\Form;
 use Drupal\Core\Url;
 use Symfony\Component\HttpFoundation\RedirectResponse;
 use Symfony\Component\HttpFoundation\RequestStack;
@@ -50,6 +51,12 @@ public function doSubmitForm(&$form, FormStateInterface &$form_state) {
     // Execute form submit handlers.
     $this->executeSubmitHandlers($form, $form_state);
 
+    // Let the next page purge the draft of the form values kept in the
+    // browser, unless the submission continues in a rebuilt form.
+    if (!empty($form['#autosave']) && !$form_state->isProgrammed() && !$form_state->isRebuilding()) {
+      $_SESSION['form_autosave_purge'][] = Form::getAutosaveKey($form);
+    }
+
     // If batches were set in the submit handlers, we process them now,
     // possibly ending execution. We make sure we do not react to the batch
     // that is already being processed (if a batch operation performs a
@@ -46,6 +46,10 @@
  *     http requests until the batch finishes processing. This avoids problems
  *     if the user navigates away from the page before the batch finishes.
  *   - 'message': A text message displayed in the progress page.
+ *   - 'errors': An array of error messages of this call of the operation,
+ *     listed in the progress page without stopping the batch, and as error
+ *     messages once the batch is finished. The array starts empty on each
+ *     call.
  *   - 'results': The array of results gathered so far by the batch processing.
  *     This array is highly useful for passing data between operations. After
  *     all operations have finished, this is passed to callback_batch_finished()
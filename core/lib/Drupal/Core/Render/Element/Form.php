@@ -5,6 +5,20 @@
 /**
  * Provides a render element for a form.
  *
+ * Properties:
+ * - #autosave: (optional) Whether drafts of the values of the form are saved
+ *   in the browser, to be restored when the form is loaded again before being
+ *   submitted. Drafts are kept per user and per page, set a string to use it
+ *   as the key of the drafts instead of the page. Drafts are purged once the
+ *   form is submitted successfully. Defaults to FALSE.
+ * - #autosave_revision: (optional) The version of the data edited in the
+ *   form, such as the time an existing entity was last changed. Drafts saved
+ *   for another version are purged when the form is loaded, rather than
+ *   offered for restoring over changes saved in the meantime.
+ * - #client_validation: (optional) Whether the constraints of the fields, such
+ *   as #required, #maxlength or #pattern, are validated in the browser before
+ *   the form is submitted. Defaults to FALSE.
+ *
  * @RenderElement("form")
  */
 class Form extends RenderElement {
@@ -13,10 +27,76 @@ class Form extends RenderElement {
    * {@inheritdoc}
    */
   public function getInfo() {
+    $class = get_class($this);
     return [
       '#method' => 'post',
+      '#autosave' => FALSE,
+      '#client_validation' => FALSE,
+      '#pre_render' => [
+        [$class, 'preRenderAutosave'],
+        [$class, 'preRenderClientValidation'],
+      ],
       '#theme_wrappers' => ['form'],
     ];
   }
 
+  /**
+   * Prepares a form for saving drafts of its values in the browser.
+   *
+   * @param array $element
+   *   An associative array containing the properties of the element.
+   *   Properties used: #autosave, #autosave_revision, #form_id.
+   *
+   * @return array
+   *   The $element with the draft key and revision attributes and the autosave
+   *   library attached, if #autosave is set.
+   */
+  public static function preRenderAutosave($element) {
+    if (!empty($element['#autosave'])) {
+      $element['#attributes']['data-drupal-form-autosave'] = static::getAutosaveKey($element);
+      if (isset($element['#autosave_revision'])) {
+        $element['#attributes']['data-drupal-form-autosave-revision'] = (string) $element['#autosave_revision'];
+      }
+      $element['#attached']['library'][] = 'core/drupal.form.autosave';
+      $element['#cache']['contexts'][] = 'user';
+      $element['#cache']['contexts'][] = 'url.path';
+    }
+    return $element;
+  }
+
+  /**
+   * Gets the key of the drafts of a form.
+   *
+   * @param array $element
+   *   An associative array containing the properties of the element.
+   *   Properties used: #autosave, #form_id.
+   *
+   * @return string
+   *   The key of the drafts, prefixed with the ID of the current user.
+   */
+  public static function getAutosaveKey(array $element) {
+    $key = is_string($element['#autosave']) ? $element['#autosave'] : $element['#form_id'] . ':' . \Drupal::service('path.current')->getPath();
+    // Browsers may be shared, keep the drafts of each user apart.
+    return \Drupal::currentUser()->id() . ':' . $key;
+  }
+
+  /**
+   * Prepares a form for client-side validation.
+   *
+   * @param array $element
+   *   An associative array containing the properties of the element.
+   *   Properties used: #client_validation.
+   *
+   * @return array
+   *   The $element with the validation attribute and library attached, if
+   *   #client_validation is set.
+   */
+  public static function preRenderClientValidation($element) {
+    if (!empty($element['#client_validation'])) {
+      $element['#attributes']['data-drupal-validate'] = 'true';
+      $element['#attached']['library'][] = 'core/drupal.form.validation';
+    }
+    return $element;
+  }
+
 }
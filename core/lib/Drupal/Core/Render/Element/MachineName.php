@@ -2,7 +2,9 @@
 
 namespace Drupal\Core\Render\Element;
 
+use Drupal\Component\Render\PlainTextOutput;
 use Drupal\Component\Utility\NestedArray;
+use Drupal\Core\Entity\EntityInterface;
 use Drupal\Core\Form\FormStateInterface;
 use Drupal\Core\Language\LanguageInterface;
 
@@ -45,6 +47,17 @@
  *   - standalone: (optional) Whether the live preview should stay in its own
  *     form element rather than in the suffix of the source element. Defaults
  *     to FALSE.
+ *   - check: (optional) Whether to check that the machine name is unique as
+ *     it is typed, suggesting another one when it exists. The check runs out
+ *     of the form, so it uses the 'exists' callable only when it is the 'load'
+ *     method of an entity class, such as '\Drupal\node\Entity\NodeType::load'.
+ *     Otherwise, a callable returning whether a machine name exists can be
+ *     given instead of TRUE: a static method, such as
+ *     '\Drupal\views\Views::getView', or the method of a service, such as
+ *     'mymodule.manager:nameExists'. Defaults to TRUE.
+ *   - check_prefix: (optional) The text prepended to the machine name passed
+ *     to the 'check' callable, such as the ID of the entity type of field
+ *     storages. Defaults to the plain text of the #field_prefix.
  * - #maxlength: (optional) Maximum allowed length of the machine name. Defaults
  *   to 64.
  * - #disabled: (optional) Should be set to TRUE if an existing machine name
@@ -146,6 +159,7 @@ public static function processMachineName(&$element, FormStateInterface $form_st
       'replace_pattern' => '[^a-z0-9_]+',
       'replace' => '_',
       'standalone' => FALSE,
+      'check' => TRUE,
       'field_prefix' => $element['#field_prefix'],
       'field_suffix' => $element['#field_suffix'],
     ];
@@ -204,12 +218,69 @@ public static function processMachineName(&$element, FormStateInterface $form_st
     $token_generator = \Drupal::service('csrf_token');
     $element['#machine_name']['replace_token'] = $token_generator->get($element['#machine_name']['replace_pattern']);
 
-    $element['#attached']['drupalSettings']['machineName']['#' . $source['#id']] = array_intersect_key($element['#machine_name'], array_flip($options));
+    $settings = array_intersect_key($element['#machine_name'], array_flip($options));
+
+    // The uniqueness check runs out of the form. The token restricts it to
+    // the callable and prefix of the element.
+    if ($check = static::getCheckCallable($element)) {
+      $settings['exists'] = $check;
+      $settings['exists_prefix'] = isset($element['#machine_name']['check_prefix']) ? $element['#machine_name']['check_prefix'] : PlainTextOutput::renderFromHtml($element['#field_prefix']);
+      $settings['exists_token'] = $token_generator->get($settings['exists'] . '|' . $settings['exists_prefix']);
+    }
+
+    $element['#attached']['drupalSettings']['machineName']['#' . $source['#id']] = $settings;
     $element['#attached']['drupalSettings']['langcode'] = $language->getId();
 
     return $element;
   }
 
+  /**
+   * Gets the callable checking whether a machine name exists out of the form.
+   *
+   * @param array $element
+   *   The machine name element.
+   *
+   * @return string|null
+   *   The static method, as 'Class::method', or the service method, as
+   *   'service_id:method', NULL if the machine name cannot be checked.
+   */
+  public static function getCheckCallable(array $element) {
+    $check = $element['#machine_name']['check'];
+    if ($check === TRUE) {
+      $exists = isset($element['#machine_name']['exists']) ? $element['#machine_name']['exists'] : NULL;
+      $entity_class = static::getEntityClass($exists);
+      return $entity_class ? $entity_class . '::load' : NULL;
+    }
+    if (is_array($check) && count($check) == 2 && is_string(reset($check)) && is_string(end($check))) {
+      $check = implode('::', $check);
+    }
+    return is_string($check) && $check !== '' ? ltrim($check, '\\') : NULL;
+  }
+
+  /**
+   * Gets the entity class whose 'load' method is an 'exists' callable.
+   *
+   * @param mixed $exists
+   *   The 'exists' callable of a machine name element.
+   *
+   * @return string|null
+   *   The entity class, NULL if the callable is not the 'load' method of an
+   *   entity class.
+   */
+  public static function getEntityClass($exists) {
+    if (is_array($exists) && count($exists) == 2 && is_string(reset($exists)) && is_string(end($exists))) {
+      $exists = implode('::', $exists);
+    }
+    if (!is_string($exists) || substr_count($exists, '::') != 1) {
+      return NULL;
+    }
+    list($class, $method) = explode('::', ltrim($exists, '\\'));
+    if (strtolower($method) != 'load' || !is_subclass_of($class, EntityInterface::class)) {
+      return NULL;
+    }
+    return $class;
+  }
+
   /**
    * Form element validation handler for machine_name elements.
    *
@@ -181,6 +181,49 @@
   Drupal.AjaxError.prototype = new Error();
   Drupal.AjaxError.prototype.constructor = Drupal.AjaxError;
 
+  /**
+   * Extends Error to report unknown or malformed Ajax commands.
+   *
+   * @constructor
+   *
+   * @augments Error
+   *
+   * @param {Drupal.AjaxCommands~commandDefinition} command
+   *   The offending command.
+   * @param {string} uri
+   *   The URI the command originates from.
+   * @param {string} customMessage
+   *   The reason why the command was not executed.
+   */
+  Drupal.AjaxCommandError = function (command, uri, customMessage) {
+
+    /**
+     * Formatted and translated error message.
+     *
+     * @type {string}
+     */
+    this.message = Drupal.t('The Ajax command "!command" was not executed: !customMessage', {'!command': command.command, '!customMessage': customMessage}) +
+      '\n' + Drupal.t('Path: !uri', {'!uri': uri}) +
+      '\n' + Drupal.t('Command: !json', {'!json': JSON.stringify(command)});
+
+    /**
+     * The offending command.
+     *
+     * @type {Drupal.AjaxCommands~commandDefinition}
+     */
+    this.command = command;
+
+    /**
+     * Used by some browsers to display a more accurate stack trace.
+     *
+     * @type {string}
+     */
+    this.name = 'AjaxCommandError';
+  };
+
+  Drupal.AjaxCommandError.prototype = new Error();
+  Drupal.AjaxCommandError.prototype.constructor = Drupal.AjaxCommandError;
+
   /**
    * Provides Ajax page updating via jQuery $.ajax.
    *
@@ -261,6 +304,42 @@
    */
   Drupal.ajax.instances = [];
 
+  /**
+   * Whether the browser is currently offline.
+   *
+   * @type {bool}
+   */
+  Drupal.ajax.offline = navigator.onLine === false;
+
+  /**
+   * Ajax objects whose current request is paused until the browser is online.
+   *
+   * @type {Array.<Drupal.Ajax>}
+   */
+  Drupal.ajax.paused = [];
+
+  /**
+   * Sends the paused requests again once the browser is back online.
+   */
+  Drupal.ajax.resume = function () {
+    Drupal.ajax.offline = false;
+    var paused = Drupal.ajax.paused.splice(0);
+    if (paused.length) {
+      Drupal.announce(Drupal.t('Connection restored. Submitting your changes.'));
+    }
+    paused.forEach(function (ajax) {
+      ajax.ajaxing = false;
+      ajax.sendRequest(ajax.currentRequest);
+    });
+  };
+
+  $(window).on({
+    online: Drupal.ajax.resume,
+    offline: function () {
+      Drupal.ajax.offline = true;
+    }
+  });
+
   /**
    * List all objects where the associated element is not in the DOM
    *
@@ -314,6 +393,27 @@
    *   One of `'modal'` or `'dialog'`.
    * @prop {string} [prevent]
    *   List of events on which to stop default action and stop propagation.
+   * @prop {string} [queue='drop']
+   *   What to do when a request is triggered while another one is still in
+   *   progress: `'drop'` ignores the new request, `'queue'` sends it once the
+   *   current one has completed and `'abort'` aborts the current request in
+   *   favor of the new one.
+   * @prop {object|bool} [retry=false]
+   *   Retry policy for requests failing because of network problems. Requests
+   *   triggered or failing while the browser is offline are paused and sent
+   *   again once the connection is restored. Set to `true` to use the
+   *   defaults.
+   * @prop {number} [retry.maxAttempts=3]
+   *   Maximum number of times a request is sent.
+   * @prop {number} [retry.delay=1000]
+   *   Delay in milliseconds before the first retry, doubled after each failed
+   *   attempt.
+   * @prop {Array.<number>} [retry.statuses=[0, 502, 503, 504]]
+   *   HTTP status codes for which a failed request is retried.
+   * @prop {bool} [stream=false]
+   *   Whether the response is streamed as newline-delimited JSON, one command
+   *   per line. Each command is executed as soon as its line has been
+   *   received instead of once the whole response has arrived.
    */
 
   /**
@@ -350,16 +450,46 @@
       },
       submit: {
         js: true
-      }
+      },
+      queue: 'drop'
     };
 
     $.extend(this, defaults, element_settings);
 
+    if (this.retry) {
+      this.retry = $.extend({
+        maxAttempts: 3,
+        delay: 1000,
+        statuses: [0, 502, 503, 504]
+      }, typeof this.retry === 'object' ? this.retry : {});
+    }
+
     /**
      * @type {Drupal.AjaxCommands}
      */
     this.commands = new Drupal.AjaxCommands();
 
+    /**
+     * The request currently in progress.
+     *
+     * @type {?Drupal.Ajax~request}
+     */
+    this.currentRequest = null;
+
+    /**
+     * Requests waiting for the current request to complete.
+     *
+     * @type {Array.<Drupal.Ajax~request>}
+     */
+    this.requestQueue = [];
+
+    /**
+     * Progress of the streamed response being received.
+     *
+     * @type {?Drupal.Ajax~streamedResponse}
+     */
+    this.streamedResponse = null;
+
     /**
      * @type {bool|number}
      */
@@ -476,13 +606,23 @@
       },
       beforeSend: function (xmlhttprequest, options) {
         ajax.ajaxing = true;
+        ajax.xhr = xmlhttprequest;
+        if (ajax.stream) {
+          ajax.startStream();
+        }
         return ajax.beforeSend(xmlhttprequest, options);
       },
       success: function (response, status, xmlhttprequest) {
         // Sanity check for browser support (object expected).
         // When using iFrame uploads, responses must be returned as a string.
         if (typeof response === 'string') {
-          response = $.parseJSON(response);
+          try {
+            response = ajax.stream ? ajax.parseStream(response) : $.parseJSON(response);
+          }
+          catch (e) {
+            ajax.finishRequest('reject', [xmlhttprequest, 'parsererror']);
+            return ajax.error(xmlhttprequest, ajax.url, e.message);
+          }
         }
 
         // Prior to invoking the response's commands, verify that they can be
@@ -498,22 +638,56 @@
         if (response !== null && !drupalSettings.ajaxTrustedUrl[ajax.url]) {
           if (xmlhttprequest.getResponseHeader('X-Drupal-Ajax-Token') !== '1') {
             var customMessage = Drupal.t('The response failed verification so will not be processed.');
+            ajax.finishRequest('reject', [xmlhttprequest, 'error']);
             return ajax.error(xmlhttprequest, ajax.url, customMessage);
           }
         }
 
-        return ajax.success(response, status);
+        var result = ajax.success(response, status);
+        ajax.finishRequest('resolve', [response, status]);
+        return result;
       },
       complete: function (xmlhttprequest, status) {
+        // Streamed responses are aborted on the first line which can't be
+        // parsed.
+        var customMessage = ajax.streamedResponse ? ajax.streamedResponse.error : null;
+        ajax.xhr = null;
+        ajax.streamedResponse = null;
+        if (status === 'error' && ajax.retryRequest(xmlhttprequest)) {
+          return;
+        }
         ajax.ajaxing = false;
-        if (status === 'error' || status === 'parsererror') {
-          return ajax.error(xmlhttprequest, ajax.url);
+        // Errors are handled first, so that the element and the form are
+        // restored before the next queued request is serialized. Since
+        // Drupal.Ajax.prototype.error() throws, the request is settled and
+        // the queue processed in any case.
+        try {
+          if (status === 'error' || status === 'parsererror') {
+            return ajax.error(xmlhttprequest, ajax.url, customMessage);
+          }
+        }
+        finally {
+          ajax.finishRequest('reject', [xmlhttprequest, status]);
+          ajax.processQueue();
         }
       },
       dataType: 'json',
       type: 'POST'
     };
 
+    // Streamed responses are parsed line by line as they arrive, so read the
+    // raw response text from the native XMLHttpRequest object.
+    if (ajax.stream) {
+      ajax.options.dataType = 'text';
+      ajax.options.xhr = function () {
+        var xhr = $.ajaxSettings.xhr();
+        xhr.addEventListener('progress', function () {
+          ajax.processStream(xhr);
+        });
+        return xhr;
+      };
+    }
+
     if (element_settings.dialog) {
       ajax.options.data.dialogOptions = element_settings.dialog;
     }
@@ -574,36 +748,229 @@
    */
   Drupal.Ajax.AJAX_REQUEST_PARAMETER = '_drupal_ajax';
 
+  /**
+   * A request handled by the queue of a {@link Drupal.Ajax} object.
+   *
+   * @typedef {object} Drupal.Ajax~request
+   *
+   * @prop {function} send
+   *   Starts the actual HTTP request.
+   * @prop {jQuery.Deferred} deferred
+   *   Resolved with the response and status once all the Ajax commands of the
+   *   response have been executed, rejected with the XMLHttpRequest (if any)
+   *   and a status such as `'error'`, `'abort'` or `'drop'` otherwise.
+   * @prop {number} [attempts]
+   *   Number of times the request has been sent.
+   * @prop {?number} [timer]
+   *   Timeout ID of a scheduled retry.
+   */
+
   /**
    * Execute the ajax request.
    *
    * Allows developers to execute an Ajax request manually without specifying
    * an event to respond to.
    *
-   * @return {object}
-   *   Returns the jQuery.Deferred object underlying the Ajax request. If
-   *   pre-serialization fails, the Deferred will be returned in the rejected
-   *   state.
+   * @return {Promise}
+   *   A jQuery promise resolved once the response has been received and all
+   *   its {@link Drupal.AjaxCommands} have been executed. If pre-serialization
+   *   fails or the request is dropped or aborted, the promise is rejected.
    */
   Drupal.Ajax.prototype.execute = function () {
-    // Do not perform another ajax command if one is already in progress.
+    var ajax = this;
+
+    return this.request(function () {
+      ajax.beforeSerialize(ajax.element, ajax.options);
+      $.ajax(ajax.options);
+    });
+  };
+
+  /**
+   * Schedules a request according to the queue policy of the Ajax object.
+   *
+   * @param {function} send
+   *   Function starting the HTTP request.
+   *
+   * @return {Promise}
+   *   A jQuery promise for the request.
+   *
+   * @see Drupal.Ajax~element_settings
+   */
+  Drupal.Ajax.prototype.request = function (send) {
+    var request = {
+      send: send,
+      deferred: $.Deferred()
+    };
+
     if (this.ajaxing) {
+      switch (this.queue) {
+        case 'queue':
+          this.requestQueue.push(request);
+          return request.deferred.promise();
+
+        case 'abort':
+          this.abort();
+          break;
+
+        default:
+          // Do not perform another Ajax command if one is already in progress.
+          request.deferred.reject(null, 'drop');
+          return request.deferred.promise();
+      }
+    }
+
+    this.sendRequest(request);
+    return request.deferred.promise();
+  };
+
+  /**
+   * Starts a request.
+   *
+   * @param {Drupal.Ajax~request} request
+   *   The request to start.
+   */
+  Drupal.Ajax.prototype.sendRequest = function (request) {
+    this.currentRequest = request;
+
+    if (this.retry && Drupal.ajax.offline) {
+      this.pauseRequest();
       return;
     }
 
+    request.attempts = (request.attempts || 0) + 1;
     try {
-      this.beforeSerialize(this.element, this.options);
-      // Return the jqXHR so that external code can hook into the Deferred API.
-      return $.ajax(this.options);
+      request.send();
     }
     catch (e) {
       // Unset the ajax.ajaxing flag here because it won't be unset during
       // the complete response.
       this.ajaxing = false;
       window.alert('An error occurred while attempting to process ' + this.options.url + ': ' + e.message);
-      // For consistency, return a rejected Deferred (i.e., jqXHR's superclass)
-      // so that calling code can take appropriate action.
-      return $.Deferred().reject();
+    }
+
+    // The request was not started, either because of the error above or
+    // because it was vetoed by a beforeSerialize or beforeSubmit handler.
+    if (!this.ajaxing) {
+      this.finishRequest('reject', [null, 'error']);
+      this.processQueue();
+    }
+  };
+
+  /**
+   * Schedules the failed request in progress to be sent again.
+   *
+   * @param {XMLHttpRequest} xmlhttprequest
+   *   The XMLHttpRequest object of the failed attempt.
+   *
+   * @return {bool}
+   *   TRUE if the request will be retried, FALSE if it failed for good.
+   */
+  Drupal.Ajax.prototype.retryRequest = function (xmlhttprequest) {
+    var request = this.currentRequest;
+    if (!this.retry || !request) {
+      return false;
+    }
+
+    if (Drupal.ajax.offline || navigator.onLine === false) {
+      Drupal.ajax.offline = true;
+      this.pauseRequest();
+      return true;
+    }
+
+    if (request.attempts >= this.retry.maxAttempts || this.retry.statuses.indexOf(xmlhttprequest.status) === -1) {
+      return false;
+    }
+
+    // The progress indicator is inserted again when the request is resent.
+    this.removeProgressIndicator();
+    var ajax = this;
+    request.timer = setTimeout(function () {
+      request.timer = null;
+      ajax.ajaxing = false;
+      ajax.sendRequest(request);
+    }, this.retry.delay * Math.pow(2, request.attempts - 1));
+    return true;
+  };
+
+  /**
+   * Pauses the request in progress until the browser is back online.
+   *
+   * @see Drupal.ajax.resume
+   */
+  Drupal.Ajax.prototype.pauseRequest = function () {
+    this.ajaxing = true;
+    this.removeProgressIndicator();
+    if (Drupal.ajax.paused.indexOf(this) === -1) {
+      if (!Drupal.ajax.paused.length) {
+        Drupal.announce(Drupal.t('You are offline. Your changes will be submitted when the connection is restored.'), 'assertive');
+      }
+      Drupal.ajax.paused.push(this);
+    }
+  };
+
+  /**
+   * Settles the promise of the request in progress.
+   *
+   * @param {string} method
+   *   Either 'resolve' or 'reject'.
+   * @param {Array} args
+   *   Arguments passed to the promise callbacks.
+   */
+  Drupal.Ajax.prototype.finishRequest = function (method, args) {
+    var request = this.currentRequest;
+    this.currentRequest = null;
+    if (request && request.deferred.state() === 'pending') {
+      request.deferred[method].apply(request.deferred, args);
+    }
+  };
+
+  /**
+   * Starts the next queued request, if any.
+   */
+  Drupal.Ajax.prototype.processQueue = function () {
+    if (!this.ajaxing && this.requestQueue.length) {
+      this.sendRequest(this.requestQueue.shift());
+    }
+  };
+
+  /**
+   * Aborts the request in progress and discards all queued requests.
+   *
+   * The progress indicator is removed, the element re-enabled and behaviors
+   * detached during serialization are reattached.
+   */
+  Drupal.Ajax.prototype.abort = function () {
+    this.requestQueue.splice(0).forEach(function (request) {
+      request.deferred.reject(null, 'abort');
+    });
+
+    if (!this.ajaxing) {
+      return;
+    }
+
+    // Cancel a pending retry or a request paused while offline.
+    if (this.currentRequest && this.currentRequest.timer) {
+      clearTimeout(this.currentRequest.timer);
+    }
+    var pausedIndex = Drupal.ajax.paused.indexOf(this);
+    if (pausedIndex !== -1) {
+      Drupal.ajax.paused.splice(pausedIndex, 1);
+    }
+
+    // Aborting the XMLHttpRequest invokes the complete handler, which takes
+    // care of rejecting the promise of the current request.
+    if (this.xhr) {
+      this.xhr.abort();
+    }
+    this.ajaxing = false;
+    this.xhr = null;
+    this.finishRequest('reject', [null, 'abort']);
+
+    this.removeProgressIndicator();
+    $(this.element).prop('disabled', false);
+    if (this.$form) {
+      var settings = this.settings || drupalSettings;
+      Drupal.attachBehaviors(this.$form.get(0), settings);
     }
   };
 
@@ -659,12 +1026,7 @@
     // Create a synonym for this to reduce code confusion.
     var ajax = this;
 
-    // Do not perform another Ajax command if one is already in progress.
-    if (ajax.ajaxing) {
-      return;
-    }
-
-    try {
+    ajax.request(function () {
       if (ajax.$form) {
         // If setClick is set, we must set this to ensure that the button's
         // value is passed.
@@ -682,13 +1044,7 @@
         ajax.beforeSerialize(ajax.element, ajax.options);
         $.ajax(ajax.options);
       }
-    }
-    catch (e) {
-      // Unset the ajax.ajaxing flag here because it won't be unset during
-      // the complete response.
-      ajax.ajaxing = false;
-      window.alert('An error occurred while attempting to process ' + ajax.options.url + ': ' + e.message);
-    }
+    });
   };
 
   /**
@@ -833,38 +1189,183 @@
   };
 
   /**
-   * Handler for the form redirection completion.
+   * State of a streamed response.
    *
-   * @param {Array.<Drupal.AjaxCommands~commandDefinition>} response
-   *   Drupal Ajax response.
+   * @typedef {object} Drupal.Ajax~streamedResponse
+   *
+   * @prop {number} offset
+   *   Position in the response text up to which commands were executed.
+   * @prop {bool} focusChanged
+   *   Whether an executed command changed the focus.
+   * @prop {Array.<HTMLElement>} elementParents
+   *   Ancestors of the element, saved before any command was executed.
+   */
+
+  /**
+   * Prepares the Ajax object for receiving a streamed response.
+   */
+  Drupal.Ajax.prototype.startStream = function () {
+    this.streamedResponse = {
+      offset: 0,
+      error: null,
+      focusChanged: false,
+      elementParents: $(this.element).parents('[data-drupal-selector]').addBack().toArray()
+    };
+  };
+
+  /**
+   * Executes the commands of a streamed response received so far.
+   *
+   * Like BigPipe placeholders, commands are only processed once their line is
+   * complete, the remainder is picked up by the next progress event or by
+   * {@link Drupal.Ajax#success}.
+   *
+   * @param {XMLHttpRequest} xmlhttprequest
+   *   The native XMLHttpRequest object receiving the response.
+   */
+  Drupal.Ajax.prototype.processStream = function (xmlhttprequest) {
+    var state = this.streamedResponse;
+    // Commands must not be executed before the response has been verified.
+    // @see Drupal.Ajax#options
+    if (!state || state.error || (!drupalSettings.ajaxTrustedUrl[this.url] && xmlhttprequest.getResponseHeader('X-Drupal-Ajax-Token') !== '1')) {
+      return;
+    }
+
+    var text = xmlhttprequest.responseText;
+    var end = text.lastIndexOf('\n');
+    if (end < state.offset) {
+      return;
+    }
+
+    var commands;
+    try {
+      commands = this.parseStream(text.slice(0, end));
+    }
+    catch (e) {
+      // Stop streaming, the following commands can't be executed in order.
+      // The request then fails like responses which aren't valid JSON.
+      // @see Drupal.Ajax#error
+      state.error = e.message;
+      this.xhr.abort('parsererror');
+      return;
+    }
+    state.offset = end + 1;
+    for (var i = 0; i < commands.length; i++) {
+      if (this.executeCommand(commands[i], 'success')) {
+        state.focusChanged = true;
+      }
+    }
+  };
+
+  /**
+   * Parses the commands of a streamed response not executed yet.
+   *
+   * @param {string} text
+   *   The response text, one JSON encoded command per line.
+   *
+   * @return {Array.<Drupal.AjaxCommands~commandDefinition>}
+   *   The commands following the ones already executed.
+   *
+   * @throws {SyntaxError}
+   *   Thrown when a line isn't valid JSON.
+   */
+  Drupal.Ajax.prototype.parseStream = function (text) {
+    var offset = this.streamedResponse ? this.streamedResponse.offset : 0;
+    return text.slice(offset).split('\n')
+      .filter(function (line) {
+        return $.trim(line) !== '';
+      })
+      .map(function (line) {
+        try {
+          return JSON.parse(line);
+        }
+        catch (e) {
+          throw new SyntaxError(Drupal.t('The streamed response contains an invalid command: @line', {'@line': line}));
+        }
+      });
+  };
+
+  /**
+   * Executes a single Ajax command.
+   *
+   * @param {Drupal.AjaxCommands~commandDefinition} command
+   *   The command to execute.
    * @param {number} status
    *   XMLHttpRequest status.
+   *
+   * @return {bool}
+   *   TRUE if the command changed the focus.
    */
-  Drupal.Ajax.prototype.success = function (response, status) {
-    // Remove the progress element.
+  Drupal.Ajax.prototype.executeCommand = function (command, status) {
+    // Report invalid commands without interrupting the processing of the
+    // rest of the response.
+    if (!command.command || !this.commands[command.command]) {
+      Drupal.throwError(new Drupal.AjaxCommandError(command, this.url, Drupal.t('Unknown command.')));
+      return false;
+    }
+    var errors = Drupal.AjaxCommands.validate(command);
+    if (errors.length) {
+      Drupal.throwError(new Drupal.AjaxCommandError(command, this.url, errors.join(' ')));
+      return false;
+    }
+
+    // Snapshot the DOM affected by destructive commands that can be undone.
+    var undo = null;
+    if (command.undoable && Drupal.AjaxUndo.commands.indexOf(command.command) !== -1) {
+      undo = new Drupal.AjaxUndo(this, command);
+    }
+
+    var start = Drupal.AjaxCommands.debug ? Drupal.AjaxCommands.now() : 0;
+    this.commands[command.command](this, command, status);
+    if (Drupal.AjaxCommands.debug) {
+      Drupal.AjaxCommands.log(command, this.url, start);
+    }
+    if (undo) {
+      undo.record();
+      undo.offer();
+    }
+    return command.command === 'invoke' && command.method === 'focus';
+  };
+
+  /**
+   * Removes the progress indicator.
+   */
+  Drupal.Ajax.prototype.removeProgressIndicator = function () {
     if (this.progress.element) {
       $(this.progress.element).remove();
     }
     if (this.progress.object) {
       this.progress.object.stopMonitoring();
     }
+  };
+
+  /**
+   * Handler for the form redirection completion.
+   *
+   * @param {Array.<Drupal.AjaxCommands~commandDefinition>} response
+   *   Drupal Ajax response.
+   * @param {number} status
+   *   XMLHttpRequest status.
+   */
+  Drupal.Ajax.prototype.success = function (response, status) {
+    // Remove the progress element.
+    this.removeProgressIndicator();
     $(this.element).prop('disabled', false);
 
     // Save element's ancestors tree so if the element is removed from the dom
     // we can try to refocus one of its parents. Using addBack reverse the
     // result array, meaning that index 0 is the highest parent in the hierarchy
     // in this situation it is usually a <form> element.
-    var elementParents = $(this.element).parents('[data-drupal-selector]').addBack().toArray();
+    // When streaming, commands were executed before the ancestors could be
+    // saved here, so use the ones saved before the response arrived.
+    var elementParents = this.streamedResponse ? this.streamedResponse.elementParents : $(this.element).parents('[data-drupal-selector]').addBack().toArray();
 
     // Track if any command is altering the focus so we can avoid changing the
     // focus set by the Ajax command.
-    var focusChanged = false;
+    var focusChanged = this.streamedResponse ? this.streamedResponse.focusChanged : false;
     for (var i in response) {
-      if (response.hasOwnProperty(i) && response[i].command && this.commands[response[i].command]) {
-        this.commands[response[i].command](this, response[i], status);
-        if (response[i].command === 'invoke' && response[i].method === 'focus') {
-          focusChanged = true;
-        }
+      if (response.hasOwnProperty(i) && this.executeCommand(response[i], status)) {
+        focusChanged = true;
       }
     }
 
@@ -947,12 +1448,7 @@
    */
   Drupal.Ajax.prototype.error = function (xmlhttprequest, uri, customMessage) {
     // Remove the progress element.
-    if (this.progress.element) {
-      $(this.progress.element).remove();
-    }
-    if (this.progress.object) {
-      this.progress.object.stopMonitoring();
-    }
+    this.removeProgressIndicator();
     // Undo hide.
     $(this.wrapper).show();
     // Re-enable the element.
@@ -984,8 +1480,12 @@
    * @prop {string} [new]
    * @prop {bool} [merge]
    * @prop {Array} [args]
+   * @prop {bool} [undoable]
+   * @prop {string} [undoUrl]
+   * @prop {string} [undoMessage]
    *
    * @see Drupal.AjaxCommands
+   * @see Drupal.AjaxUndo
    */
 
   /**
@@ -1341,4 +1841,439 @@
     }
   };
 
+  /**
+   * Describes the properties of a command.
+   *
+   * Keys are property names, values describe the expected property value.
+   *
+   * @typedef {Object.<string, Drupal.AjaxCommands~propertyDefinition>} Drupal.AjaxCommands~schema
+   */
+
+  /**
+   * @typedef {object} Drupal.AjaxCommands~propertyDefinition
+   *
+   * @prop {string|Array.<string>} [type]
+   *   The type or list of allowed types of the value: one of `'string'`,
+   *   `'number'`, `'boolean'`, `'object'` or `'array'`. Arrays are also
+   *   accepted as objects since PHP encodes empty arrays as JSON arrays.
+   * @prop {bool} [required=false]
+   *   Whether the property must be set and not be null.
+   */
+
+  /**
+   * Schemas of the registered commands, keyed by command name.
+   *
+   * @type {Object.<string, Drupal.AjaxCommands~schema>}
+   */
+  Drupal.AjaxCommands.schemas = {
+    insert: {
+      data: {type: 'string'},
+      method: {type: 'string'},
+      selector: {type: 'string'},
+      settings: {type: 'object'},
+      undoable: {type: 'boolean'},
+      undoUrl: {type: 'string'},
+      undoMessage: {type: 'string'}
+    },
+    remove: {
+      selector: {type: 'string', required: true},
+      settings: {type: 'object'},
+      undoable: {type: 'boolean'},
+      undoUrl: {type: 'string'},
+      undoMessage: {type: 'string'}
+    },
+    changed: {
+      selector: {type: 'string', required: true},
+      asterisk: {type: 'string'},
+      undoable: {type: 'boolean'},
+      undoUrl: {type: 'string'},
+      undoMessage: {type: 'string'}
+    },
+    alert: {
+      text: {type: 'string', required: true},
+      title: {type: 'string'}
+    },
+    redirect: {
+      url: {type: 'string', required: true}
+    },
+    css: {
+      selector: {type: 'string', required: true},
+      argument: {type: 'object', required: true}
+    },
+    settings: {
+      merge: {type: 'boolean'},
+      settings: {type: 'object', required: true}
+    },
+    data: {
+      selector: {type: 'string', required: true},
+      name: {type: 'string', required: true}
+    },
+    invoke: {
+      selector: {type: 'string', required: true},
+      method: {type: 'string', required: true},
+      args: {type: 'array'}
+    },
+    restripe: {
+      selector: {type: 'string', required: true}
+    },
+    update_build_id: {
+      old: {type: 'string', required: true},
+      new: {type: 'string', required: true}
+    },
+    add_css: {
+      data: {type: 'string', required: true}
+    }
+  };
+
+  /**
+   * Registers an Ajax command.
+   *
+   * @example
+   * Drupal.AjaxCommands.register('myModuleHighlight', function (ajax, response, status) {
+   *   $(response.selector).addClass('highlight');
+   * }, {
+   *   selector: {type: 'string', required: true}
+   * });
+   *
+   * @param {string} name
+   *   The command name, as set by the server-side command plugin.
+   * @param {function} handler
+   *   The command callback, invoked with the {@link Drupal.Ajax} object, the
+   *   command definition and the XMLHttpRequest status.
+   * @param {Drupal.AjaxCommands~schema} [schema]
+   *   Describes the properties of the command, used to validate each incoming
+   *   command before it gets executed.
+   */
+  Drupal.AjaxCommands.register = function (name, handler, schema) {
+    Drupal.AjaxCommands.prototype[name] = handler;
+    if (schema) {
+      Drupal.AjaxCommands.schemas[name] = schema;
+    }
+    else {
+      delete Drupal.AjaxCommands.schemas[name];
+    }
+  };
+
+  /**
+   * Validates a command against the schema it was registered with.
+   *
+   * @param {Drupal.AjaxCommands~commandDefinition} command
+   *   The command to validate.
+   *
+   * @return {Array.<string>}
+   *   A list of error messages, empty if the command is valid or has no
+   *   schema.
+   */
+  Drupal.AjaxCommands.validate = function (command) {
+    var schema = Drupal.AjaxCommands.schemas[command.command];
+    var errors = [];
+    if (!schema) {
+      return errors;
+    }
+
+    Object.keys(schema).forEach(function (property) {
+      var definition = schema[property];
+      var value = command[property];
+      if (value === null || typeof value === 'undefined') {
+        if (definition.required) {
+          errors.push(Drupal.t('Missing required property "@property".', {'@property': property}));
+        }
+        return;
+      }
+
+      var types = definition.type ? [].concat(definition.type) : [];
+      var valid = !types.length || types.some(function (type) {
+        return type === 'array' ? $.isArray(value) : typeof value === type;
+      });
+      if (!valid) {
+        errors.push(Drupal.t('Property "@property" must be of type @type.', {'@property': property, '@type': types.join('|')}));
+      }
+    });
+
+    return errors;
+  };
+
+  /**
+   * Whether executed commands are logged to the browser console.
+   *
+   * Enable it from the browser console to debug server-side command plugins.
+   *
+   * @type {bool}
+   */
+  Drupal.AjaxCommands.debug = false;
+
+  /**
+   * Commands executed while debugging, in order of execution.
+   *
+   * @type {Array.<object>}
+   */
+  Drupal.AjaxCommands.timeline = [];
+
+  /**
+   * The number of commands kept in the timeline, the oldest ones are dropped
+   * beyond.
+   *
+   * @type {number}
+   */
+  Drupal.AjaxCommands.maxTimeline = 5000;
+
+  /**
+   * Returns a timestamp in milliseconds, as precise as available.
+   *
+   * @return {number}
+   *   The current time in milliseconds.
+   */
+  Drupal.AjaxCommands.now = function () {
+    return window.performance && window.performance.now ? window.performance.now() : Date.now();
+  };
+
+  /**
+   * Records an executed command in the debugging timeline.
+   *
+   * @param {Drupal.AjaxCommands~commandDefinition} command
+   *   The executed command.
+   * @param {string} uri
+   *   The URI the command originates from.
+   * @param {number} start
+   *   Timestamp of the start of the command execution.
+   */
+  Drupal.AjaxCommands.log = function (command, uri, start) {
+    var entry = {
+      command: command.command,
+      url: uri,
+      start: start,
+      duration: Drupal.AjaxCommands.now() - start
+    };
+    var timeline = Drupal.AjaxCommands.timeline;
+    timeline.push(entry);
+    if (timeline.length > Drupal.AjaxCommands.maxTimeline) {
+      timeline.splice(0, timeline.length - Drupal.AjaxCommands.maxTimeline);
+    }
+    if (window.console) {
+      window.console.log('Ajax command "' + entry.command + '" from ' + entry.url + ' took ' + entry.duration.toFixed(2) + ' ms');
+    }
+  };
+
+  /**
+   * Snapshots the DOM affected by a command so that it can be undone.
+   *
+   * The child lists of the targeted elements and of their parents are
+   * compared before and after the command runs. Undoing the command detaches
+   * behaviors from the nodes it added and puts the nodes it removed back in
+   * place, which also preserves the values users entered in form elements.
+   *
+   * @constructor
+   *
+   * @param {Drupal.Ajax} ajax
+   *   {@link Drupal.Ajax} object executing the command.
+   * @param {Drupal.AjaxCommands~commandDefinition} command
+   *   The command about to be executed, with its `undoable` flag set. The
+   *   optional `undoUrl` is requested when the command is undone so that the
+   *   server can revert its side of the change, the optional `undoMessage` is
+   *   displayed next to the Undo button.
+   */
+  Drupal.AjaxUndo = function (ajax, command) {
+    var $targets = command.selector ? $(command.selector) : $(ajax.wrapper);
+    var nodes = $targets.toArray();
+    $targets.each(function () {
+      if (this.parentNode) {
+        nodes.push(this.parentNode);
+      }
+    });
+    if (command.command === 'changed' && command.asterisk) {
+      nodes = nodes.concat($targets.find(command.asterisk).toArray());
+    }
+
+    /**
+     * @type {Drupal.Ajax}
+     */
+    this.ajax = ajax;
+
+    /**
+     * @type {Drupal.AjaxCommands~commandDefinition}
+     */
+    this.command = command;
+
+    /**
+     * The child nodes of the affected elements before the command ran, and
+     * the nodes the command added and removed once recorded.
+     *
+     * @type {Array.<{node: HTMLElement, children: Array.<Node>, added: Array.<Node>, removed: Array.<Node>}>}
+     */
+    this.childLists = $.unique(nodes).map(function (node) {
+      return {node: node, children: $.makeArray(node.childNodes), added: [], removed: []};
+    });
+
+    /**
+     * The classes of the targeted elements before the command ran.
+     *
+     * @type {Array.<{element: HTMLElement, className: string}>}
+     */
+    this.classNames = $targets.toArray().map(function (element) {
+      return {element: element, className: element.className};
+    });
+
+    /**
+     * The Undo toast, once displayed.
+     *
+     * @type {?jQuery}
+     */
+    this.$toast = null;
+
+    /**
+     * Timeout ID of the dismissal of the toast.
+     *
+     * @type {?number}
+     */
+    this.timer = null;
+  };
+
+  /**
+   * Names of the commands that can be flagged as undoable.
+   *
+   * @type {Array.<string>}
+   */
+  Drupal.AjaxUndo.commands = ['insert', 'remove', 'changed'];
+
+  /**
+   * How long the Undo toast is displayed, in milliseconds.
+   *
+   * @type {number}
+   */
+  Drupal.AjaxUndo.timeout = 10000;
+
+  /**
+   * The command that can currently be undone.
+   *
+   * @type {?Drupal.AjaxUndo}
+   */
+  Drupal.AjaxUndo.current = null;
+
+  /**
+   * Records the changes made by the command, once it has been executed.
+   */
+  Drupal.AjaxUndo.prototype.record = function () {
+    this.childLists.forEach(function (childList) {
+      var current = $.makeArray(childList.node.childNodes);
+      childList.added = current.filter(function (child) {
+        return childList.children.indexOf(child) === -1;
+      });
+      childList.removed = childList.children.filter(function (child) {
+        return current.indexOf(child) === -1;
+      });
+    });
+  };
+
+  /**
+   * Displays the Undo toast, replacing the one of the previous command.
+   */
+  Drupal.AjaxUndo.prototype.offer = function () {
+    var undo = this;
+    var message = this.command.undoMessage || Drupal.t('The content has been changed.');
+
+    if (Drupal.AjaxUndo.current) {
+      Drupal.AjaxUndo.current.dismiss();
+    }
+    Drupal.AjaxUndo.current = this;
+
+    this.$toast = $(Drupal.theme('ajaxUndo', message))
+      .on('click', '.js-ajax-undo-button', function (event) {
+        event.preventDefault();
+        undo.undo();
+      })
+      .appendTo('body');
+    this.timer = setTimeout(function () {
+      undo.dismiss();
+    }, Drupal.AjaxUndo.timeout);
+
+    Drupal.announce(Drupal.t('@message An Undo button is available.', {'@message': message}));
+  };
+
+  /**
+   * Removes the Undo toast, making the change permanent.
+   */
+  Drupal.AjaxUndo.prototype.dismiss = function () {
+    clearTimeout(this.timer);
+    if (this.$toast) {
+      this.$toast.remove();
+      this.$toast = null;
+    }
+    if (Drupal.AjaxUndo.current === this) {
+      Drupal.AjaxUndo.current = null;
+    }
+  };
+
+  /**
+   * Reverts the command and notifies the server, if requested.
+   */
+  Drupal.AjaxUndo.prototype.undo = function () {
+    this.dismiss();
+    this.restore();
+    if (this.command.undoUrl) {
+      Drupal.ajax({url: this.command.undoUrl, progress: false}).execute();
+    }
+    Drupal.announce(Drupal.t('The change has been undone.'));
+  };
+
+  /**
+   * Puts the DOM affected by the command back in its previous state.
+   */
+  Drupal.AjaxUndo.prototype.restore = function () {
+    var settings = this.command.settings || drupalSettings;
+    var restored = [];
+
+    this.childLists.forEach(function (childList) {
+      var node = childList.node;
+      // Remove the content added by the command.
+      childList.added.forEach(function (child) {
+        if (child.parentNode === node) {
+          if (child.nodeType === 1) {
+            Drupal.detachBehaviors(child, settings);
+          }
+          node.removeChild(child);
+        }
+      });
+      // Put the removed nodes back before their original next sibling.
+      childList.removed.forEach(function (child) {
+        var reference = null;
+        for (var i = childList.children.indexOf(child) + 1; !reference && i < childList.children.length; i++) {
+          if (childList.children[i].parentNode === node) {
+            reference = childList.children[i];
+          }
+        }
+        node.insertBefore(child, reference);
+        restored.push(child);
+      });
+    });
+
+    this.classNames.forEach(function (item) {
+      if (item.className) {
+        item.element.className = item.className;
+      }
+      else {
+        item.element.removeAttribute('class');
+      }
+    });
+
+    // The behaviors of the removed nodes were detached by the command.
+    restored.forEach(function (node) {
+      if (node.nodeType === 1 && document.body.contains(node)) {
+        Drupal.attachBehaviors(node, settings);
+      }
+    });
+  };
+
+  /**
+   * Theme function for the Undo toast.
+   *
+   * @param {string} message
+   *   The message describing the change that can be undone.
+   *
+   * @return {string}
+   *   The HTML for the toast.
+   */
+  Drupal.theme.ajaxUndo = function (message) {
+    return '<div class="ajax-undo" role="status"><span class="ajax-undo__message">' + Drupal.checkPlain(message) + '</span> <button type="button" class="ajax-undo__button js-ajax-undo-button">' + Drupal.t('Undo') + '</button></div>';
+  };
+
 })(jQuery, window, Drupal, drupalSettings);
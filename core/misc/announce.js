@@ -22,11 +22,83 @@
 
   'use strict';
 
-  var liveElement;
-  var announcements = [];
+  /**
+   * The aria-live elements, keyed by priority.
+   *
+   * @type {object.<string, HTMLElement>}
+   */
+  var liveElements = {};
+
+  /**
+   * The announcements waiting to be read, oldest first.
+   *
+   * @type {Array.<Drupal.announce~announcement>}
+   */
+  var queue = [];
+
+  /**
+   * The announcements currently in the live regions.
+   *
+   * @type {Array.<Drupal.announce~announcement>}
+   */
+  var current = [];
 
   /**
-   * Builds a div element with the aria-live attribute and add it to the DOM.
+   * The time until which the live regions are left alone to be read.
+   *
+   * @type {number}
+   */
+  var busyUntil = 0;
+
+  /**
+   * The timer of the next flush of the queue, if any.
+   *
+   * @type {?number}
+   */
+  var timer = null;
+
+  /**
+   * The history panel, once opened.
+   *
+   * @type {?HTMLElement}
+   */
+  var panel = null;
+
+  /**
+   * The localStorage key of the muted categories.
+   *
+   * @type {string}
+   */
+  var mutedKey = 'Drupal.announce.muted';
+
+  /**
+   * The localStorage key remembering that the history panel is open.
+   *
+   * @type {string}
+   */
+  var panelKey = 'Drupal.announce.historyPanel';
+
+  /**
+   * An announcement.
+   *
+   * @typedef {object} Drupal.announce~announcement
+   *
+   * @prop {string} text
+   *   The text read, which may contain HTML.
+   * @prop {string} priority
+   *   'polite' or 'assertive'.
+   * @prop {string} category
+   *   The category of the announcement, such as 'toolbar'.
+   * @prop {number} time
+   *   The time of the announcement, in milliseconds.
+   * @prop {string} status
+   *   'queued' until read, then 'announced', or 'duplicate' or 'muted' for
+   *   announcements that were not read.
+   */
+
+  /**
+   * Builds the div elements with the aria-live attribute and adds them to the
+   * DOM.
    *
    * @type {Drupal~behavior}
    *
@@ -35,86 +107,421 @@
    */
   Drupal.behaviors.drupalAnnounce = {
     attach: function (context) {
-      // Create only one aria-live element.
-      if (!liveElement) {
-        liveElement = document.createElement('div');
-        liveElement.id = 'drupal-live-announce';
-        liveElement.className = 'visually-hidden';
-        liveElement.setAttribute('aria-live', 'polite');
-        liveElement.setAttribute('aria-busy', 'false');
-        document.body.appendChild(liveElement);
+      getLiveElement('polite');
+      getLiveElement('assertive');
+      if (!panel && getStorage(panelKey)) {
+        Drupal.announce.toggleHistory(true);
       }
     }
   };
 
   /**
-   * Concatenates announcements to a single string; appends to the live region.
+   * Gets an item from localStorage.
+   *
+   * @param {string} key
+   *   The key of the item.
+   *
+   * @return {?string}
+   *   The item, null if it isn't set or localStorage isn't available.
    */
-  function announce() {
-    var text = [];
-    var priority = 'polite';
-    var announcement;
-
-    // Create an array of announcement strings to be joined and appended to the
-    // aria live region.
-    var il = announcements.length;
-    for (var i = 0; i < il; i++) {
-      announcement = announcements.pop();
-      text.unshift(announcement.text);
-      // If any of the announcements has a priority of assertive then the group
-      // of joined announcements will have this priority.
-      if (announcement.priority === 'assertive') {
-        priority = 'assertive';
+  function getStorage(key) {
+    // Accessing localStorage throws when it is disabled.
+    try {
+      return window.localStorage.getItem(key);
+    }
+    catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Sets or removes an item of localStorage.
+   *
+   * @param {string} key
+   *   The key of the item.
+   * @param {?string} value
+   *   The item, null to remove it.
+   */
+  function setStorage(key, value) {
+    try {
+      if (value === null) {
+        window.localStorage.removeItem(key);
+      }
+      else {
+        window.localStorage.setItem(key, value);
       }
     }
+    catch (e) {
+      // Settings only last for the page then.
+    }
+  }
 
-    if (text.length) {
-      // Clear the liveElement so that repeated strings will be read.
-      liveElement.innerHTML = '';
-      // Set the busy state to true until the node changes are complete.
-      liveElement.setAttribute('aria-busy', 'true');
-      // Set the priority to assertive, or default to polite.
+  /**
+   * Gets the aria-live element of a priority, creating it if needed.
+   *
+   * Each priority has its own element, since screen readers don't all notice
+   * changes of the aria-live attribute.
+   *
+   * @param {string} priority
+   *   'polite' or 'assertive'.
+   *
+   * @return {HTMLElement}
+   *   The aria-live element.
+   */
+  function getLiveElement(priority) {
+    if (!liveElements[priority]) {
+      var liveElement = document.createElement('div');
+      liveElement.id = priority === 'polite' ? 'drupal-live-announce' : 'drupal-live-announce-' + priority;
+      liveElement.className = 'visually-hidden';
       liveElement.setAttribute('aria-live', priority);
-      // Print the text to the live region. Text should be run through
-      // Drupal.t() before being passed to Drupal.announce().
-      liveElement.innerHTML = text.join('\n');
-      // The live text area is updated. Allow the AT to announce the text.
       liveElement.setAttribute('aria-busy', 'false');
+      document.body.appendChild(liveElement);
+      liveElements[priority] = liveElement;
     }
+    return liveElements[priority];
   }
 
+  /**
+   * Estimates the time needed to read a text.
+   *
+   * @param {string} text
+   *   The text.
+   *
+   * @return {number}
+   *   The time, in milliseconds: a second, plus 60 milliseconds a character.
+   */
+  function readingTime(text) {
+    return 1000 + text.length * 60;
+  }
+
+  /**
+   * Reads the oldest announcements of the queue.
+   *
+   * The announcements made in a row with the same priority are joined and
+   * appended to the live region of that priority as one text node. The next
+   * ones wait until those had the time to be read.
+   */
+  function announce() {
+    var now = Date.now();
+    timer = null;
+    if (!queue.length) {
+      return;
+    }
+    if (busyUntil > now) {
+      timer = window.setTimeout(announce, busyUntil - now);
+      return;
+    }
+
+    var priority = queue[0].priority;
+    var text = [];
+    current = [];
+    while (queue.length && queue[0].priority === priority) {
+      var announcement = queue.shift();
+      announcement.status = 'announced';
+      current.push(announcement);
+      text.push(announcement.text);
+    }
+    text = text.join('\n');
+
+    Object.keys(liveElements).forEach(function (key) {
+      liveElements[key].innerHTML = '';
+    });
+    var liveElement = getLiveElement(priority);
+    // Set the busy state to true until the node changes are complete.
+    liveElement.setAttribute('aria-busy', 'true');
+    // Print the text to the live region. Text should be run through
+    // Drupal.t() before being passed to Drupal.announce().
+    liveElement.innerHTML = text;
+    // The live text area is updated. Allow the AT to announce the text.
+    liveElement.setAttribute('aria-busy', 'false');
+
+    busyUntil = now + readingTime(text);
+    timer = window.setTimeout(announce, busyUntil - now);
+    updateHistoryPanel();
+  }
+
+  /**
+   * Reads the queue once no announcements were made for 200 ms.
+   *
+   * 200 ms is right at the cusp where humans notice a pause, so announcements
+   * made in reaction to one action are read together.
+   */
+  var announceSoon = debounce(function () {
+    if (timer === null) {
+      announce();
+    }
+  }, 200);
+
   /**
    * Triggers audio UAs to read the supplied text.
    *
    * The aria-live region will only read the text that currently populates its
-   * text node. Replacing text quickly in rapid calls to announce results in
-   * only the text from the most recent call to {@link Drupal.announce} being
-   * read. By wrapping the call to announce in a debounce function, we allow for
-   * time for multiple calls to {@link Drupal.announce} to queue up their
-   * messages. These messages are then joined and append to the aria-live region
-   * as one text node.
+   * text node, so announcements are queued and read in order: announcements
+   * made within 200 ms of each other are joined and read together, then later
+   * ones wait until they had the time to be read. Assertive announcements jump
+   * ahead of the polite ones waiting, and interrupt the polite ones being
+   * read. An announcement identical to one waiting to be read, or being read,
+   * is dropped.
+   *
+   * Announcements belong to a category, which the user can mute with
+   * {@link Drupal.announce.mute}.
    *
    * @param {string} text
    *   A string to be read by the UA.
    * @param {string} [priority='polite']
    *   A string to indicate the priority of the message. Can be either
    *   'polite' or 'assertive'.
-   *
-   * @return {function}
-   *   The return of the call to debounce.
+   * @param {string} [category='default']
+   *   The category of the message, such as the name of the module making it.
    *
    * @see http://www.w3.org/WAI/PF/aria-practices/#liveprops
    */
-  Drupal.announce = function (text, priority) {
-    // Save the text and priority into a closure variable. Multiple simultaneous
-    // announcements will be concatenated and read in sequence.
-    announcements.push({
-      text: text,
-      priority: priority
+  Drupal.announce = function (text, priority, category) {
+    var announcement = {
+      text: String(text),
+      priority: priority === 'assertive' ? 'assertive' : 'polite',
+      category: category || 'default',
+      time: Date.now(),
+      status: 'queued'
+    };
+    var duplicate = queue.concat(busyUntil > announcement.time ? current : []).some(function (other) {
+      return other.text === announcement.text && other.priority === announcement.priority;
+    });
+
+    if (Drupal.announce.isMuted(announcement.category)) {
+      announcement.status = 'muted';
+    }
+    else if (duplicate) {
+      announcement.status = 'duplicate';
+    }
+    else if (announcement.priority === 'assertive') {
+      var index = 0;
+      while (index < queue.length && queue[index].priority === 'assertive') {
+        index++;
+      }
+      queue.splice(index, 0, announcement);
+      // Stop waiting for polite announcements to be read.
+      if (busyUntil > announcement.time && current.length && current[0].priority === 'polite') {
+        busyUntil = announcement.time;
+        window.clearTimeout(timer);
+        timer = null;
+      }
+      announceSoon();
+    }
+    else {
+      queue.push(announcement);
+      announceSoon();
+    }
+
+    Drupal.announce.history.push(announcement);
+    if (Drupal.announce.history.length > Drupal.announce.historySize) {
+      Drupal.announce.history.shift();
+    }
+    updateHistoryPanel();
+  };
+
+  /**
+   * The announcements made on the page, oldest first.
+   *
+   * @type {Array.<Drupal.announce~announcement>}
+   */
+  Drupal.announce.history = [];
+
+  /**
+   * The number of announcements kept in the history.
+   *
+   * @type {number}
+   */
+  Drupal.announce.historySize = 100;
+
+  /**
+   * Gets the muted categories.
+   *
+   * @return {Array.<string>}
+   *   The muted categories.
+   */
+  Drupal.announce.getMuted = function () {
+    try {
+      return JSON.parse(getStorage(mutedKey)) || [];
+    }
+    catch (e) {
+      return [];
+    }
+  };
+
+  /**
+   * Checks whether a category is muted.
+   *
+   * @param {string} category
+   *   The category.
+   *
+   * @return {bool}
+   *   Whether the announcements of the category are dropped.
+   */
+  Drupal.announce.isMuted = function (category) {
+    return Drupal.announce.getMuted().indexOf(category) !== -1;
+  };
+
+  /**
+   * Mutes a category, for the next page loads too.
+   *
+   * @param {string} category
+   *   The category.
+   */
+  Drupal.announce.mute = function (category) {
+    var muted = Drupal.announce.getMuted();
+    if (muted.indexOf(category) === -1) {
+      muted.push(category);
+      setStorage(mutedKey, JSON.stringify(muted));
+    }
+    // Drop the announcements of the category still waiting.
+    queue = queue.filter(function (announcement) {
+      if (announcement.category === category) {
+        announcement.status = 'muted';
+        return false;
+      }
+      return true;
     });
-    // Immediately invoke the function that debounce returns. 200 ms is right at
-    // the cusp where humans notice a pause, so we will wait
-    // at most this much time before the set of queued announcements is read.
-    return (debounce(announce, 200)());
+    updateHistoryPanel();
   };
+
+  /**
+   * Unmutes a category.
+   *
+   * @param {string} category
+   *   The category.
+   */
+  Drupal.announce.unmute = function (category) {
+    var muted = Drupal.announce.getMuted().filter(function (other) {
+      return other !== category;
+    });
+    setStorage(mutedKey, muted.length ? JSON.stringify(muted) : null);
+    updateHistoryPanel();
+  };
+
+  /**
+   * Shows or hides the history panel.
+   *
+   * The panel lists the announcements made on the page and lets the user mute
+   * their categories. It stays open on the next page loads until it is closed,
+   * to help testing pages with a screen reader.
+   *
+   * @param {bool} [show]
+   *   Whether to show the panel, toggled by default.
+   */
+  Drupal.announce.toggleHistory = function (show) {
+    if (typeof show === 'undefined') {
+      show = !panel;
+    }
+    if (show && !panel) {
+      var wrapper = document.createElement('div');
+      wrapper.innerHTML = Drupal.theme('announceHistory');
+      panel = wrapper.firstChild;
+      panel.addEventListener('click', function (event) {
+        if (event.target.className.indexOf('announce-history__close') !== -1) {
+          Drupal.announce.toggleHistory(false);
+        }
+        else if (event.target.className.indexOf('announce-history__clear') !== -1) {
+          Drupal.announce.history = [];
+          updateHistoryPanel();
+        }
+      });
+      panel.addEventListener('change', function (event) {
+        var category = event.target.getAttribute('data-announce-category');
+        if (category) {
+          Drupal.announce[event.target.checked ? 'unmute' : 'mute'](category);
+        }
+      });
+      document.body.appendChild(panel);
+      setStorage(panelKey, '1');
+      updateHistoryPanel();
+    }
+    else if (!show && panel) {
+      panel.parentNode.removeChild(panel);
+      panel = null;
+      setStorage(panelKey, null);
+    }
+  };
+
+  /**
+   * Lists the announcements and categories in the history panel, if open.
+   */
+  function updateHistoryPanel() {
+    if (!panel) {
+      return;
+    }
+    var categories = Drupal.announce.getMuted();
+    Drupal.announce.history.forEach(function (announcement) {
+      if (categories.indexOf(announcement.category) === -1) {
+        categories.push(announcement.category);
+      }
+    });
+    panel.querySelector('.announce-history__categories').innerHTML = categories.sort().map(function (category) {
+      return Drupal.theme('announceHistoryCategory', category, !Drupal.announce.isMuted(category));
+    }).join('');
+    panel.querySelector('.announce-history__list').innerHTML = Drupal.announce.history.map(function (announcement) {
+      return Drupal.theme('announceHistoryEntry', announcement);
+    }).join('');
+  }
+
+  /**
+   * Theme function for the history panel of announcements.
+   *
+   * @return {string}
+   *   The HTML of the panel, with empty lists of categories and announcements.
+   */
+  Drupal.theme.announceHistory = function () {
+    return '<section class="announce-history" aria-label="' + Drupal.t('Announcement history') + '">' +
+      '<button type="button" class="announce-history__close">' + Drupal.t('Close') + '</button> ' +
+      '<button type="button" class="announce-history__clear">' + Drupal.t('Clear') + '</button>' +
+      '<fieldset class="announce-history__categories-wrapper"><legend>' + Drupal.t('Announced categories') + '</legend>' +
+      '<div class="announce-history__categories"></div></fieldset>' +
+      '<ol class="announce-history__list"></ol>' +
+      '</section>';
+  };
+
+  /**
+   * Theme function for a category of the history panel of announcements.
+   *
+   * @param {string} category
+   *   The category.
+   * @param {bool} enabled
+   *   Whether the category isn't muted.
+   *
+   * @return {string}
+   *   The HTML of a checkbox unmuting the category.
+   */
+  Drupal.theme.announceHistoryCategory = function (category, enabled) {
+    return '<label class="announce-history__category">' +
+      '<input type="checkbox" data-announce-category="' + Drupal.checkPlain(category) + '"' + (enabled ? ' checked' : '') + '> ' +
+      Drupal.checkPlain(category) +
+      '</label> ';
+  };
+
+  /**
+   * Theme function for an announcement of the history panel.
+   *
+   * @param {Drupal.announce~announcement} announcement
+   *   The announcement.
+   *
+   * @return {string}
+   *   The HTML of the announcement.
+   */
+  Drupal.theme.announceHistoryEntry = function (announcement) {
+    var statuses = {
+      queued: Drupal.t('queued'),
+      announced: Drupal.t('announced'),
+      duplicate: Drupal.t('duplicate'),
+      muted: Drupal.t('muted')
+    };
+    // Announcements may contain HTML, which is shown as text.
+    var text = document.implementation.createHTMLDocument('').createElement('div');
+    text.innerHTML = announcement.text;
+    return '<li class="announce-history__entry announce-history__entry--' + announcement.status + '">' +
+      '<time>' + new Date(announcement.time).toLocaleTimeString() + '</time> ' +
+      '[' + Drupal.checkPlain(announcement.category) + ', ' + announcement.priority + ', ' + statuses[announcement.status] + '] ' +
+      Drupal.checkPlain(text.textContent) +
+      '</li>';
+  };
+
 }(Drupal, Drupal.debounce));
@@ -100,11 +100,9 @@
    *   The function to call with the response.
    */
   function sourceData(request, response) {
-    var elementId = this.element.attr('id');
-
-    if (!(elementId in autocomplete.cache)) {
-      autocomplete.cache[elementId] = {};
-    }
+    var path = this.element.attr('data-autocomplete-path');
+    var chips = this.element.data('autocompleteChips');
+    var limit = parseInt(this.element.attr('data-autocomplete-filter-limit'), 10) || 0;
 
     /**
      * Filter through the suggestions removing all terms already tagged and
@@ -114,6 +112,8 @@
      *   Suggestions returned by the server.
      */
     function showSuggestions(suggestions) {
+      // The suggestions may come from the cache, leave them untouched.
+      suggestions = suggestions.slice();
       var tagged = autocomplete.splitValues(request.term);
       var il = tagged.length;
       for (var i = 0; i < il; i++) {
@@ -122,33 +122,37 @@
           suggestions.splice(index, 1);
         }
       }
+      // Leave out the values already picked as chips.
+      if (chips) {
+        suggestions = suggestions.filter(function (suggestion) {
+          return chips.values.indexOf(suggestion.value) === -1;
+        });
+      }
       response(suggestions);
     }
 
-    /**
-     * Transforms the data object into an array and update autocomplete results.
-     *
-     * @param {object} data
-     *   The data sent back from the server.
-     */
-    function sourceCallbackHandler(data) {
-      autocomplete.cache[elementId][term] = data;
-
-      // Send the new string array of terms to the jQuery UI list.
-      showSuggestions(data);
-    }
-
     // Get the desired term and construct the autocomplete URL for it.
     var term = autocomplete.extractLastTerm(request.term);
 
-    // Check if the term is already cached.
-    if (autocomplete.cache[elementId].hasOwnProperty(term)) {
-      showSuggestions(autocomplete.cache[elementId][term]);
-    }
-    else {
-      var options = $.extend({success: sourceCallbackHandler, data: {q: term}}, autocomplete.ajax);
-      $.ajax(this.element.attr('data-autocomplete-path'), options);
+    // Keep the suggestions in the deprecated cache of the element too, unless
+    // its ID is a property of the shared cache.
+    // @see Drupal.autocomplete.cache
+    var elementId = this.element.attr('id');
+    var legacyCache = null;
+    if (elementId && !(elementId in autocomplete.Cache.prototype) && ['settings', 'entries', 'pending'].indexOf(elementId) === -1) {
+      legacyCache = autocomplete.cache[elementId] = autocomplete.cache[elementId] || {};
+      if (legacyCache.hasOwnProperty(term)) {
+        showSuggestions(legacyCache[term]);
+        return;
+      }
     }
+
+    autocomplete.cache.fetch(path, term, limit).done(function (data) {
+      if (legacyCache) {
+        legacyCache[term] = data;
+      }
+      showSuggestions(data);
+    });
   }
 
   /**
@@ -173,6 +177,13 @@
    *   Returns false to indicate the event status.
    */
   function selectHandler(event, ui) {
+    var chips = $(event.target).data('autocompleteChips');
+    if (chips) {
+      chips.add(ui.item.value);
+      event.target.value = '';
+      return false;
+    }
+
     var terms = autocomplete.splitValues(event.target.value);
     // Remove the current input.
     terms.pop();
@@ -187,6 +198,9 @@
   /**
    * Override jQuery UI _renderItem function to output HTML by default.
    *
+   * Besides the label, items may have a thumbnail URL and a description,
+   * which is HTML like the label.
+   *
    * @param {jQuery} ul
    *   jQuery collection of the ul element.
    * @param {object} item
@@ -196,11 +210,53 @@
    *   jQuery collection of the ul element.
    */
   function renderItem(ul, item) {
+    var $link = $('<a>').html(item.label);
+    if (item.thumbnail) {
+      $link.prepend($('<img class="autocomplete__thumbnail" alt="">').attr('src', item.thumbnail));
+    }
+    if (item.description) {
+      $link.append($('<span class="autocomplete__description"></span>').html(item.description));
+    }
     return $('<li>')
-      .append($('<a>').html(item.label))
+      .append($link)
       .appendTo(ul);
   }
 
+  /**
+   * Override jQuery UI _renderMenu function to group items.
+   *
+   * Items with a group, such as the bundle of the suggested entities, are
+   * listed under a heading for each group, in the order the groups first
+   * appear in the suggestions.
+   *
+   * @param {jQuery} ul
+   *   jQuery collection of the ul element.
+   * @param {Array.<object>} items
+   *   The list items to append.
+   */
+  function renderMenu(ul, items) {
+    var widget = this;
+    var groups = [];
+    var groupItems = {};
+    items.forEach(function (item) {
+      var group = item.group || '';
+      if (!groupItems.hasOwnProperty(group)) {
+        groups.push(group);
+        groupItems[group] = [];
+      }
+      groupItems[group].push(item);
+    });
+
+    groups.forEach(function (group) {
+      if (group) {
+        $('<li class="ui-autocomplete-group" role="presentation"></li>').text(group).appendTo(ul);
+      }
+      groupItems[group].forEach(function (item) {
+        widget._renderItemData(ul, item);
+      });
+    });
+  }
+
   /**
    * Attaches the autocomplete behavior to all required fields.
    *
@@ -221,10 +277,18 @@
         $.extend(autocomplete.options, {
           firstCharacterBlacklist: (blacklist) ? blacklist : ''
         });
+        // Edit the values of multi-value textfields as chips where requested.
+        $autocomplete = $autocomplete.map(function () {
+          return $(this).is('[data-autocomplete-chips]') ? new autocomplete.Chips(this).$field[0] : this;
+        });
         // Use jQuery UI Autocomplete on the textfield.
         $autocomplete.autocomplete(autocomplete.options)
           .each(function () {
-            $(this).data('ui-autocomplete')._renderItem = autocomplete.options.renderItem;
+            var instance = $(this).data('ui-autocomplete');
+            instance._renderItem = autocomplete.options.renderItem;
+            instance._renderMenu = autocomplete.options.renderMenu;
+            // Group headings are not menu items.
+            instance.menu.option('items', '> :not(.ui-autocomplete-group)');
           });
 
         // Use CompositionEvent to handle IME inputs. It requests remote server on "compositionend" event only.
@@ -238,9 +302,19 @@
     },
     detach: function (context, settings, trigger) {
       if (trigger === 'unload') {
+        // Chips textfields are destroyed with their chips.
         $(context).find('input.form-autocomplete')
           .removeOnce('autocomplete')
-          .autocomplete('destroy');
+          .not('.autocomplete-chips__field')
+          .each(function () {
+            var chips = $(this).data('autocompleteChips');
+            if (chips) {
+              chips.destroy();
+            }
+            else {
+              $(this).autocomplete('destroy');
+            }
+          });
       }
     }
   };
@@ -251,7 +325,24 @@
    * @namespace Drupal.autocomplete
    */
   autocomplete = {
-    cache: {},
+
+    /**
+     * Settings of the cache of the suggestions.
+     *
+     * @name Drupal.autocomplete.cacheSettings
+     *
+     * @prop {number} size
+     *   The maximum number of terms cached, for all the autocomplete paths.
+     * @prop {number} ttl
+     *   The number of milliseconds the suggestions are cached for. When set,
+     *   the cache is also kept in sessionStorage, to be shared by the pages of
+     *   the browser tab. The default, 0, caches the suggestions until the page
+     *   is unloaded.
+     */
+    cacheSettings: {
+      size: 100,
+      ttl: 0
+    },
     // Exposes options to allow overriding by contrib.
     splitValues: autocompleteSplitValues,
     extractLastTerm: extractLastTerm,
@@ -268,6 +359,7 @@
       search: searchHandler,
       select: selectHandler,
       renderItem: renderItem,
+      renderMenu: renderMenu,
       minLength: 1,
       // Custom options, used by Drupal.autocomplete.
       firstCharacterBlacklist: '',
@@ -281,4 +373,584 @@
 
   Drupal.autocomplete = autocomplete;
 
+  /**
+   * Least recently used cache of the suggestions, shared by all autocompletes.
+   *
+   * @constructor
+   *
+   * @param {object} settings
+   *   The settings of the cache, see {@link Drupal.autocomplete.cacheSettings}.
+   *   They are read when used, so they can be changed at any time.
+   */
+  autocomplete.Cache = function (settings) {
+
+    /**
+     * The settings of the cache.
+     *
+     * @type {object}
+     */
+    this.settings = settings;
+
+    /**
+     * The cached entries, from the least to the most recently used.
+     *
+     * Loaded from sessionStorage on first use.
+     *
+     * @type {?Array.<Drupal.autocomplete.Cache~entry>}
+     */
+    this.entries = null;
+
+    /**
+     * The requests in progress, keyed by cache key.
+     *
+     * @type {object.<string, jQuery.jqXHR>}
+     */
+    this.pending = {};
+  };
+
+  /**
+   * A cached entry.
+   *
+   * @typedef {object} Drupal.autocomplete.Cache~entry
+   *
+   * @prop {string} key
+   *   The key of the entry, see {@link Drupal.autocomplete.Cache#key}.
+   * @prop {number} time
+   *   The time the suggestions were received, in milliseconds.
+   * @prop {Array.<object>} data
+   *   The suggestions.
+   */
+
+  /**
+   * The sessionStorage key the cache is kept under.
+   *
+   * @type {string}
+   */
+  autocomplete.Cache.storageKey = 'Drupal.autocomplete.cache';
+
+  /**
+   * Builds the key of the suggestions for a term.
+   *
+   * @param {string} path
+   *   The autocomplete path.
+   * @param {string} term
+   *   The term.
+   *
+   * @return {string}
+   *   The cache key.
+   */
+  autocomplete.Cache.prototype.key = function (path, term) {
+    return path + '\n' + term;
+  };
+
+  /**
+   * Loads the entries kept in sessionStorage, once.
+   *
+   * @return {Array.<Drupal.autocomplete.Cache~entry>}
+   *   The cached entries.
+   */
+  autocomplete.Cache.prototype.load = function () {
+    if (!this.entries) {
+      this.entries = [];
+      if (this.settings.ttl) {
+        // Accessing sessionStorage throws when it is disabled.
+        try {
+          this.entries = JSON.parse(window.sessionStorage.getItem(autocomplete.Cache.storageKey)) || [];
+        }
+        catch (e) {
+          // Start with an empty cache.
+        }
+      }
+    }
+    return this.entries;
+  };
+
+  /**
+   * Keeps the entries in sessionStorage, when the cache has a TTL.
+   */
+  autocomplete.Cache.prototype.save = function () {
+    if (this.settings.ttl) {
+      // Storing throws when sessionStorage is disabled or full, the entries
+      // are then only kept for the page.
+      try {
+        window.sessionStorage.setItem(autocomplete.Cache.storageKey, JSON.stringify(this.entries));
+      }
+      catch (e) {
+        // Keep the entries in memory only.
+      }
+    }
+  };
+
+  /**
+   * Gets the suggestions cached for a term.
+   *
+   * @param {string} path
+   *   The autocomplete path.
+   * @param {string} term
+   *   The term.
+   *
+   * @return {?Array.<object>}
+   *   The suggestions, or null when they aren't cached.
+   */
+  autocomplete.Cache.prototype.get = function (path, term) {
+    var entries = this.load();
+    var key = this.key(path, term);
+    for (var i = entries.length - 1; i >= 0; i--) {
+      if (entries[i].key === key) {
+        var entry = entries.splice(i, 1)[0];
+        if (this.settings.ttl && Date.now() - entry.time > this.settings.ttl) {
+          this.save();
+          return null;
+        }
+        // Mark the entry as the most recently used one.
+        entries.push(entry);
+        return entry.data;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Caches the suggestions for a term.
+   *
+   * @param {string} path
+   *   The autocomplete path.
+   * @param {string} term
+   *   The term.
+   * @param {Array.<object>} data
+   *   The suggestions.
+   */
+  autocomplete.Cache.prototype.set = function (path, term, data) {
+    var entries = this.load();
+    var key = this.key(path, term);
+    this.entries = entries = entries.filter(function (entry) {
+      return entry.key !== key;
+    });
+    entries.push({key: key, time: Date.now(), data: data});
+    // Evict the least recently used entries.
+    entries.splice(0, Math.max(0, entries.length - this.settings.size));
+    this.save();
+  };
+
+  /**
+   * Finds the suggestions for a term in the cache.
+   *
+   * @param {string} path
+   *   The autocomplete path.
+   * @param {string} term
+   *   The term.
+   * @param {number} [limit=0]
+   *   The maximum number of suggestions the server returns for a term, when
+   *   it returns the suggestions whose label contains the term. When the
+   *   suggestions cached for the beginning of a term are fewer than that, they
+   *   are all the suggestions there are, and the suggestions for the term are
+   *   filtered from them. The default, 0, only finds the suggestions cached
+   *   for the term.
+   *
+   * @return {?Array.<object>}
+   *   The suggestions, either cached for the term or filtered from the
+   *   complete suggestions cached for the beginning of the term. Null when
+   *   they can't be found.
+   */
+  autocomplete.Cache.prototype.find = function (path, term, limit) {
+    var data = this.get(path, term);
+    for (var length = term.length - 1; limit && !data && length > 0; length--) {
+      var broader = this.get(path, term.slice(0, length));
+      if (broader && broader.length < limit) {
+        data = autocomplete.filterSuggestions(broader, term);
+      }
+    }
+    return data;
+  };
+
+  /**
+   * Gets the suggestions for a term, from the cache or from the server.
+   *
+   * Concurrent requests for the same term share a single HTTP request.
+   *
+   * @param {string} path
+   *   The autocomplete path.
+   * @param {string} term
+   *   The term.
+   * @param {number} [limit=0]
+   *   The maximum number of suggestions the server returns for a term, see
+   *   {@link Drupal.autocomplete.Cache#find}.
+   *
+   * @return {jQuery.Promise}
+   *   A promise resolved with the suggestions.
+   */
+  autocomplete.Cache.prototype.fetch = function (path, term, limit) {
+    var self = this;
+    var data = this.find(path, term, limit);
+    if (data) {
+      return $.Deferred().resolve(data).promise();
+    }
+
+    var key = this.key(path, term);
+    if (!this.pending[key]) {
+      var options = $.extend({data: {q: term}}, autocomplete.ajax);
+      this.pending[key] = $.ajax(path, options)
+        .done(function (data) {
+          self.set(path, term, data);
+        })
+        .always(function () {
+          delete self.pending[key];
+        });
+    }
+    return this.pending[key];
+  };
+
+  /**
+   * Filters suggestions down to the ones matching a term.
+   *
+   * Overridable by contrib, to match suggestions the way their server does.
+   *
+   * @function Drupal.autocomplete.filterSuggestions
+   *
+   * @param {Array.<object>} suggestions
+   *   The suggestions for the beginning of the term.
+   * @param {string} term
+   *   The term.
+   *
+   * @return {Array.<object>}
+   *   The suggestions whose label contains the term, ignoring case.
+   */
+  autocomplete.filterSuggestions = function (suggestions, term) {
+    // Parse the labels in an inert document, for their images not to load.
+    var container = document.implementation.createHTMLDocument('').createElement('div');
+    term = term.toLowerCase();
+    return suggestions.filter(function (suggestion) {
+      container.innerHTML = typeof suggestion === 'string' ? suggestion : suggestion.label;
+      return container.textContent.toLowerCase().indexOf(term) !== -1;
+    });
+  };
+
+  /**
+   * The cache of the suggestions.
+   *
+   * For backwards compatibility, the suggestions received by an element are
+   * also kept in `Drupal.autocomplete.cache[elementId][term]`, and suggestions
+   * set there are used instead of the shared cache. This is deprecated and
+   * will be removed before Drupal 9.0.0, use
+   * {@link Drupal.autocomplete.Cache#get} and
+   * {@link Drupal.autocomplete.Cache#set} with the autocomplete path instead.
+   *
+   * @name Drupal.autocomplete.cache
+   *
+   * @type {Drupal.autocomplete.Cache}
+   */
+  autocomplete.cache = new autocomplete.Cache(autocomplete.cacheSettings);
+
+  /**
+   * Encodes a term the way the server expects it in multi-value textfields.
+   *
+   * @param {string} term
+   *   The term, as typed by the user.
+   *
+   * @return {string}
+   *   The term, wrapped in double quotes if it contains a comma or a double
+   *   quote.
+   *
+   * @see \Drupal\Component\Utility\Tags::encode()
+   */
+  function encodeTerm(term) {
+    if (term.indexOf(',') !== -1 || term.indexOf('"') !== -1) {
+      return '"' + term.replace(/"/g, '""') + '"';
+    }
+    return term;
+  }
+
+  /**
+   * Extracts the label from a value such as 'Label (id)'.
+   *
+   * @param {string} value
+   *   The value, encoded like in multi-value textfields.
+   *
+   * @return {string}
+   *   The label.
+   */
+  function valueLabel(value) {
+    if (value.length > 1 && value.charAt(0) === '"' && value.charAt(value.length - 1) === '"') {
+      value = value.slice(1, -1).replace(/""/g, '"');
+    }
+    return value.replace(/\s\([^)]+\)$/, '');
+  }
+
+  /**
+   * Edits the values of a multi-value autocomplete textfield as chips.
+   *
+   * The textfield is hidden but keeps the comma-separated values the server
+   * expects, such as 'Label (id)'. Each value is shown as a removable chip,
+   * followed by a textfield to search for more values, which takes over the
+   * required, error and ARIA states of the hidden textfield.
+   *
+   * @constructor
+   *
+   * @param {HTMLElement} input
+   *   The multi-value textfield.
+   */
+  autocomplete.Chips = function (input) {
+    var self = this;
+    var fieldId = input.id + '--chips';
+
+    /**
+     * The multi-value textfield.
+     *
+     * @type {jQuery}
+     */
+    this.$input = $(input);
+
+    /**
+     * The values, encoded like in the multi-value textfield.
+     *
+     * @type {Array.<string>}
+     */
+    this.values = autocomplete.splitValues(input.value).filter(function (value) {
+      return value.length > 0;
+    });
+
+    /**
+     * The label of the multi-value textfield, now labelling the chips field.
+     *
+     * @type {jQuery}
+     */
+    this.$label = $('label[for="' + input.id + '"]').attr('for', fieldId);
+
+    /**
+     * The list of chips.
+     *
+     * @type {jQuery}
+     */
+    this.$list = $('<ul class="autocomplete-chips__list"></ul>')
+      .on('click', '.autocomplete-chip__remove', function () {
+        self.remove($(this).closest('.autocomplete-chip').index());
+      })
+      .on('keydown', '.autocomplete-chip__remove', function (event) {
+        self.chipKeydown(event, $(this).closest('.autocomplete-chip').index());
+      });
+
+    /**
+     * The textfield searching for more values.
+     *
+     * @type {jQuery}
+     */
+    this.$field = $('<input type="text" class="form-text form-autocomplete autocomplete-chips__field">')
+      .attr({
+        'id': fieldId,
+        'data-autocomplete-path': this.$input.attr('data-autocomplete-path'),
+        'placeholder': this.$input.attr('placeholder')
+      })
+      .data('autocompleteChips', this)
+      .once('autocomplete')
+      .on('keydown', function (event) {
+        self.fieldKeydown(event);
+      })
+      .on('input', function () {
+        self.sync(false);
+      });
+
+    /**
+     * The wrapper of the chips and the textfield.
+     *
+     * @type {?jQuery}
+     */
+    this.$wrapper = $('<div class="autocomplete-chips"></div>')
+      .append(this.$list, this.$field)
+      .insertAfter(this.$input);
+
+    /**
+     * The attributes moved from the multi-value textfield to the textfield.
+     *
+     * @type {Object.<string, string>}
+     */
+    this.attributes = {};
+    ['aria-describedby', 'aria-invalid', 'aria-required'].forEach(function (name) {
+      if (self.$input.is('[' + name + ']')) {
+        self.attributes[name] = self.$input.attr(name);
+      }
+    });
+    this.$field.attr(this.attributes);
+    this.$input.removeAttr(Object.keys(this.attributes).join(' '));
+
+    /**
+     * Whether the multi-value textfield is required.
+     *
+     * Hidden fields cannot be focused to show validation errors, so the
+     * textfield is required instead while there is no chip.
+     *
+     * @type {bool}
+     */
+    this.required = this.$input.prop('required');
+
+    /**
+     * Whether the multi-value textfield has an error.
+     *
+     * @type {bool}
+     */
+    this.error = this.$input.hasClass('error');
+    this.$field.toggleClass('error', this.error);
+
+    this.$input.prop({hidden: true, required: false}).removeClass('error').data('autocompleteChips', this);
+    this.render();
+  };
+
+  /**
+   * Adds a value.
+   *
+   * @param {string} value
+   *   The value, encoded like in the multi-value textfield.
+   */
+  autocomplete.Chips.prototype.add = function (value) {
+    this.$field.val('');
+    if (value && this.values.indexOf(value) === -1) {
+      this.values.push(value);
+      this.render();
+      Drupal.announce(Drupal.t('@label added.', {'@label': valueLabel(value)}));
+    }
+    this.sync(true);
+  };
+
+  /**
+   * Removes a value.
+   *
+   * @param {number} index
+   *   The index of the value.
+   */
+  autocomplete.Chips.prototype.remove = function (index) {
+    var value = this.values.splice(index, 1)[0];
+    this.render();
+    this.sync(true);
+    Drupal.announce(Drupal.t('@label removed.', {'@label': valueLabel(value)}));
+
+    // Move the focus to the next chip, or to the textfield after the last one.
+    var $buttons = this.$list.find('.autocomplete-chip__remove');
+    (index < $buttons.length ? $buttons.eq(index) : this.$field).trigger('focus');
+  };
+
+  /**
+   * Renders the chips.
+   */
+  autocomplete.Chips.prototype.render = function () {
+    this.$list.html(this.values.map(function (value) {
+      return Drupal.theme('autocompleteChip', valueLabel(value));
+    }).join(''));
+    this.$field.prop('required', this.required && !this.values.length);
+  };
+
+  /**
+   * Updates the multi-value textfield.
+   *
+   * Text typed in the chips textfield but not turned into a chip yet is
+   * included, like in a plain multi-value textfield.
+   *
+   * @param {bool} changed
+   *   Whether to trigger a change event on the multi-value textfield.
+   */
+  autocomplete.Chips.prototype.sync = function (changed) {
+    var values = this.values.slice();
+    var pending = $.trim(this.$field.val());
+    if (pending) {
+      values.push(encodeTerm(pending));
+    }
+    this.$input.val(values.join(', '));
+    if (changed) {
+      this.$input.trigger('change');
+    }
+  };
+
+  /**
+   * Handles keyboard navigation in the chips textfield.
+   *
+   * @param {jQuery.Event} event
+   *   The keydown event.
+   */
+  autocomplete.Chips.prototype.fieldKeydown = function (event) {
+    var instance = this.$field.data('ui-autocomplete');
+    var empty = this.$field.val() === '';
+    switch (event.keyCode) {
+      // Enter turns the typed text into a chip, unless a suggestion is
+      // selected.
+      case 13:
+        if (!empty && !(instance && instance.menu.active && instance.menu.element.is(':visible'))) {
+          event.preventDefault();
+          this.add(encodeTerm($.trim(this.$field.val())));
+        }
+        break;
+
+      // Backspace and left arrow move to the last chip.
+      case 8:
+      case 37:
+        if (empty && this.values.length) {
+          event.preventDefault();
+          this.$list.find('.autocomplete-chip__remove').eq(-1).trigger('focus');
+        }
+        break;
+    }
+  };
+
+  /**
+   * Handles keyboard navigation between chips.
+   *
+   * @param {jQuery.Event} event
+   *   The keydown event.
+   * @param {number} index
+   *   The index of the chip having the focus.
+   */
+  autocomplete.Chips.prototype.chipKeydown = function (event, index) {
+    var $buttons = this.$list.find('.autocomplete-chip__remove');
+    switch (event.keyCode) {
+      // Backspace and delete.
+      case 8:
+      case 46:
+        event.preventDefault();
+        this.remove(index);
+        break;
+
+      // Left arrow.
+      case 37:
+        event.preventDefault();
+        $buttons.eq(Math.max(0, index - 1)).trigger('focus');
+        break;
+
+      // Right arrow.
+      case 39:
+        event.preventDefault();
+        (index + 1 < $buttons.length ? $buttons.eq(index + 1) : this.$field).trigger('focus');
+        break;
+    }
+  };
+
+  /**
+   * Restores the multi-value textfield.
+   */
+  autocomplete.Chips.prototype.destroy = function () {
+    if (!this.$wrapper) {
+      return;
+    }
+    this.sync(false);
+    this.$field.autocomplete('destroy');
+    this.$wrapper.remove();
+    this.$wrapper = null;
+    this.$label.attr('for', this.$input.attr('id'));
+    this.$input
+      .attr(this.attributes)
+      .prop({hidden: false, required: this.required})
+      .toggleClass('error', this.error)
+      .removeData('autocompleteChips');
+  };
+
+  /**
+   * Theme function for a chip of a multi-value autocomplete textfield.
+   *
+   * @param {string} label
+   *   The label of the value.
+   *
+   * @return {string}
+   *   The HTML for the chip.
+   */
+  Drupal.theme.autocompleteChip = function (label) {
+    return '<li class="autocomplete-chip"><span class="autocomplete-chip__label">' + Drupal.checkPlain(label) + '</span>' +
+      '<button type="button" class="autocomplete-chip__remove" aria-label="' + Drupal.t('Remove @label', {'@label': label}) + '">&times;</button></li>';
+  };
+
 })(jQuery, Drupal);
@@ -14,33 +14,454 @@
    */
   Drupal.behaviors.batch = {
     attach: function (context, settings) {
-      var batch = settings.batch;
       var $progress = $('[data-drupal-progress]').once('batch');
-      var progressBar;
 
-      // Success: redirect to the summary.
-      function updateCallback(progress, status, pb) {
-        if (progress === '100') {
-          pb.stopMonitoring();
-          window.location = batch.uri + '&op=finished';
-        }
+      if ($progress.length) {
+        var batch = new Drupal.Batch(settings.batch);
+        // Remove HTML from no-js progress bar.
+        $progress.empty();
+        // Append the JS progressbar element and the controls of the batch.
+        $progress.append(batch.$errors, batch.progressBar.element, batch.$controls);
+        batch.start();
       }
+    }
+  };
 
-      function errorCallback(pb) {
-        $progress.prepend($('<p class="error"></p>').html(batch.errorMessage));
-        $('#wait').hide();
+  /**
+   * Formats a duration.
+   *
+   * @param {number} duration
+   *   The duration, in milliseconds.
+   *
+   * @return {string}
+   *   The duration with its two largest units, such as '2 min 5 sec'.
+   */
+  function formatDuration(duration) {
+    var seconds = Math.round(duration / 1000);
+    var units = [
+      [3600, '1 hour', '@count hours'],
+      [60, '1 min', '@count min'],
+      [1, '1 sec', '@count sec']
+    ];
+    var parts = [];
+    units.forEach(function (unit) {
+      if (parts.length < 2 && seconds >= unit[0]) {
+        parts.push(Drupal.formatPlural(Math.floor(seconds / unit[0]), unit[1], unit[2]));
+        seconds %= unit[0];
       }
+    });
+    return parts.length ? parts.join(' ') : Drupal.t('less than a second');
+  }
 
-      if ($progress.length) {
-        progressBar = new Drupal.ProgressBar('updateprogress', updateCallback, 'POST', errorCallback);
-        progressBar.setProgress(-1, batch.initMessage);
-        progressBar.startMonitoring(batch.uri + '&op=do', 10);
-        // Remove HTML from no-js progress bar.
-        $progress.empty();
-        // Append the JS progressbar element.
-        $progress.append(progressBar.element);
+  /**
+   * An error reported by the operations of a batch.
+   *
+   * @typedef {object} Drupal.Batch~error
+   *
+   * @prop {?number} operation
+   *   The number of the operation in its batch set, null when the request
+   *   failed.
+   * @prop {string} label
+   *   The label of the operation, or of the last operation run.
+   * @prop {Array.<string>} messages
+   *   The error messages.
+   */
+
+  /**
+   * Runs a batch, which can be paused, resumed and canceled.
+   *
+   * The state of the batch is kept in sessionStorage, so that a paused batch
+   * stays paused, with its errors and estimate, when the page is reloaded.
+   * sessionStorage belongs to the browser tab: once the tab is closed, opening
+   * the batch again resumes its processing, and only lists the errors reported
+   * from then on. All the errors are listed once the batch is finished.
+   *
+   * @constructor
+   *
+   * @param {object} settings
+   *   The batch settings.
+   * @param {string} settings.id
+   *   The ID of the batch.
+   * @param {string} settings.uri
+   *   The URI processing the batch.
+   * @param {string} settings.initMessage
+   *   The message shown until the first progress report.
+   * @param {string} settings.errorMessage
+   *   The message shown when a request fails.
+   */
+  Drupal.Batch = function (settings) {
+    var batch = this;
+
+    /**
+     * @type {object}
+     */
+    this.settings = settings;
+
+    /**
+     * The sessionStorage key of the state of the batch.
+     *
+     * @type {string}
+     */
+    this.storageKey = 'Drupal.batch.' + settings.id;
+
+    /**
+     * The state of the batch, kept in sessionStorage.
+     *
+     * @type {object}
+     *
+     * @prop {bool} paused
+     *   Whether the batch was paused.
+     * @prop {Array.<Drupal.Batch~error>} errors
+     *   The errors reported so far.
+     * @prop {?number} rate
+     *   The average progress, in percent a millisecond.
+     * @prop {?Array} progress
+     *   The last progress report: the percentage, message and label.
+     */
+    this.state = $.extend({paused: false, errors: [], rate: null, progress: null}, this.load());
+
+    /**
+     * The percentage and time of the last progress report.
+     *
+     * @type {?object}
+     */
+    this.lastReport = null;
+
+    /**
+     * The running request, if any.
+     *
+     * @type {?jqXHR}
+     */
+    this.request = null;
+
+    /**
+     * Whether the batch is canceled once the running request completes.
+     *
+     * @type {bool}
+     */
+    this.canceled = false;
+
+    /**
+     * Whether the page is being left for the summary of the batch.
+     *
+     * @type {bool}
+     */
+    this.finished = false;
+
+    /**
+     * @type {Drupal.ProgressBar}
+     */
+    this.progressBar = new Drupal.ProgressBar('updateprogress');
+
+    /**
+     * @type {jQuery}
+     */
+    this.$errors = $('<div class="batch-errors"></div>');
+
+    /**
+     * @type {jQuery}
+     */
+    this.$controls = $(Drupal.theme('batchControls'));
+
+    this.$controls.on('click', '.batch-controls__pause', function () {
+      if (batch.state.paused) {
+        batch.resume();
+      }
+      else {
+        batch.pause();
+      }
+    });
+    this.$controls.on('click', '.batch-controls__cancel', function () {
+      batch.cancel();
+    });
+  };
+
+  $.extend(Drupal.Batch.prototype, /** @lends Drupal.Batch# */{
+
+    /**
+     * Starts processing the batch, unless it was paused.
+     */
+    start: function () {
+      if (this.state.progress) {
+        this.progressBar.setProgress.apply(this.progressBar, this.state.progress);
+      }
+      else {
+        this.progressBar.setProgress(-1, this.settings.initMessage);
+      }
+      this.update();
+      if (!this.state.paused) {
+        this.process();
+      }
+    },
+
+    /**
+     * Stops processing the batch once the running request completes.
+     */
+    pause: function () {
+      this.state.paused = true;
+      this.lastReport = null;
+      this.save();
+      this.update();
+    },
+
+    /**
+     * Processes the batch again.
+     */
+    resume: function () {
+      this.state.paused = false;
+      this.save();
+      this.update();
+      if (!this.request) {
+        this.process();
+      }
+    },
+
+    /**
+     * Stops the batch once the running request completes.
+     *
+     * The operations completed so far are kept. The 'finished' callbacks of
+     * the batch run as when an error stops the batch, with the operations left
+     * to process.
+     */
+    cancel: function () {
+      this.canceled = true;
+      this.update();
+      if (!this.request) {
+        this.finish();
+      }
+    },
+
+    /**
+     * Gets the estimated time remaining.
+     *
+     * @return {?number}
+     *   The time, in milliseconds, null when it's unknown.
+     */
+    getEstimate: function () {
+      var progress = this.state.progress;
+      if (!this.state.rate || !progress || progress[0] < 0) {
+        return null;
+      }
+      return (100 - progress[0]) / this.state.rate;
+    },
+
+    /**
+     * Requests the processing of the next operations.
+     */
+    process: function () {
+      var batch = this;
+      this.request = $.ajax({
+        type: 'POST',
+        url: this.settings.uri + '&op=do&_format=json',
+        // When doing a post request, you need non-null data. Otherwise a
+        // HTTP 411 or HTTP 406 (with Apache mod_security) error may result.
+        data: '',
+        dataType: 'json'
+      });
+      this.request
+        .done(function (progress) {
+          if (progress.status === 0) {
+            batch.addError(null, progress.data);
+            batch.pause();
+            return;
+          }
+          (progress.errors || []).forEach(function (error) {
+            batch.addError(error.operation, error.messages, error.label);
+          });
+          batch.report(parseFloat(progress.percentage), progress.message, progress.label);
+        })
+        .fail(function (xmlhttp) {
+          // Operations failing with a fatal error pause the batch, so that it
+          // can be retried or canceled.
+          var error = new Drupal.AjaxError(xmlhttp, batch.settings.uri);
+          batch.addError(null, [batch.settings.errorMessage, Drupal.checkPlain(error.message)]);
+          batch.pause();
+        })
+        .always(function () {
+          batch.request = null;
+          if (batch.canceled) {
+            batch.finish();
+          }
+          else if (!batch.state.paused && batch.state.progress[0] < 100) {
+            batch.process();
+          }
+        });
+    },
+
+    /**
+     * Records a progress report and updates the estimate.
+     *
+     * @param {number} percentage
+     *   The completion of the batch set, in percent.
+     * @param {string} message
+     *   The progress message.
+     * @param {string} label
+     *   The label of the current operation.
+     */
+    report: function (percentage, message, label) {
+      var now = Date.now();
+      var last = this.lastReport;
+      // The percentage starts afresh with each batch set.
+      if (last && percentage > last.percentage) {
+        var rate = (percentage - last.percentage) / (now - last.time);
+        // Recent throughput weighs more, as operations may vary in speed.
+        this.state.rate = this.state.rate ? 0.3 * rate + 0.7 * this.state.rate : rate;
+      }
+      else if (last && percentage < last.percentage) {
+        this.state.rate = null;
+      }
+      this.lastReport = {percentage: percentage, time: now};
+      this.state.progress = [percentage, message, label];
+      this.save();
+
+      this.progressBar.setProgress(percentage, message, label);
+      this.update();
+      if (percentage === 100) {
+        this.finish();
+      }
+    },
+
+    /**
+     * Records an error.
+     *
+     * @param {?number} operation
+     *   The number of the operation, null when the request failed.
+     * @param {string|Array.<string>} messages
+     *   The error messages.
+     * @param {string} [label]
+     *   The label of the operation.
+     */
+    addError: function (operation, messages, label) {
+      var progress = this.state.progress;
+      this.state.errors.push({
+        operation: operation,
+        label: label || (progress ? progress[2] : '') || '',
+        messages: $.isArray(messages) ? messages : [messages]
+      });
+      this.save();
+      this.update();
+    },
+
+    /**
+     * Leaves the page for the summary of the batch.
+     */
+    finish: function () {
+      // A batch canceled while its last operations run completes anyway.
+      if (this.finished) {
+        return;
+      }
+      this.finished = true;
+      this.clear();
+      window.location = this.settings.uri + '&op=finished';
+    },
+
+    /**
+     * Updates the controls, the estimate and the errors.
+     */
+    update: function () {
+      var estimate = this.getEstimate();
+      var status = '';
+      if (this.canceled) {
+        status = Drupal.t('Canceling after the current operation.');
+      }
+      else if (this.state.paused) {
+        status = this.request ? Drupal.t('Pausing after the current operation.') : Drupal.t('Paused.');
+      }
+      else if (estimate !== null) {
+        status = Drupal.t('About @time remaining.', {'@time': formatDuration(estimate)});
+      }
+      this.$controls.find('.batch-controls__status').text(status);
+      this.$controls.find('.batch-controls__pause')
+        .text(this.state.paused ? Drupal.t('Resume') : Drupal.t('Pause'))
+        .prop('disabled', this.canceled);
+      this.$controls.find('.batch-controls__cancel').prop('disabled', this.canceled);
+      this.$errors.html(this.state.errors.length ? Drupal.theme('batchErrors', this.state.errors) : '');
+    },
+
+    /**
+     * Loads the state of the batch from sessionStorage.
+     *
+     * @return {?object}
+     *   The state, if any.
+     */
+    load: function () {
+      // Accessing sessionStorage throws when it is disabled.
+      try {
+        return JSON.parse(window.sessionStorage.getItem(this.storageKey));
+      }
+      catch (e) {
+        return null;
+      }
+    },
+
+    /**
+     * Saves the state of the batch in sessionStorage.
+     */
+    save: function () {
+      try {
+        window.sessionStorage.setItem(this.storageKey, JSON.stringify(this.state));
+      }
+      catch (e) {
+        // The state only lasts for the page then.
+      }
+    },
+
+    /**
+     * Removes the state of the batch from sessionStorage.
+     */
+    clear: function () {
+      try {
+        window.sessionStorage.removeItem(this.storageKey);
+      }
+      catch (e) {
+        // Nothing was stored.
       }
     }
+  });
+
+  /**
+   * Theme function for the controls of a batch.
+   *
+   * @return {string}
+   *   The HTML of the status line and buttons.
+   */
+  Drupal.theme.batchControls = function () {
+    return '<div class="batch-controls">' +
+      '<div class="batch-controls__status" aria-live="polite"></div>' +
+      '<button type="button" class="button batch-controls__pause">' + Drupal.t('Pause') + '</button> ' +
+      '<button type="button" class="button batch-controls__cancel">' + Drupal.t('Cancel') + '</button>' +
+      '</div>';
+  };
+
+  /**
+   * Theme function for the errors of a batch.
+   *
+   * @param {Array.<Drupal.Batch~error>} errors
+   *   The errors.
+   *
+   * @return {string}
+   *   The HTML of the list of errors.
+   */
+  Drupal.theme.batchErrors = function (errors) {
+    // Labels are HTML, like progress messages, and placeholders take text.
+    var text = document.implementation.createHTMLDocument('').createElement('div');
+    var items = errors.map(function (error) {
+      var title = '';
+      text.innerHTML = error.label;
+      if (error.operation !== null) {
+        title = error.label ? Drupal.t('Operation @number (@label):', {'@number': error.operation, '@label': text.textContent}) : Drupal.t('Operation @number:', {'@number': error.operation});
+      }
+      else if (error.label) {
+        title = Drupal.t('After @label:', {'@label': text.textContent});
+      }
+      // Messages are sanitized by the operations, like the progress messages.
+      return '<li>' + (title ? title + ' ' : '') + error.messages.join(' ') + '</li>';
+    });
+    return '<div class="messages messages--error" role="alert">' +
+      '<h2 class="visually-hidden">' + Drupal.t('Error message') + '</h2>' +
+      Drupal.formatPlural(errors.length, '1 error has been reported.', '@count errors have been reported.') +
+      '<ul class="messages__list">' + items.join('') + '</ul>' +
+      '</div>';
   };
 
 })(jQuery, Drupal);
@@ -0,0 +1,216 @@
+/**
+ * @file
+ * Attaches behaviors to content inserted outside of Drupal's Ajax framework.
+ */
+
+(function (Drupal, drupalSettings, domready) {
+
+  'use strict';
+
+  /**
+   * Attaches and detaches behaviors as content is added to and removed from
+   * the page.
+   *
+   * Mutations are processed once per animation frame. Content whose behaviors
+   * were attached or detached explicitly in the meantime, like Ajax responses,
+   * is skipped, and so are elements moved within the page, whose behaviors
+   * stay attached.
+   *
+   * @namespace
+   */
+  Drupal.behaviorObserver = {
+
+    /**
+     * The mutation observer, null when not observing.
+     *
+     * @type {?MutationObserver}
+     */
+    observer: null,
+
+    /**
+     * The mutations to process.
+     *
+     * @type {Array.<MutationRecord>}
+     */
+    mutations: [],
+
+    /**
+     * The contexts behaviors were explicitly attached to since the last flush.
+     *
+     * @type {Array.<HTMLDocument|HTMLElement>}
+     */
+    attached: [],
+
+    /**
+     * The contexts behaviors were explicitly detached from since the last
+     * flush.
+     *
+     * @type {Array.<HTMLDocument|HTMLElement>}
+     */
+    detached: [],
+
+    /**
+     * Whether a flush is scheduled.
+     *
+     * @type {bool}
+     */
+    scheduled: false,
+
+    /**
+     * Starts observing an element.
+     *
+     * @param {HTMLElement} [root=document.body]
+     *   The element whose descendants are observed.
+     */
+    observe: function (root) {
+      if (typeof window.MutationObserver !== 'function') {
+        return;
+      }
+      var self = this;
+      this.disconnect();
+      this.observer = new MutationObserver(function (mutations) {
+        self.mutations = self.mutations.concat(mutations);
+        self.schedule();
+      });
+      this.observer.observe(root || document.body, {childList: true, subtree: true});
+    },
+
+    /**
+     * Stops observing, dropping the mutations not processed yet.
+     */
+    disconnect: function () {
+      if (this.observer) {
+        this.observer.disconnect();
+        this.observer = null;
+      }
+      this.mutations = [];
+      this.attached = [];
+      this.detached = [];
+    },
+
+    /**
+     * Schedules the processing of the mutations on the next animation frame.
+     */
+    schedule: function () {
+      if (this.scheduled) {
+        return;
+      }
+      var self = this;
+      var flush = function () {
+        self.scheduled = false;
+        self.flush();
+      };
+      this.scheduled = true;
+      if (window.requestAnimationFrame) {
+        window.requestAnimationFrame(flush);
+      }
+      else {
+        setTimeout(flush, 16);
+      }
+    },
+
+    /**
+     * Attaches and detaches behaviors for the mutations observed so far.
+     */
+    flush: function () {
+      if (this.observer) {
+        this.mutations = this.mutations.concat(this.observer.takeRecords());
+      }
+      var added = [];
+      var removed = [];
+      this.mutations.forEach(function (mutation) {
+        Array.prototype.forEach.call(mutation.addedNodes, function (node) {
+          if (node.nodeType === 1 && added.indexOf(node) === -1) {
+            added.push(node);
+          }
+        });
+        Array.prototype.forEach.call(mutation.removedNodes, function (node) {
+          if (node.nodeType === 1 && removed.indexOf(node) === -1) {
+            removed.push(node);
+          }
+        });
+      });
+
+      // Removed nodes still in the page were moved, and added nodes no longer
+      // in the page were removed again.
+      added = topmost(added.filter(function (node) {
+        return document.documentElement.contains(node) && removed.indexOf(node) === -1 && !within(node, this.attached);
+      }, this));
+      removed = topmost(removed.filter(function (node) {
+        return !document.documentElement.contains(node) && !within(node, this.detached);
+      }, this));
+
+      this.mutations = [];
+      this.attached = [];
+      this.detached = [];
+
+      // The contexts are recorded as explicit ones, so that the content
+      // behaviors add to them isn't processed on the next flush.
+      removed.forEach(function (node) {
+        Drupal.detachBehaviors(node, drupalSettings, 'unload');
+      });
+      added.forEach(function (node) {
+        Drupal.attachBehaviors(node, drupalSettings);
+      });
+    }
+  };
+
+  /**
+   * Checks whether a node is one of the given contexts or inside one.
+   *
+   * @param {Node} node
+   *   The node.
+   * @param {Array.<HTMLDocument|HTMLElement>} contexts
+   *   The contexts.
+   *
+   * @return {bool}
+   *   Whether the node is within one of the contexts.
+   */
+  function within(node, contexts) {
+    return contexts.some(function (context) {
+      return context === node || context.contains(node);
+    });
+  }
+
+  /**
+   * Keeps the nodes which are not inside another one of the nodes.
+   *
+   * @param {Array.<Node>} nodes
+   *   The nodes.
+   *
+   * @return {Array.<Node>}
+   *   The topmost nodes.
+   */
+  function topmost(nodes) {
+    return nodes.filter(function (node) {
+      return !nodes.some(function (other) {
+        return other !== node && other.contains(node);
+      });
+    });
+  }
+
+  // Record the contexts handled by explicit calls, so that the observer
+  // doesn't process their content a second time.
+  var attachBehaviors = Drupal.attachBehaviors;
+  var detachBehaviors = Drupal.detachBehaviors;
+  Drupal.attachBehaviors = function (context) {
+    var observer = Drupal.behaviorObserver;
+    if (observer.observer) {
+      observer.attached.push(context || document);
+    }
+    return attachBehaviors.apply(this, arguments);
+  };
+  Drupal.detachBehaviors = function (context) {
+    var observer = Drupal.behaviorObserver;
+    if (observer.observer) {
+      observer.detached.push(context || document);
+    }
+    return detachBehaviors.apply(this, arguments);
+  };
+
+  // Start observing once behaviors are attached to the page.
+  domready(function () {
+    Drupal.behaviorObserver.observe();
+  });
+
+})(Drupal, drupalSettings, domready);
@@ -31,16 +31,17 @@
 
       // Special behaviors specific when attaching content within a dialog.
       // These behaviors usually fire after a validation error inside a dialog.
-      var $dialog = $context.closest('.ui-dialog-content');
+      var $dialog = $context.closest('.ui-dialog-content, .drupal-dialog__content');
       if ($dialog.length) {
+        var backend = Drupal.dialog.getBackend($dialog);
         // Remove and replace the dialog buttons with those from the new form.
-        if ($dialog.dialog('option', 'drupalAutoButtons')) {
+        if (backend.option($dialog, 'drupalAutoButtons')) {
           // Trigger an event to detect/sync changes to buttons.
           $dialog.trigger('dialogButtonsChange');
         }
 
         // Force focus on the modal when the behavior is run.
-        $dialog.dialog('widget').trigger('focus');
+        backend.widget($dialog).trigger('focus');
       }
 
       var originalClose = settings.dialog.close;
@@ -138,9 +139,17 @@
     // Bind dialogButtonsChange.
     $dialog.on('dialogButtonsChange', function () {
       var buttons = Drupal.behaviors.dialog.prepareDialogButtons($dialog);
-      $dialog.dialog('option', 'buttons', buttons);
+      Drupal.dialog.getBackend($dialog).option($dialog, 'buttons', buttons);
     });
 
+    // Let the dialog manager open the dialogs of links again from the history
+    // or the URL.
+    var element_settings = ajax.element_settings || {};
+    if (element_settings.url && /^(modal|dialog)$/.test(element_settings.dialogType) && !ajax.$form) {
+      $dialog.data('drupalDialogRoute', {type: element_settings.dialogType, url: element_settings.url});
+    }
+    $dialog.data('drupalDialogRestored', !!element_settings.dialogRestored);
+
     // Open the dialog itself.
     response.dialogOptions = response.dialogOptions || {};
     var dialog = Drupal.dialog($dialog.get(0), response.dialogOptions);
@@ -205,7 +214,7 @@
   Drupal.AjaxCommands.prototype.setDialogOption = function (ajax, response, status) {
     var $dialog = $(response.selector);
     if ($dialog.length) {
-      $dialog.dialog('option', response.optionName, response.optionValue);
+      Drupal.dialog.getBackend($dialog).option($dialog, response.optionName, response.optionValue);
     }
   };
 
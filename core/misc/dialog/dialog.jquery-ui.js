@@ -1,9 +1,11 @@
 /**
  * @file
- * Adds default classes to buttons for styling purposes.
+ * The jQuery UI backend of Drupal.dialog.
+ *
+ * Also adds default classes to buttons for styling purposes.
  */
 
-(function ($) {
+(function ($, Drupal) {
 
   'use strict';
 
@@ -33,4 +35,33 @@
     }
   });
 
-})(jQuery);
+  /**
+   * Dialogs based on the jQuery UI dialog widget.
+   *
+   * @type {Drupal.dialog~backend}
+   */
+  Drupal.dialog.backends.jquery_ui = {
+    isSupported: function () {
+      return true;
+    },
+    open: function ($element, settings) {
+      $element.dialog(settings);
+    },
+    close: function ($element) {
+      $element.dialog('close');
+    },
+    isOpen: function ($element) {
+      return !!$element.data('ui-dialog') && $element.dialog('isOpen');
+    },
+    option: function ($element, name, value) {
+      if (arguments.length < 3) {
+        return $element.dialog('option', name);
+      }
+      return $element.dialog('option', name, value);
+    },
+    widget: function ($element) {
+      return $element.dialog('widget');
+    }
+  };
+
+})(jQuery, Drupal);
@@ -15,13 +15,17 @@
    * @type {object}
    *
    * @prop {bool} [autoOpen=true]
+   * @prop {string} [backend='jquery_ui']
+   *   The name of the backend of the dialogs, see
+   *   {@link Drupal.dialog.backends}.
    * @prop {string} [dialogClass='']
    * @prop {string} [buttonClass='button']
    * @prop {string} [buttonPrimaryClass='button--primary']
    * @prop {function} close
    */
-  drupalSettings.dialog = {
+  drupalSettings.dialog = $.extend({
     autoOpen: true,
+    backend: 'jquery_ui',
     dialogClass: '',
     // Drupal-specific extensions: see dialog.jquery-ui.js.
     buttonClass: 'button',
@@ -34,7 +38,7 @@
       Drupal.dialog(event.target).close();
       Drupal.detachBehaviors(event.target, null, 'unload');
     }
-  };
+  }, drupalSettings.dialog);
 
   /**
    * @typedef {object} Drupal.dialog~dialogDefinition
@@ -81,14 +85,14 @@
       settings = $.extend({}, drupalSettings.dialog, options, settings);
       // Trigger a global event to allow scripts to bind events to the dialog.
       $(window).trigger('dialog:beforecreate', [dialog, $element, settings]);
-      $element.dialog(settings);
+      Drupal.dialog.getBackend($element).open($element, settings);
       dialog.open = true;
       $(window).trigger('dialog:aftercreate', [dialog, $element, settings]);
     }
 
     function closeDialog(value) {
       $(window).trigger('dialog:beforeclose', [dialog, $element]);
-      $element.dialog('close');
+      Drupal.dialog.getBackend($element).close($element, value);
       dialog.returnValue = value;
       dialog.open = false;
       $(window).trigger('dialog:afterclose', [dialog, $element]);
@@ -97,4 +101,60 @@
     return dialog;
   };
 
+  /**
+   * @typedef {object} Drupal.dialog~backend
+   *
+   * @prop {function} isSupported
+   *   Returns whether the backend works in this browser.
+   * @prop {function} open
+   *   Opens the dialog of an element with the given settings.
+   * @prop {function} close
+   *   Closes the dialog of an element, with an optional return value.
+   * @prop {function} isOpen
+   *   Returns whether the dialog of an element is open.
+   * @prop {function} option
+   *   Gets an option of the dialog of an element, or sets options when given
+   *   a value or an object of options, like jQuery UI dialog's option method.
+   * @prop {function} widget
+   *   Returns the outermost element of the dialog of an element.
+   */
+
+  /**
+   * The dialog backends, keyed by name.
+   *
+   * @type {object.<string, Drupal.dialog~backend>}
+   */
+  Drupal.dialog.backends = {};
+
+  /**
+   * Gets the backend handling the dialog of an element.
+   *
+   * Elements keep the backend their dialog was opened with. Otherwise, the
+   * backend set in drupalSettings.dialog.backend is used when the browser
+   * supports it, or else the first supported one.
+   *
+   * @param {jQuery} [$element]
+   *   The element holding the dialog.
+   *
+   * @return {Drupal.dialog~backend}
+   *   The dialog backend.
+   */
+  Drupal.dialog.getBackend = function ($element) {
+    var backend = $element && $($element).data('drupalDialogBackend');
+    if (!backend) {
+      var backends = Drupal.dialog.backends;
+      var name = drupalSettings.dialog.backend;
+      if (!backends[name] || !backends[name].isSupported()) {
+        name = Object.keys(backends).filter(function (name) {
+          return backends[name].isSupported();
+        })[0] || name;
+      }
+      backend = backends[name];
+      if ($element) {
+        $($element).data('drupalDialogBackend', backend);
+      }
+    }
+    return backend;
+  };
+
 })(jQuery, Drupal, drupalSettings);
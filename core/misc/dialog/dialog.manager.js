@@ -0,0 +1,330 @@
+/**
+ * @file
+ * Keeps track of the open dialogs, their focus and the browser history.
+ */
+
+(function ($, Drupal) {
+
+  'use strict';
+
+  /**
+   * The URL fragment of a dialog, such as '#dialog=modal:/node/1/edit'.
+   *
+   * @type {RegExp}
+   */
+  var fragmentPattern = /^#dialog=(modal|dialog):(.+)$/;
+
+  /**
+   * A dialog that can be opened again from its URL.
+   *
+   * @typedef {object} Drupal~DialogManager~route
+   *
+   * @prop {string} type
+   *   The dialog type, 'modal' or 'dialog'.
+   * @prop {string} url
+   *   The local URL of the dialog content.
+   */
+
+  /**
+   * An open dialog.
+   *
+   * @typedef {object} Drupal~DialogManager~entry
+   *
+   * @prop {HTMLElement} element
+   *   The element holding the dialog.
+   * @prop {?HTMLElement} opener
+   *   The element that had the focus when the dialog opened.
+   * @prop {?Drupal~TabbingContext} tabbingContext
+   *   The tabbing constraint of a modal dialog.
+   * @prop {?Drupal~DialogManager~route} route
+   *   The route of the dialog, if it can be opened again.
+   * @prop {bool} pushed
+   *   Whether the dialog added an entry to the browser history.
+   */
+
+  /**
+   * Manages the stack of open dialogs.
+   *
+   * Dialogs opened on top of others are closed first, give the focus back to
+   * the element that opened them, and are closed by the browser Back button.
+   *
+   * @constructor Drupal~DialogManager
+   */
+  function DialogManager() {
+
+    /**
+     * The open dialogs, the topmost one last.
+     *
+     * @type {Array.<Drupal~DialogManager~entry>}
+     */
+    this.stack = [];
+
+    /**
+     * The element focused when the next dialog is created.
+     *
+     * @type {?HTMLElement}
+     */
+    this.opener = null;
+
+    /**
+     * Whether dialogs are being closed by a history move.
+     *
+     * @type {bool}
+     */
+    this.restoring = false;
+
+    /**
+     * The number of history moves made by the manager itself, to ignore.
+     *
+     * @type {number}
+     */
+    this.ignoredPops = 0;
+  }
+
+  $.extend(DialogManager.prototype, /** @lends Drupal~DialogManager# */{
+
+    /**
+     * Finds the position of a dialog in the stack.
+     *
+     * @param {HTMLElement} element
+     *   The element holding the dialog.
+     *
+     * @return {number}
+     *   The position of the dialog, -1 if it isn't open.
+     */
+    indexOf: function (element) {
+      for (var i = 0; i < this.stack.length; i++) {
+        if (this.stack[i].element === element) {
+          return i;
+        }
+      }
+      return -1;
+    },
+
+    /**
+     * Adds an opened dialog to the stack.
+     *
+     * A dialog opened again in the same element, like dialogs whose content
+     * is replaced, stays at its place with its new route.
+     *
+     * @param {jQuery} $element
+     *   The element holding the dialog.
+     * @param {object} settings
+     *   The dialog settings.
+     */
+    add: function ($element, settings) {
+      var element = $element[0];
+      var route = $element.data('drupalDialogRoute') || null;
+      // Dialogs opened from the history or the URL are part of it already.
+      var restored = !!$element.data('drupalDialogRestored');
+      var index = this.indexOf(element);
+      var opener = this.opener;
+      this.opener = null;
+
+      if (index !== -1) {
+        this.stack[index].route = route;
+        this.updateHistory(false);
+        return;
+      }
+
+      var entry = {
+        element: element,
+        opener: opener,
+        tabbingContext: settings.modal ? Drupal.tabbingManager.constrain(Drupal.dialog.getBackend($element).widget($element)) : null,
+        route: route,
+        pushed: !restored
+      };
+      this.stack.push(entry);
+      this.updateHistory(entry.pushed);
+    },
+
+    /**
+     * Removes a closed dialog, and the ones opened on top of it, from the
+     * stack.
+     *
+     * @param {HTMLElement} element
+     *   The element holding the dialog.
+     */
+    remove: function (element) {
+      var index = this.indexOf(element);
+      if (index === -1) {
+        return;
+      }
+      var entries = this.stack.splice(index);
+      var pushed = 0;
+      // Close the dialogs opened on top of this one first.
+      entries.reverse().forEach(function (entry) {
+        var $entry = $(entry.element);
+        if (entry.element !== element && Drupal.dialog.getBackend($entry).isOpen($entry)) {
+          Drupal.dialog(entry.element).close();
+        }
+        if (entry.tabbingContext) {
+          entry.tabbingContext.release();
+        }
+        if (entry.pushed) {
+          pushed++;
+        }
+      });
+
+      // Give the focus back to the element that opened the dialog.
+      var opener = entries[entries.length - 1].opener;
+      if (opener && $.contains(document, opener)) {
+        $(opener).trigger('focus');
+      }
+
+      if (!this.restoring) {
+        if (pushed) {
+          this.ignoredPops++;
+          window.history.go(-pushed);
+        }
+        else {
+          this.updateHistory(false);
+        }
+      }
+    },
+
+    /**
+     * Records the stack of dialogs in the browser history.
+     *
+     * @param {bool} push
+     *   Whether to add a history entry rather than replace the current one.
+     */
+    updateHistory: function (push) {
+      var routes = this.stack.map(function (entry) {
+        return entry.route;
+      });
+      var state = $.extend({}, window.history.state, {drupalDialogs: routes});
+      var url = window.location.href.replace(/#.*$/, '');
+      var top = routes[routes.length - 1];
+      if (top) {
+        url += '#dialog=' + top.type + ':' + encodeURIComponent(top.url);
+      }
+      else if (window.location.hash && !fragmentPattern.test(window.location.hash)) {
+        url += window.location.hash;
+      }
+      window.history[push ? 'pushState' : 'replaceState'](state, '', url);
+    },
+
+    /**
+     * Opens or closes dialogs to match the history.
+     *
+     * @param {?object} state
+     *   The history state.
+     */
+    restoreHistory: function (state) {
+      if (this.ignoredPops) {
+        this.ignoredPops--;
+        return;
+      }
+      var routes = (state && state.drupalDialogs) || [];
+      if (this.stack.length > routes.length) {
+        var entry = this.stack[routes.length];
+        this.restoring = true;
+        Drupal.dialog(entry.element).close();
+        this.remove(entry.element);
+        this.restoring = false;
+      }
+      else if (this.stack.length < routes.length && routes[this.stack.length]) {
+        // Forward opens the dialog again, if it has a route.
+        this.open(routes[this.stack.length]);
+      }
+    },
+
+    /**
+     * Checks whether a dialog can be opened from its route.
+     *
+     * Only the routes recorded in the history by the manager, and the ones of
+     * the dialog links of the page, are opened: the URL fragment could
+     * otherwise request any URL of the site on page load.
+     *
+     * @param {Drupal~DialogManager~route} route
+     *   The route of the dialog.
+     *
+     * @return {bool}
+     *   Whether the dialog can be opened.
+     */
+    canOpen: function (route) {
+      if (!Drupal.url.isLocal(route.url)) {
+        return false;
+      }
+      var recorded = ((window.history.state && window.history.state.drupalDialogs) || []).some(function (recordedRoute) {
+        return recordedRoute && recordedRoute.type === route.type && recordedRoute.url === route.url;
+      });
+      return recorded || $('.use-ajax').filter(function () {
+        return $(this).data('dialog-type') === route.type && $(this).attr('href') === route.url;
+      }).length > 0;
+    },
+
+    /**
+     * Opens a dialog from its route.
+     *
+     * The history isn't changed, the dialog is expected to be part of it
+     * already. Routes that cannot be opened are ignored.
+     *
+     * @param {Drupal~DialogManager~route} route
+     *   The route of the dialog.
+     *
+     * @see Drupal~DialogManager#canOpen
+     */
+    open: function (route) {
+      if (!Drupal.ajax || !this.canOpen(route)) {
+        return;
+      }
+      Drupal.ajax({
+        url: route.url,
+        dialogType: route.type,
+        dialogRestored: true,
+        progress: {type: 'fullscreen'}
+      }).execute();
+    },
+
+    /**
+     * Opens the dialog of the URL fragment, if any.
+     */
+    openFromLocation: function () {
+      var match = fragmentPattern.exec(window.location.hash);
+      if (match) {
+        this.open({type: match[1], url: decodeURIComponent(match[2])});
+      }
+    }
+  });
+
+  /**
+   * @type {Drupal~DialogManager}
+   */
+  Drupal.dialogManager = new DialogManager();
+
+  /**
+   * Opens the dialog linked to by the URL fragment.
+   *
+   * @type {Drupal~behavior}
+   *
+   * @prop {Drupal~behaviorAttach} attach
+   *   Opens the dialog of the URL fragment on page load.
+   */
+  Drupal.behaviors.dialogManager = {
+    attach: function () {
+      $('body').once('dialog-manager').each(function () {
+        Drupal.dialogManager.openFromLocation();
+      });
+    }
+  };
+
+  $(window).on({
+    'dialog:beforecreate': function (e, dialog, $element) {
+      if (Drupal.dialogManager.indexOf($element[0]) === -1) {
+        Drupal.dialogManager.opener = document.activeElement;
+      }
+    },
+    'dialog:aftercreate': function (e, dialog, $element, settings) {
+      Drupal.dialogManager.add($element, settings);
+    },
+    'dialog:afterclose': function (e, dialog, $element) {
+      Drupal.dialogManager.remove($element[0]);
+    },
+    'popstate': function (e) {
+      Drupal.dialogManager.restoreHistory(e.originalEvent.state);
+    }
+  });
+
+})(jQuery, Drupal);
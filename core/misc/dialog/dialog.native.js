@@ -0,0 +1,212 @@
+/**
+ * @file
+ * The native HTML dialog element backend of Drupal.dialog.
+ *
+ * Used when drupalSettings.dialog.backend is 'native', which the
+ * core/drupal.dialog.native library sets. Browsers without the dialog element
+ * fall back to the jQuery UI backend when it is loaded.
+ */
+
+(function ($, Drupal) {
+
+  'use strict';
+
+  /**
+   * The number of dialogs created, to build unique IDs.
+   *
+   * @type {number}
+   */
+  var counter = 0;
+
+  /**
+   * Gets the dialog element wrapping an element.
+   *
+   * @param {jQuery} $element
+   *   The element holding the dialog.
+   *
+   * @return {jQuery}
+   *   The dialog element, empty if the dialog was never opened.
+   */
+  function getDialog($element) {
+    return $($element.data('drupalDialogNative') || []);
+  }
+
+  /**
+   * Converts a size option to CSS.
+   *
+   * @param {number|string} value
+   *   The size, in pixels or as a CSS length.
+   *
+   * @return {string}
+   *   The CSS length, or an empty string for 'auto'.
+   */
+  function cssSize(value) {
+    if (!value || value === 'auto') {
+      return '';
+    }
+    return typeof value === 'number' || /^\d+$/.test(value) ? value + 'px' : value;
+  }
+
+  /**
+   * Applies the dialog options to the dialog element.
+   *
+   * @param {jQuery} $element
+   *   The element holding the dialog.
+   */
+  function render($element) {
+    var settings = $element.data('drupalDialogSettings');
+    var $dialog = getDialog($element);
+    var title = settings.title || $element.attr('title') || '';
+
+    $dialog
+      .attr('class', 'drupal-dialog ' + (settings.dialogClass || ''))
+      .css({
+        width: cssSize(settings.width),
+        height: cssSize(settings.height),
+        minWidth: cssSize(settings.minWidth),
+        maxWidth: cssSize(settings.maxWidth),
+        maxHeight: cssSize(settings.maxHeight)
+      });
+    $dialog.children('.drupal-dialog__titlebar').find('.drupal-dialog__title').text(title);
+    $dialog.children('.drupal-dialog__titlebar').find('.drupal-dialog__close')
+      .attr('aria-label', settings.closeText || Drupal.t('Close'));
+
+    // Buttons are given like for jQuery UI dialogs: either an array of button
+    // definitions or an object of click handlers keyed by button text.
+    var buttons = settings.buttons || [];
+    if (!$.isArray(buttons)) {
+      buttons = Object.keys(buttons).map(function (text) {
+        return {text: text, click: buttons[text]};
+      });
+    }
+    var $buttonset = $dialog.children('.drupal-dialog__buttonpane').empty().prop('hidden', !buttons.length);
+    buttons.forEach(function (button) {
+      $('<button type="button"></button>')
+        .text(button.text)
+        .addClass(button['class'])
+        .addClass(settings.buttonClass)
+        .toggleClass(settings.buttonPrimaryClass, !!button.primary)
+        .on('click', function () {
+          if (button.click) {
+            button.click.apply($element[0], arguments);
+          }
+        })
+        .appendTo($buttonset);
+    });
+  }
+
+  /**
+   * Dialogs based on the native HTML dialog element.
+   *
+   * The dialog element wraps the element holding the dialog content, between
+   * a title bar and a button pane. Modal dialogs make the rest of the page
+   * inert.
+   *
+   * @type {Drupal.dialog~backend}
+   */
+  Drupal.dialog.backends.native = {
+    isSupported: function () {
+      return typeof window.HTMLDialogElement === 'function' && typeof window.HTMLDialogElement.prototype.showModal === 'function';
+    },
+    open: function ($element, settings) {
+      var $dialog = getDialog($element);
+      if (!$dialog.length) {
+        var titleId = 'drupal-dialog-title-' + (++counter);
+        $dialog = $(Drupal.theme('dialogNative', titleId)).appendTo('body');
+        $element.data('drupalDialogNative', $dialog[0]).addClass('drupal-dialog__content');
+        $dialog.children('.drupal-dialog__buttonpane').before($element.show());
+
+        $dialog.children('.drupal-dialog__titlebar').on('click', '.drupal-dialog__close', function () {
+          Drupal.dialog.backends.native.close($element);
+        });
+        $dialog.on('cancel', function (event) {
+          if ($element.data('drupalDialogSettings').closeOnEscape === false) {
+            event.preventDefault();
+          }
+        });
+        $dialog.on('close', function () {
+          var closeEvent = $.Event('dialogclose', {target: $element[0]});
+          $element.trigger(closeEvent);
+          var close = $element.data('drupalDialogSettings').close;
+          if (close) {
+            close.call($element[0], closeEvent);
+          }
+          // The close callback may remove the element, like AJAX dialogs do.
+          if (!$.contains(document, $element[0])) {
+            $dialog.remove();
+          }
+        });
+      }
+      $element.data('drupalDialogSettings', $.extend({}, $element.data('drupalDialogSettings'), settings));
+      render($element);
+
+      var dialog = $dialog[0];
+      if (settings.autoOpen !== false && !Drupal.dialog.backends.native.isOpen($element)) {
+        if (typeof dialog.showModal === 'function') {
+          dialog[settings.modal ? 'showModal' : 'show']();
+        }
+        else {
+          // The dialog element isn't supported and jQuery UI isn't loaded:
+          // show the dialog, without making the page inert.
+          $dialog.attr('open', 'open');
+        }
+        $element.trigger('dialogopen');
+      }
+    },
+    close: function ($element, value) {
+      var $dialog = getDialog($element);
+      if (!Drupal.dialog.backends.native.isOpen($element)) {
+        return;
+      }
+      if (typeof $dialog[0].close === 'function') {
+        $dialog[0].close(typeof value === 'string' ? value : '');
+      }
+      else {
+        $dialog.removeAttr('open').trigger('close');
+      }
+    },
+    isOpen: function ($element) {
+      return getDialog($element).is('[open]');
+    },
+    option: function ($element, name, value) {
+      var settings = $element.data('drupalDialogSettings') || {};
+      if (typeof name === 'string' && arguments.length < 3) {
+        return settings[name];
+      }
+      if (typeof name === 'string') {
+        settings[name] = value;
+      }
+      else {
+        $.extend(settings, name);
+      }
+      $element.data('drupalDialogSettings', settings);
+      if (getDialog($element).length) {
+        render($element);
+      }
+      return $element;
+    },
+    widget: function ($element) {
+      return getDialog($element);
+    }
+  };
+
+  /**
+   * Theme function for a native dialog, without its content.
+   *
+   * @param {string} titleId
+   *   The ID of the title of the dialog.
+   *
+   * @return {string}
+   *   The HTML of the dialog element.
+   */
+  Drupal.theme.dialogNative = function (titleId) {
+    return '<dialog class="drupal-dialog" aria-labelledby="' + titleId + '">' +
+      '<div class="drupal-dialog__titlebar">' +
+      '<h2 class="drupal-dialog__title" id="' + titleId + '"></h2>' +
+      '<button type="button" class="drupal-dialog__close">&times;</button>' +
+      '</div>' +
+      '<div class="drupal-dialog__buttonpane form-actions" hidden></div>' +
+      '</dialog>';
+  };
+
+})(jQuery, Drupal);
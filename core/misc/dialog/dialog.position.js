@@ -91,6 +91,10 @@
 
   $(window).on({
     'dialog:aftercreate': function (event, dialog, $element, settings) {
+      // Other backends size their dialogs with CSS.
+      if (Drupal.dialog.getBackend($element) !== Drupal.dialog.backends.jquery_ui) {
+        return;
+      }
       var autoResize = debounce(resetSize, 20);
       var eventData = {settings: settings, $element: $element};
       if (settings.autoResize === true || settings.autoResize === 'true') {
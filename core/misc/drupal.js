@@ -95,6 +95,11 @@ window.Drupal = {behaviors: {}, locale: {}};
    *   Function run on page load and after an Ajax call.
    * @prop {Drupal~behaviorDetach} detach
    *   Function run when content is serialized or removed from the page.
+   * @prop {Array.<string>} [dependencies]
+   *   The names of the behaviors to run before this one, if they exist.
+   * @prop {number} [weight=0]
+   *   Behaviors with lighter weights run first, unless they depend on heavier
+   *   ones.
    */
 
   /**
@@ -105,6 +110,104 @@ window.Drupal = {behaviors: {}, locale: {}};
    * @type {Object.<string, Drupal~behavior>}
    */
 
+  /**
+   * The order of the behaviors, as sorted for the behavior names in key.
+   *
+   * @type {{key: ?string, names: Array.<string>}}
+   */
+  var behaviorOrder = {key: null, names: []};
+
+  /**
+   * Sorts behaviors by their dependencies and weights.
+   *
+   * Behaviors of the same weight keep the order in which they were defined.
+   *
+   * @param {Object.<string, Drupal~behavior>} behaviors
+   *   The behaviors, keyed by name.
+   *
+   * @return {Array.<string>}
+   *   The names of the behaviors, in the order to attach them.
+   */
+  function sortBehaviors(behaviors) {
+    var names = Object.keys(behaviors);
+    var position = {};
+    names.forEach(function (name, index) {
+      position[name] = index;
+    });
+    names.sort(function (a, b) {
+      return ((behaviors[a] && behaviors[a].weight) || 0) - ((behaviors[b] && behaviors[b].weight) || 0) || position[a] - position[b];
+    });
+
+    var sorted = [];
+    // Behaviors being visited, and visited.
+    var visiting = {};
+    var visited = {};
+    function visit(name, path) {
+      if (visited[name]) {
+        return;
+      }
+      if (visiting[name]) {
+        Drupal.throwError(new Error('Circular dependency between behaviors: ' + path.concat(name).join(' > ') + '.'));
+        return;
+      }
+      visiting[name] = true;
+      var dependencies = (behaviors[name] && behaviors[name].dependencies) || [];
+      dependencies.forEach(function (dependency) {
+        if (behaviors.hasOwnProperty(dependency)) {
+          visit(dependency, path.concat(name));
+        }
+      });
+      visited[name] = true;
+      sorted.push(name);
+    }
+    names.forEach(function (name) {
+      visit(name, []);
+    });
+    return sorted;
+  }
+
+  /**
+   * Runs the attach or detach function of each behavior.
+   *
+   * An error in a behavior doesn't stop the others, it is rethrown
+   * asynchronously.
+   *
+   * @param {string} phase
+   *   Either 'attach' or 'detach'.
+   * @param {Array} args
+   *   The arguments of the functions, the context first.
+   */
+  function runBehaviors(phase, args) {
+    var behaviors = Drupal.behaviors;
+    var profiler = Drupal.behaviorProfiler;
+    // Behaviors are only sorted again once behaviors are added or removed, so
+    // the weight and dependencies of a behavior can't be changed afterwards.
+    var key = Object.keys(behaviors).join(',');
+    if (behaviorOrder.key !== key) {
+      behaviorOrder = {key: key, names: sortBehaviors(behaviors)};
+    }
+    // Behaviors are detached in the reverse order, so that the ones depending
+    // on others are detached before them.
+    var names = phase === 'detach' ? behaviorOrder.names.slice().reverse() : behaviorOrder.names;
+    names.forEach(function (name) {
+      if (!behaviors[name] || typeof behaviors[name][phase] !== 'function') {
+        return;
+      }
+      var start = profiler.enabled ? profiler.now() : 0;
+      var error = null;
+      try {
+        behaviors[name][phase].apply(behaviors[name], args);
+      }
+      catch (e) {
+        error = e;
+        Drupal.throwError(e);
+      }
+      if (profiler.enabled) {
+        profiler.record(name, phase, args[0], profiler.now() - start, error);
+      }
+    });
+  }
+
   /**
    * Defines a behavior to be run during attach and detach phases.
    *
@@ -127,8 +230,13 @@ window.Drupal = {behaviors: {}, locale: {}};
    * of given elements, which may be needed on occasion despite the ability to
    * limit behavior attachment to a particular element.)
    *
+   * Behaviors run in the order they were defined, unless they declare the
+   * behaviors they depend on or a weight. Circular dependencies are reported
+   * as errors.
+   *
    * @example
    * Drupal.behaviors.behaviorName = {
+   *   dependencies: ['otherBehaviorName'],
    *   attach: function (context, settings) {
    *     // ...
    *   },
@@ -151,19 +259,7 @@ window.Drupal = {behaviors: {}, locale: {}};
   Drupal.attachBehaviors = function (context, settings) {
     context = context || document;
     settings = settings || drupalSettings;
-    var behaviors = Drupal.behaviors;
-    // Execute all of them.
-    for (var i in behaviors) {
-      if (behaviors.hasOwnProperty(i) && typeof behaviors[i].attach === 'function') {
-        // Don't stop the execution of behaviors in case of an error.
-        try {
-          behaviors[i].attach(context, settings);
-        }
-        catch (e) {
-          Drupal.throwError(e);
-        }
-      }
-    }
+    runBehaviors('attach', [context, settings]);
   };
 
   /**
@@ -202,6 +298,9 @@ window.Drupal = {behaviors: {}, locale: {}};
    *     that WYSIWYG editors can update the hidden textarea to which they are
    *     bound.
    *
+   * Behaviors are detached in the reverse order of their attachment, a
+   * behavior depending on another one is detached before it.
+   *
    * @throws {Drupal~DrupalBehaviorError}
    *
    * @see Drupal~behaviorDetach
@@ -211,21 +310,158 @@ window.Drupal = {behaviors: {}, locale: {}};
     context = context || document;
     settings = settings || drupalSettings;
     trigger = trigger || 'unload';
-    var behaviors = Drupal.behaviors;
-    // Execute all of them.
-    for (var i in behaviors) {
-      if (behaviors.hasOwnProperty(i) && typeof behaviors[i].detach === 'function') {
-        // Don't stop the execution of behaviors in case of an error.
+    runBehaviors('detach', [context, settings, trigger]);
+  };
+
+  /**
+   * Records the time behaviors take to attach and detach, and their errors.
+   *
+   * Enable it from the browser console, where `Drupal.behaviorProfiler.report()`
+   * then shows a table of the slowest behaviors. To also profile the initial
+   * page load, use `Drupal.behaviorProfiler.enable(true)` and reload the page.
+   *
+   * @namespace
+   */
+  Drupal.behaviorProfiler = {
+
+    /**
+     * Whether behaviors are profiled.
+     *
+     * @type {bool}
+     */
+    enabled: false,
+
+    /**
+     * The profiled runs of behaviors, in order of execution.
+     *
+     * @type {Array.<object>}
+     */
+    records: [],
+
+    /**
+     * The number of runs kept, the oldest ones are dropped beyond.
+     *
+     * @type {number}
+     */
+    maxRecords: 5000,
+
+    /**
+     * Enables the profiler.
+     *
+     * @param {bool} [persist=false]
+     *   Whether to keep profiling on the next page loads of this browser.
+     */
+    enable: function (persist) {
+      this.enabled = true;
+      if (persist) {
         try {
-          behaviors[i].detach(context, settings, trigger);
+          localStorage.setItem('Drupal.behaviorProfiler', '1');
         }
         catch (e) {
-          Drupal.throwError(e);
+          // The profiler is only enabled for this page then.
         }
       }
+    },
+
+    /**
+     * Disables the profiler, also on the next page loads.
+     */
+    disable: function () {
+      this.enabled = false;
+      try {
+        localStorage.removeItem('Drupal.behaviorProfiler');
+      }
+      catch (e) {
+        // Nothing was stored.
+      }
+    },
+
+    /**
+     * Removes the profiled runs.
+     */
+    clear: function () {
+      this.records = [];
+    },
+
+    /**
+     * Returns a timestamp in milliseconds, as precise as available.
+     *
+     * @return {number}
+     *   The current time in milliseconds.
+     */
+    now: function () {
+      return window.performance && window.performance.now ? window.performance.now() : Date.now();
+    },
+
+    /**
+     * Records a run of a behavior.
+     *
+     * @param {string} behavior
+     *   The name of the behavior.
+     * @param {string} phase
+     *   Either 'attach' or 'detach'.
+     * @param {HTMLDocument|HTMLElement} context
+     *   The context the behavior ran on.
+     * @param {number} duration
+     *   The duration of the run, in milliseconds.
+     * @param {?Error} error
+     *   The error thrown by the behavior, if any.
+     */
+    record: function (behavior, phase, context, duration, error) {
+      var label = 'document';
+      if (context.nodeType === 1) {
+        label = context.nodeName.toLowerCase() + (context.id ? '#' + context.id : '');
+      }
+      this.records.push({
+        behavior: behavior,
+        phase: phase,
+        context: label,
+        duration: duration,
+        error: error
+      });
+      if (this.records.length > this.maxRecords) {
+        this.records.splice(0, this.records.length - this.maxRecords);
+      }
+    },
+
+    /**
+     * Summarizes the profiled runs per behavior and phase.
+     *
+     * The summary is shown as a table in the browser console.
+     *
+     * @return {Array.<object>}
+     *   The summary rows, slowest first, with the behavior, phase, number of
+     *   runs, total and maximum duration in milliseconds and number of errors.
+     */
+    report: function () {
+      var rows = {};
+      this.records.forEach(function (record) {
+        var key = record.behavior + ':' + record.phase;
+        var row = rows[key] = rows[key] || {behavior: record.behavior, phase: record.phase, runs: 0, total: 0, max: 0, errors: 0};
+        row.runs++;
+        row.total += record.duration;
+        row.max = Math.max(row.max, record.duration);
+        row.errors += record.error ? 1 : 0;
+      });
+      var summary = Object.keys(rows).map(function (key) {
+        return rows[key];
+      }).sort(function (a, b) {
+        return b.total - a.total;
+      });
+      if (window.console) {
+        (window.console.table || window.console.log).call(window.console, summary);
+      }
+      return summary;
     }
   };
 
+  try {
+    Drupal.behaviorProfiler.enabled = localStorage.getItem('Drupal.behaviorProfiler') === '1';
+  }
+  catch (e) {
+    // Accessing localStorage throws when it is disabled.
+  }
+
   /**
    * Encodes special characters in a plain-text string for display as HTML.
    *
@@ -346,6 +582,352 @@ window.Drupal = {behaviors: {}, locale: {}};
     return fragments.join(args[key]);
   };
 
+  /**
+   * Instances of Intl formatters and rules, keyed by type and options.
+   *
+   * @type {object}
+   */
+  var intlCache = {};
+
+  /**
+   * Gets an Intl formatter or rules for the page language.
+   *
+   * @param {string} type
+   *   The Intl constructor: 'NumberFormat', 'DateTimeFormat' or
+   *   'PluralRules'.
+   * @param {object} [options]
+   *   The options of the constructor.
+   *
+   * @return {?object}
+   *   The instance, null if the browser doesn't support it.
+   */
+  function getIntl(type, options) {
+    var langcode = drupalSettings.path.currentLanguage;
+    var key = type + ':' + langcode + ':' + JSON.stringify(options || {});
+    if (!(key in intlCache)) {
+      intlCache[key] = null;
+      if (typeof Intl !== 'undefined' && Intl[type]) {
+        try {
+          intlCache[key] = new Intl[type](langcode, options);
+        }
+        catch (e) {
+          // Unknown languages fall back to the default locale of the browser.
+          intlCache[key] = new Intl[type](void 0, options);
+        }
+      }
+    }
+    return intlCache[key];
+  }
+
+  /**
+   * The Intl options of the styles of number, date and time arguments.
+   *
+   * Arguments without a style are formatted as 'decimal' numbers and 'medium'
+   * dates and times.
+   *
+   * @type {object}
+   */
+  var messageStyles = {
+    number: {
+      decimal: {},
+      integer: {maximumFractionDigits: 0},
+      percent: {style: 'percent'}
+    },
+    date: {
+      short: {year: '2-digit', month: 'numeric', day: 'numeric'},
+      medium: {year: 'numeric', month: 'short', day: 'numeric'},
+      long: {year: 'numeric', month: 'long', day: 'numeric'},
+      full: {weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'}
+    },
+    time: {
+      short: {hour: 'numeric', minute: 'numeric'},
+      medium: {hour: 'numeric', minute: 'numeric', second: 'numeric'},
+      long: {hour: 'numeric', minute: 'numeric', second: 'numeric', timeZoneName: 'short'},
+      full: {hour: 'numeric', minute: 'numeric', second: 'numeric', timeZoneName: 'short'}
+    }
+  };
+
+  /**
+   * Formats a number or a date argument of a message.
+   *
+   * @param {string} type
+   *   One of 'number', 'date' or 'time'.
+   * @param {string} style
+   *   The style of the argument, such as 'percent' or 'short'.
+   * @param {number|Date} value
+   *   The number, or the date as a Date or in milliseconds.
+   *
+   * @return {string}
+   *   The formatted value.
+   */
+  function formatMessageValue(type, style, value) {
+    var options = messageStyles[type][style] || messageStyles[type][type === 'number' ? 'decimal' : 'medium'];
+    if (type === 'number') {
+      var numberFormat = getIntl('NumberFormat', options);
+      return numberFormat ? numberFormat.format(value) : String(value);
+    }
+    var date = value instanceof Date ? value : new Date(value);
+    var dateFormat = getIntl('DateTimeFormat', options);
+    if (dateFormat) {
+      return dateFormat.format(date);
+    }
+    return type === 'date' ? date.toLocaleDateString() : date.toLocaleTimeString();
+  }
+
+  /**
+   * Gets the plural category of a number.
+   *
+   * @param {number} value
+   *   The number.
+   * @param {bool} ordinal
+   *   Whether the number is an ordinal.
+   *
+   * @return {string}
+   *   The CLDR plural category, such as 'one', 'few' or 'other'.
+   */
+  function getPluralCategory(value, ordinal) {
+    var rules = getIntl('PluralRules', {type: ordinal ? 'ordinal' : 'cardinal'});
+    if (rules) {
+      return rules.select(value);
+    }
+    return !ordinal && value === 1 ? 'one' : 'other';
+  }
+
+  /**
+   * Replaces the ICU MessageFormat arguments of a string.
+   *
+   * Supports plural, selectordinal and select arguments, which can be nested,
+   * as well as number, date and time arguments, formatted for the page
+   * language:
+   * @code
+   * '{count, plural, =0 {No items} one {# item} other {# items}} in %name'
+   * '{gender, select, female {She} male {He} other {They}} replied.'
+   * '{progress, number, percent} done on {now, date, long}'
+   * @endcode
+   * Plural categories follow the rules of the page language, with `#` standing
+   * for the formatted number. Simple `{name}` arguments are replaced by the
+   * matching `@name`, `%name`, `!name` or `:name` placeholder, so that
+   * {@link Drupal.formatString} escapes them as usual.
+   *
+   * @param {string} str
+   *   A string with ICU MessageFormat arguments.
+   * @param {object} args
+   *   The values of the arguments, keyed by name with or without the
+   *   placeholder prefix. {@link Drupal.t} only passes the ones with a prefix
+   *   on to {@link Drupal.formatString}.
+   *
+   * @return {string}
+   *   The string with the arguments replaced, still holding the placeholders
+   *   to pass to {@link Drupal.formatString}. Malformed strings are returned
+   *   unchanged.
+   */
+  Drupal.formatMessage = function (str, args) {
+    var pos = 0;
+    // Greater than 0 while parsing branches that are not selected, whose
+    // arguments are not formatted.
+    var skipping = 0;
+
+    function fail() {
+      throw new Error('Malformed message at position ' + pos + ': ' + str);
+    }
+
+    function skipSpace() {
+      while (/\s/.test(str.charAt(pos))) {
+        pos++;
+      }
+    }
+
+    function readWord() {
+      skipSpace();
+      var match = /^[^\s,{}]+/.exec(str.slice(pos));
+      if (!match) {
+        fail();
+      }
+      pos += match[0].length;
+      skipSpace();
+      return match[0];
+    }
+
+    function getKey(name) {
+      var prefixes = ['', '@', '%', '!', ':'];
+      for (var i = 0; i < prefixes.length; i++) {
+        if (args.hasOwnProperty(prefixes[i] + name)) {
+          return prefixes[i] + name;
+        }
+      }
+      return null;
+    }
+
+    // Parses text until the end of the string or of the current branch.
+    function parseText(number) {
+      var text = '';
+      while (pos < str.length && str.charAt(pos) !== '}') {
+        var character = str.charAt(pos);
+        if (character === '{') {
+          text += parseArgument();
+        }
+        else if (character === '#' && number !== null) {
+          text += skipping ? '' : formatMessageValue('number', 'decimal', number);
+          pos++;
+        }
+        else if (character === '\'' && str.charAt(pos + 1) === '\'') {
+          text += '\'';
+          pos += 2;
+        }
+        else if (character === '\'' && /[{}#]/.test(str.charAt(pos + 1))) {
+          // Quoted literal text.
+          var end = str.indexOf('\'', pos + 1);
+          end = end === -1 ? str.length : end;
+          text += str.slice(pos + 1, end);
+          pos = end + 1;
+        }
+        else {
+          text += character;
+          pos++;
+        }
+      }
+      return text;
+    }
+
+    function parseArgument() {
+      pos++;
+      var name = readWord();
+      var key = getKey(name);
+      var value = key === null ? null : args[key];
+      var type = '';
+      var style = '';
+
+      if (str.charAt(pos) === ',') {
+        pos++;
+        type = readWord();
+        if (str.charAt(pos) === ',' && /^(number|date|time)$/.test(type)) {
+          pos++;
+          style = readWord();
+        }
+      }
+
+      var result;
+      if (/^(plural|selectordinal|select)$/.test(type)) {
+        result = parseOptions(type, value);
+      }
+      else if (type && !/^(number|date|time)$/.test(type)) {
+        fail();
+      }
+      else if (skipping) {
+        result = '';
+      }
+      else if (!type && key === null) {
+        result = '{' + name + '}';
+      }
+      else if (!type) {
+        // Let Drupal.formatString() escape the value, as plain text when it
+        // has no placeholder prefix.
+        result = key === name ? Drupal.checkPlain(value) : key;
+      }
+      else {
+        result = Drupal.checkPlain(formatMessageValue(type, style, value));
+      }
+
+      if (str.charAt(pos) !== '}') {
+        fail();
+      }
+      pos++;
+      return result;
+    }
+
+    function parseOptions(type, value) {
+      var offset = 0;
+      var branches = {};
+      var number = type === 'select' ? null : parseFloat(value);
+      if (str.charAt(pos) !== ',') {
+        fail();
+      }
+      pos++;
+      skipSpace();
+      var match = /^offset:\s*(\d+)/.exec(str.slice(pos));
+      if (match && type === 'plural') {
+        offset = parseInt(match[1], 10);
+        pos += match[0].length;
+      }
+      skipSpace();
+      // Find where each branch starts, then format the selected one only:
+      // the values of the other branches may not be valid.
+      skipping++;
+      while (str.charAt(pos) !== '}') {
+        var selector = readWord();
+        if (str.charAt(pos) !== '{') {
+          fail();
+        }
+        pos++;
+        branches[selector] = pos;
+        parseText(number);
+        if (str.charAt(pos) !== '}') {
+          fail();
+        }
+        pos++;
+        skipSpace();
+        if (pos >= str.length) {
+          fail();
+        }
+      }
+      skipping--;
+      var end = pos;
+
+      var selected = 'other';
+      if (number === null) {
+        selected = String(value);
+      }
+      else if (branches.hasOwnProperty('=' + number)) {
+        selected = '=' + number;
+      }
+      else if (!isNaN(number)) {
+        selected = getPluralCategory(number - offset, type === 'selectordinal');
+      }
+      var start = branches.hasOwnProperty(selected) ? branches[selected] : branches.other;
+      if (typeof start === 'undefined') {
+        return '';
+      }
+      pos = start;
+      var text = parseText(number === null ? null : number - offset);
+      pos = end;
+      return text;
+    }
+
+    try {
+      var result = parseText(null);
+      if (pos < str.length) {
+        fail();
+      }
+      return result;
+    }
+    catch (e) {
+      Drupal.throwError(e);
+      return str;
+    }
+  };
+
+  /**
+   * The translations of the page language.
+   *
+   * Initialized from {@link drupalTranslations}, and completed or replaced
+   * when translations are loaded later on, such as the translations of the
+   * libraries of the page the Interface Translation module adds.
+   *
+   * @type {object}
+   *
+   * @prop {?string} langcode
+   *   The language code of the translations, if known.
+   * @prop {Object.<string, Object.<string, string>>} strings
+   *   The translated strings, keyed by context and source string.
+   * @prop {?object} pluralFormula
+   *   The plural formula of the language.
+   */
+  Drupal.locale.translations = {
+    langcode: null,
+    strings: (drupalTranslations && drupalTranslations.strings) || {},
+    pluralFormula: (drupalTranslations && drupalTranslations.pluralFormula) || null
+  };
+
   /**
    * Translates strings to the page language, or a given language.
    *
@@ -356,7 +938,9 @@ window.Drupal = {behaviors: {}, locale: {}};
    * @param {Object.<string, string>} [args]
    *   An object of replacements pairs to make after translation. Incidences
    *   of any key in this array are replaced with the corresponding value.
-   *   See {@link Drupal.formatString}.
+   *   See {@link Drupal.formatString}. Strings with ICU MessageFormat
+   *   arguments take their values from it too, see
+   *   {@link Drupal.formatMessage}.
    * @param {object} [options]
    *   Additional options for translation.
    * @param {string} [options.context='']
@@ -371,10 +955,21 @@ window.Drupal = {behaviors: {}, locale: {}};
     options.context = options.context || '';
 
     // Fetch the localized version of the string.
-    if (typeof drupalTranslations !== 'undefined' && drupalTranslations.strings && drupalTranslations.strings[options.context] && drupalTranslations.strings[options.context][str]) {
-      str = drupalTranslations.strings[options.context][str];
+    var strings = Drupal.locale.translations.strings;
+    if (strings[options.context] && strings[options.context][str]) {
+      str = strings[options.context][str];
     }
 
+    if (args && /\{\s*[^\s,{}]+\s*,\s*(plural|selectordinal|select|number|date|time)\s*[,}]/.test(str)) {
+      str = Drupal.formatMessage(str, args);
+      // Arguments without a placeholder prefix are only message arguments.
+      args = Object.keys(args).reduce(function (placeholders, key) {
+        if (/^[@%!:]/.test(key)) {
+          placeholders[key] = args[key];
+        }
+        return placeholders;
+      }, {});
+    }
     if (args) {
       str = Drupal.formatString(str, args);
     }
@@ -511,8 +1106,9 @@ window.Drupal = {behaviors: {}, locale: {}};
     var index = 0;
 
     // Determine the index of the plural form.
-    if (typeof drupalTranslations !== 'undefined' && drupalTranslations.pluralFormula) {
-      index = count in drupalTranslations.pluralFormula ? drupalTranslations.pluralFormula[count] : drupalTranslations.pluralFormula['default'];
+    var pluralFormula = Drupal.locale.translations.pluralFormula;
+    if (pluralFormula) {
+      index = count in pluralFormula ? pluralFormula[count] : pluralFormula['default'];
     }
     else if (args['@count'] !== 1) {
       index = 1;
@@ -0,0 +1,406 @@
+/**
+ * @file
+ * Saves drafts of form values in the browser and offers to restore them.
+ */
+
+(function ($, Drupal, drupalSettings) {
+
+  'use strict';
+
+  /**
+   * The fields left out of drafts.
+   *
+   * Hidden fields hold the form build ID and token, which must not be
+   * restored, and passwords must not be stored.
+   *
+   * @type {string}
+   */
+  var excludedFields = '[type="hidden"], [type="password"], [type="file"]';
+
+  /**
+   * The promise of the IndexedDB database, once opened.
+   *
+   * @type {?jQuery.Promise}
+   */
+  var database = null;
+
+  /**
+   * Saves drafts of the forms with autosave enabled.
+   *
+   * Drafts are saved on each change of the form, and the user is offered to
+   * restore the draft when the form is loaded again. Drafts are purged on the
+   * page following a successful submission, so that a submission failing
+   * because the session expired keeps the draft. The drafts of forms with a
+   * revision, such as the forms of existing entities, are also purged when the
+   * form is loaded with another revision, which means the data was changed in
+   * the meantime.
+   *
+   * @type {Drupal~behavior}
+   *
+   * @prop {Drupal~behaviorAttach} attach
+   *   Loads the draft of the forms and starts saving their drafts.
+   * @prop {Drupal~behaviorDetach} detach
+   *   Stops saving the drafts of the forms.
+   *
+   * @listens event:formUpdated
+   */
+  Drupal.behaviors.formAutosave = {
+    attach: function (context, settings) {
+      // Purge the drafts of the forms submitted successfully, before loading
+      // the drafts of the forms of the page.
+      if (settings.formAutosave && settings.formAutosave.purge) {
+        $('html').once('form-autosave-purge').each(function () {
+          settings.formAutosave.purge.forEach(Drupal.formAutosave.purge);
+        });
+      }
+      $(context).find('form[data-drupal-form-autosave]').addBack('form[data-drupal-form-autosave]')
+        .once('form-autosave')
+        .each(function () {
+          Drupal.formAutosave.attach(this);
+        });
+    },
+    detach: function (context, settings, trigger) {
+      if (trigger === 'unload') {
+        $(context).find('form[data-drupal-form-autosave]').addBack('form[data-drupal-form-autosave]')
+          .removeOnce('form-autosave')
+          .off('.formAutosave')
+          .find('.form-autosave').remove();
+      }
+    }
+  };
+
+  /**
+   * A draft of a form.
+   *
+   * @typedef {object} Drupal.formAutosave~draft
+   *
+   * @prop {string} key
+   *   The key of the draft, from the data-drupal-form-autosave attribute of
+   *   the form.
+   * @prop {number} time
+   *   The time the draft was saved, in milliseconds.
+   * @prop {string} revision
+   *   The revision of the form, if any.
+   * @prop {Array.<object>} values
+   *   The values of the form, as returned by jQuery.serializeArray().
+   */
+
+  /**
+   * Opens the IndexedDB database of the drafts.
+   *
+   * @return {jQuery.Promise}
+   *   A promise resolved with the database, rejected when IndexedDB isn't
+   *   available.
+   */
+  function openDatabase() {
+    if (!database) {
+      var deferred = $.Deferred();
+      database = deferred.promise();
+      // Accessing IndexedDB throws in some private browsing modes.
+      try {
+        var request = window.indexedDB.open('Drupal.formAutosave', 1);
+        request.onupgradeneeded = function () {
+          request.result.createObjectStore('drafts', {keyPath: 'key'});
+        };
+        request.onsuccess = function () {
+          deferred.resolve(request.result);
+        };
+        request.onerror = function () {
+          deferred.reject(request.error);
+        };
+      }
+      catch (e) {
+        deferred.reject(e);
+      }
+      database.done(function () {
+        Drupal.formAutosave.purgeExpired();
+      });
+    }
+    return database;
+  }
+
+  /**
+   * Runs a request on the drafts store.
+   *
+   * @param {string} mode
+   *   The transaction mode, 'readonly' or 'readwrite'.
+   * @param {function} callback
+   *   Called with the object store, returns the IDBRequest to run.
+   *
+   * @return {jQuery.Promise}
+   *   A promise resolved with the result of the request once the transaction
+   *   completes.
+   */
+  function transaction(mode, callback) {
+    return openDatabase().then(function (db) {
+      var deferred = $.Deferred();
+      var tx = db.transaction('drafts', mode);
+      var request = callback(tx.objectStore('drafts'));
+      tx.oncomplete = function () {
+        deferred.resolve(request.result);
+      };
+      tx.onerror = tx.onabort = function () {
+        deferred.reject(tx.error);
+      };
+      return deferred.promise();
+    });
+  }
+
+  /**
+   * Formats the time of a draft.
+   *
+   * @param {number} time
+   *   The time, in milliseconds.
+   *
+   * @return {string}
+   *   The time of the day for today's drafts, the date and time otherwise.
+   */
+  function formatTime(time) {
+    var date = new Date(time);
+    if (date.toDateString() === new Date().toDateString()) {
+      return date.toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'});
+    }
+    return date.toLocaleString([], {year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'});
+  }
+
+  /**
+   * Form drafts.
+   *
+   * @namespace
+   */
+  Drupal.formAutosave = {
+
+    /**
+     * The number of milliseconds drafts are kept for, a week by default.
+     *
+     * @type {number}
+     */
+    maxAge: 7 * 24 * 60 * 60 * 1000,
+
+    /**
+     * Loads the draft of a form and starts saving drafts of it.
+     *
+     * @param {HTMLFormElement} form
+     *   The form, with a data-drupal-form-autosave attribute.
+     */
+    attach: function (form) {
+      var $form = $(form);
+      var key = form.getAttribute('data-drupal-form-autosave');
+      var revision = Drupal.formAutosave.getRevision(form);
+      var initial = JSON.stringify(Drupal.formAutosave.getValues(form));
+      var saved = false;
+
+      Drupal.formAutosave.load(key).done(function (draft) {
+        // Leave newer values saved meanwhile alone.
+        if (!draft || saved) {
+          return;
+        }
+        if (draft.revision !== revision || JSON.stringify(draft.values) === initial) {
+          Drupal.formAutosave.purge(key);
+          return;
+        }
+        var $message = $(Drupal.theme('formAutosaveRestore', formatTime(draft.time)));
+        $message.on('click', '.form-autosave__restore', function () {
+          $message.remove();
+          Drupal.formAutosave.setValues(form, draft.values);
+        });
+        $message.on('click', '.form-autosave__discard', function () {
+          $message.remove();
+          if (!saved) {
+            Drupal.formAutosave.purge(key);
+          }
+        });
+        $form.prepend($message);
+      });
+
+      $form.on('formUpdated.formAutosave', function () {
+        var values = Drupal.formAutosave.getValues(form);
+        saved = true;
+        if (JSON.stringify(values) === initial) {
+          Drupal.formAutosave.purge(key);
+        }
+        else {
+          Drupal.formAutosave.save({key: key, time: Date.now(), revision: revision, values: values});
+        }
+      });
+    },
+
+    /**
+     * Gets the revision of a form.
+     *
+     * @param {HTMLFormElement} form
+     *   The form.
+     *
+     * @return {string}
+     *   The version of the data edited in the form, such as the time an
+     *   existing entity was last changed, an empty string if it has none.
+     */
+    getRevision: function (form) {
+      return form.getAttribute('data-drupal-form-autosave-revision') || '';
+    },
+
+    /**
+     * Gets the values of a form to save in a draft.
+     *
+     * @param {HTMLFormElement} form
+     *   The form.
+     *
+     * @return {Array.<object>}
+     *   The values, as returned by jQuery.serializeArray().
+     */
+    getValues: function (form) {
+      // Text editors update their textarea on the 'serialize' trigger.
+      var formats = drupalSettings.editor ? drupalSettings.editor.formats : {};
+      $(form).find('[data-editor-active-text-format]').each(function () {
+        var format = formats[this.getAttribute('data-editor-active-text-format')];
+        if (format && Drupal.editors[format.editor]) {
+          Drupal.editors[format.editor].detach(this, format, 'serialize');
+        }
+      });
+      return $(form.elements).not(excludedFields).serializeArray();
+    },
+
+    /**
+     * Restores the values of a draft in a form.
+     *
+     * Text format selectors are left as they are, the text of the fields with
+     * a text editor is restored in their current editor.
+     *
+     * @param {HTMLFormElement} form
+     *   The form.
+     * @param {Array.<object>} values
+     *   The values, as returned by jQuery.serializeArray().
+     */
+    setValues: function (form, values) {
+      var draft = {};
+      values.forEach(function (value) {
+        draft[value.name] = draft[value.name] || [];
+        draft[value.name].push(value.value);
+      });
+      var formats = drupalSettings.editor ? drupalSettings.editor.formats : {};
+
+      $(form.elements).not(excludedFields).not('[data-editor-for], button, [type="submit"], [type="button"], [type="reset"], [type="image"]').each(function () {
+        var element = this;
+        var previous = $(element).val();
+        if (!element.name) {
+          return;
+        }
+        if (element.type === 'checkbox' || element.type === 'radio') {
+          previous = element.checked;
+          element.checked = (draft[element.name] || []).indexOf(element.value) !== -1;
+          if (element.checked !== previous) {
+            $(element).trigger('change');
+          }
+          return;
+        }
+        if (element.tagName === 'SELECT') {
+          $(element.options).prop('selected', function () {
+            return (draft[element.name] || []).indexOf(this.value) !== -1;
+          });
+        }
+        else if (draft[element.name] && draft[element.name].length) {
+          var value = draft[element.name].shift();
+          var format = formats[element.getAttribute('data-editor-active-text-format')];
+          // Text editors are attached anew with the restored text.
+          if (format && Drupal.editors[format.editor]) {
+            Drupal.editorDetach(element, format, 'unload');
+            element.value = value;
+            element.setAttribute('data-editor-value-is-changed', 'true');
+            Drupal.editorAttach(element, format);
+            return;
+          }
+          element.value = value;
+        }
+        if (String($(element).val()) !== String(previous)) {
+          $(element).trigger('change');
+        }
+      });
+    },
+
+    /**
+     * Loads a draft.
+     *
+     * @param {string} key
+     *   The key of the draft.
+     *
+     * @return {jQuery.Promise}
+     *   A promise resolved with the draft, if any.
+     */
+    load: function (key) {
+      return transaction('readonly', function (store) {
+        return store.get(key);
+      });
+    },
+
+    /**
+     * Saves a draft.
+     *
+     * @param {Drupal.formAutosave~draft} draft
+     *   The draft.
+     *
+     * @return {jQuery.Promise}
+     *   A promise resolved once the draft is saved.
+     */
+    save: function (draft) {
+      return transaction('readwrite', function (store) {
+        return store.put(draft);
+      });
+    },
+
+    /**
+     * Deletes a draft.
+     *
+     * @param {string} key
+     *   The key of the draft.
+     *
+     * @return {jQuery.Promise}
+     *   A promise resolved once the draft is deleted.
+     */
+    purge: function (key) {
+      return transaction('readwrite', function (store) {
+        return store.delete(key);
+      });
+    },
+
+    /**
+     * Deletes the drafts older than {@link Drupal.formAutosave.maxAge}.
+     *
+     * @return {jQuery.Promise}
+     *   A promise resolved once the drafts are deleted.
+     */
+    purgeExpired: function () {
+      var expired = Date.now() - Drupal.formAutosave.maxAge;
+      return transaction('readwrite', function (store) {
+        var request = store.openCursor();
+        request.onsuccess = function () {
+          var cursor = request.result;
+          if (cursor) {
+            if (cursor.value.time < expired) {
+              cursor.delete();
+            }
+            cursor.continue();
+          }
+        };
+        return request;
+      });
+    }
+  };
+
+  /**
+   * Theme function for the offer to restore the draft of a form.
+   *
+   * @param {string} time
+   *   The formatted time the draft was saved.
+   *
+   * @return {string}
+   *   The HTML of the offer.
+   */
+  Drupal.theme.formAutosaveRestore = function (time) {
+    return '<div class="messages messages--status form-autosave" role="status">' +
+      Drupal.t('This form has changes that were not submitted.') + ' ' +
+      '<button type="button" class="button button--small form-autosave__restore">' + Drupal.t('Restore unsaved draft from @time', {'@time': time}) + '</button> ' +
+      '<button type="button" class="button button--small form-autosave__discard">' + Drupal.t('Discard') + '</button>' +
+      '</div>';
+  };
+
+})(jQuery, Drupal, drupalSettings);
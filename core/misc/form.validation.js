@@ -0,0 +1,463 @@
+/**
+ * @file
+ * Client-side validation of the Form API constraints.
+ */
+
+(function ($, Drupal, drupalSettings) {
+
+  'use strict';
+
+  /**
+   * The fields to validate.
+   *
+   * @type {string}
+   */
+  var fieldSelector = 'input:not([type="hidden"], [type="submit"], [type="button"], [type="reset"], [type="image"]), select, textarea';
+
+  /**
+   * Absolute URLs, like \Drupal\Component\Utility\UrlHelper::isValid().
+   *
+   * @type {RegExp}
+   */
+  var urlPattern = new RegExp('^(?:ftp|https?|feed):\\/\\/' +
+    // Userinfo.
+    '(?:(?:(?:[\\w.\\-+!$&\'()*+,;=]|%[0-9a-f]{2})+:)*(?:[\\w.\\-+%!$&\'()*+,;=]|%[0-9a-f]{2})+@)?' +
+    // Domain name, IPv4 or IPv6 address.
+    '(?:(?:[a-z0-9\\-.]|%[0-9a-f]{2})+|(?:\\[(?:[0-9a-f]{0,4}:)*(?:[0-9a-f]{0,4})\\]))' +
+    // Port, path and query.
+    '(?::[0-9]+)?(?:[\\/|?](?:[\\w#!:.?+=&@$\'~*,;\\/()\\[\\]\\-]|%[0-9a-f]{2})*)?$', 'i');
+
+  /**
+   * Email addresses, as defined by the HTML specification.
+   *
+   * @type {RegExp}
+   */
+  var emailPattern = /^[a-zA-Z0-9.!#$%&'*+\/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+
+  /**
+   * Validates the form submitted by an Ajax button before the request is sent.
+   *
+   * @param {Drupal.Ajax} ajax
+   *   The Ajax object of the button.
+   *
+   * @return {bool}
+   *   Whether the form is valid, or not validated.
+   */
+  function validateAjaxSubmit(ajax) {
+    var form = ajax.$form && ajax.$form.get(0);
+    var element = ajax.element;
+    if (!form || !form.hasAttribute('data-drupal-validate') || !$(element).is('[type="submit"], [type="image"], button:not([type])') || element.hasAttribute('formnovalidate')) {
+      return true;
+    }
+    if (Drupal.formValidation.validateForm(form).length) {
+      // Cancel the request like Drupal.Ajax.prototype.error() does, the
+      // behaviors detached to serialize the form are attached again.
+      ajax.ajaxing = false;
+      Drupal.attachBehaviors(form, ajax.settings || drupalSettings);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Validates the fields of the forms with client-side validation enabled.
+   *
+   * Fields are validated when they lose the focus after being changed, and
+   * the whole form is validated on submit, with Ajax buttons too, unless the
+   * button has the formnovalidate attribute.
+   *
+   * @type {Drupal~behavior}
+   *
+   * @prop {Drupal~behaviorAttach} attach
+   *   Starts validating the forms.
+   * @prop {Drupal~behaviorDetach} detach
+   *   Stops validating the forms.
+   */
+  Drupal.behaviors.formValidation = {
+    attach: function (context) {
+      // Ajax may be loaded after this file, wrap its submit handler once all
+      // the files are loaded.
+      if (Drupal.Ajax && !Drupal.Ajax.prototype.beforeSubmit.formValidation) {
+        var beforeSubmit = Drupal.Ajax.prototype.beforeSubmit;
+        Drupal.Ajax.prototype.beforeSubmit = function () {
+          if (!validateAjaxSubmit(this)) {
+            return false;
+          }
+          return beforeSubmit.apply(this, arguments);
+        };
+        Drupal.Ajax.prototype.beforeSubmit.formValidation = true;
+      }
+
+      $(context).find('form[data-drupal-validate]').addBack('form[data-drupal-validate]')
+        .once('form-validation')
+        .each(function () {
+          var submitter = null;
+          // The errors are shown by Drupal.formValidation instead.
+          this.noValidate = true;
+
+          $(this)
+            .on('input.formValidation change.formValidation', fieldSelector, function (event) {
+              var $field = $(this).data('formValidationTouched', true);
+              // Validate changed choices right away, and text as it is
+              // corrected.
+              if (event.type === 'change' || $field.attr('aria-invalid') === 'true') {
+                Drupal.formValidation.validate(this);
+              }
+            })
+            .on('focusout.formValidation', fieldSelector, function () {
+              if ($(this).data('formValidationTouched')) {
+                Drupal.formValidation.validate(this);
+              }
+            })
+            .on('click.formValidation', '[type="submit"], [type="image"], button:not([type])', function () {
+              submitter = this;
+            })
+            .on('submit.formValidation', function (event) {
+              var button = (event.originalEvent && event.originalEvent.submitter) || submitter;
+              submitter = null;
+              if (button && button.hasAttribute('formnovalidate')) {
+                return;
+              }
+              // Text editors update their textarea on the 'serialize' trigger.
+              Drupal.detachBehaviors(this, drupalSettings, 'serialize');
+              if (Drupal.formValidation.validateForm(this).length) {
+                event.preventDefault();
+              }
+            });
+        });
+    },
+    detach: function (context, settings, trigger) {
+      if (trigger === 'unload') {
+        $(context).find('form[data-drupal-validate]').addBack('form[data-drupal-validate]')
+          .removeOnce('form-validation')
+          .off('.formValidation');
+      }
+    }
+  };
+
+  // Keep track of the elements hidden by #states, their fields are skipped.
+  $(document).on('state:visible', function (e) {
+    if (e.trigger) {
+      $(e.target).closest('.js-form-item, .js-form-submit, .js-form-wrapper').data('formValidationHidden', !e.value);
+    }
+  });
+
+  /**
+   * Client-side form validation.
+   *
+   * @namespace
+   */
+  Drupal.formValidation = {
+
+    /**
+     * Validators of the fields, run in order until one fails.
+     *
+     * Each validator is called with the field and its title, and returns the
+     * error message, or an empty string if the field is valid. Contrib can add
+     * validators.
+     *
+     * @type {object.<string, function>}
+     */
+    validators: {
+      required: function (field, title) {
+        var $field = $(field);
+        if (!$field.is('[required]') || field.type === 'file') {
+          return '';
+        }
+        var empty;
+        if (field.type === 'radio') {
+          empty = !$(field.form).find('input[type="radio"]').filter(function () {
+            return this.name === field.name && this.checked;
+          }).length;
+        }
+        else if (field.type === 'checkbox') {
+          empty = !field.checked;
+        }
+        else {
+          empty = !$.trim([].concat($field.val() || []).join(''));
+        }
+        return empty ? Drupal.t('@name field is required.', {'@name': title}) : '';
+      },
+      maxlength: function (field, title) {
+        var max = parseInt(field.getAttribute('maxlength'), 10);
+        // Count characters like the server does: astral characters once and
+        // line breaks as submitted.
+        var length = (field.value || '').replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g, '_').replace(/\r?\n/g, '\r\n').length;
+        if (max >= 0 && length > max) {
+          return Drupal.t('@name cannot be longer than %max characters but is currently %length characters long.', {'@name': title, '%max': max, '%length': length});
+        }
+        return '';
+      },
+      pattern: function (field, title) {
+        var pattern = field.getAttribute('pattern');
+        if (pattern && field.value !== '' && !new RegExp('^(?:' + pattern + ')$').test(field.value)) {
+          return Drupal.t('%name field is not in the right format.', {'%name': title});
+        }
+        return '';
+      },
+      number: function (field, title) {
+        if (field.type !== 'number' && field.type !== 'range') {
+          return '';
+        }
+        if (field.validity && field.validity.badInput) {
+          return Drupal.t('%name must be a number.', {'%name': title});
+        }
+        if (field.value === '') {
+          return '';
+        }
+        var value = Number(field.value);
+        var min = field.getAttribute('min');
+        var max = field.getAttribute('max');
+        var step = field.getAttribute('step');
+        if (!isFinite(value)) {
+          return Drupal.t('%name must be a number.', {'%name': title});
+        }
+        if (min !== null && min !== '' && value < Number(min)) {
+          return Drupal.t('%name must be higher than or equal to %min.', {'%name': title, '%min': min});
+        }
+        if (max !== null && max !== '' && value > Number(max)) {
+          return Drupal.t('%name must be lower than or equal to %max.', {'%name': title, '%max': max});
+        }
+        if (step && step.toLowerCase() !== 'any') {
+          // Like \Drupal\Component\Utility\Number::validStep().
+          var offset = Math.abs(value - Number(min || 0));
+          var remainder = Math.abs(offset - Number(step) * Math.round(offset / Number(step)));
+          if (offset / Math.pow(2, 53) <= Number(step) && remainder > Number(step) / Math.pow(2, 24)) {
+            return Drupal.t('%name is not a valid number.', {'%name': title});
+          }
+        }
+        return '';
+      },
+      email: function (field) {
+        if (field.type === 'email' && field.value !== '' && !emailPattern.test(field.value)) {
+          return Drupal.t('The email address %mail is not valid.', {'%mail': field.value});
+        }
+        return '';
+      },
+      url: function (field) {
+        if (field.type === 'url' && field.value !== '' && !urlPattern.test(field.value)) {
+          return Drupal.t('The URL %url is not valid.', {'%url': field.value});
+        }
+        return '';
+      },
+      extensions: function (field) {
+        var extensions = field.getAttribute('data-drupal-validate-extensions');
+        if (!extensions || field.type !== 'file' || !field.value) {
+          return '';
+        }
+        var extensionPattern = extensions.replace(/,\s*/g, '|');
+        if (!new RegExp('\\.(' + extensionPattern + ')$', 'i').test(field.value)) {
+          // See Drupal.file.validateExtension() about the fakepath.
+          return Drupal.t('The selected file %filename cannot be uploaded. Only files with the following extensions are allowed: %extensions.', {
+            '%filename': field.value.replace('C:\\fakepath\\', ''),
+            '%extensions': extensionPattern.replace(/\|/g, ', ')
+          });
+        }
+        return '';
+      }
+    },
+
+    /**
+     * Gets the title of a field, as used in the messages.
+     *
+     * @param {HTMLElement} field
+     *   The field.
+     *
+     * @return {string}
+     *   The text of the label of the field, or of the legend of its group for
+     *   radios, defaulting to the name of the field.
+     */
+    getTitle: function (field) {
+      var $title = field.type === 'radio' ? $() : $(field.form || document).find('label[for="' + field.id + '"]');
+      if (!$title.length) {
+        $title = $(field).closest('fieldset').children('legend');
+      }
+      return $.trim($title.first().text()) || field.name;
+    },
+
+    /**
+     * Checks whether a field is left out of the validation.
+     *
+     * @param {HTMLElement} field
+     *   The field.
+     *
+     * @return {bool}
+     *   Whether the field is disabled or hidden by #states.
+     */
+    isSkipped: function (field) {
+      return field.disabled || $(field).parents().is(function () {
+        return $(this).data('formValidationHidden') === true;
+      });
+    },
+
+    /**
+     * Validates a field and shows or clears its error.
+     *
+     * @param {HTMLElement} field
+     *   The field.
+     *
+     * @return {string}
+     *   The error message, an empty string if the field is valid.
+     */
+    validate: function (field) {
+      var message = '';
+      if (!Drupal.formValidation.isSkipped(field)) {
+        var title = Drupal.formValidation.getTitle(field);
+        var validators = Drupal.formValidation.validators;
+        Object.keys(validators).some(function (name) {
+          message = validators[name](field, title);
+          return message;
+        });
+      }
+      Drupal.formValidation.clearError(field);
+      if (message) {
+        Drupal.formValidation.showError(field, message);
+      }
+      return message;
+    },
+
+    /**
+     * Validates all the fields of a form.
+     *
+     * The first invalid field is revealed and focused, and the errors are
+     * announced.
+     *
+     * @param {HTMLFormElement} form
+     *   The form.
+     *
+     * @return {Array.<HTMLElement>}
+     *   The invalid fields.
+     */
+    validateForm: function (form) {
+      var invalid = [];
+      var titles = [];
+      var radios = {};
+      $(form).find(fieldSelector).each(function () {
+        // Radios are validated as a group.
+        if (this.type === 'radio') {
+          if (radios[this.name]) {
+            return;
+          }
+          radios[this.name] = true;
+        }
+        if (Drupal.formValidation.validate(this)) {
+          invalid.push(this);
+          titles.push(Drupal.formValidation.getTitle(this));
+        }
+      });
+
+      if (invalid.length) {
+        // Reveal the first invalid field, in collapsed details or vertical
+        // tabs.
+        $(invalid[0]).parents('details').each(function () {
+          var tab = $(this).data('verticalTab');
+          if (tab) {
+            tab.focus();
+          }
+          $(this).prop('open', true);
+        });
+        invalid[0].focus();
+        Drupal.announce(Drupal.formatPlural(invalid.length, '1 error has been found: ', '@count errors have been found: ') + titles.join(', '), 'assertive');
+      }
+      return invalid;
+    },
+
+    /**
+     * Gets the element holding the error of a field.
+     *
+     * @param {HTMLElement} field
+     *   The field.
+     *
+     * @return {jQuery}
+     *   The form item of the field, or the group of radios.
+     */
+    getItem: function (field) {
+      var $field = $(field);
+      if (field.type === 'radio') {
+        var $group = $field.closest('fieldset');
+        if ($group.length) {
+          return $group;
+        }
+      }
+      return $field.closest('.js-form-item');
+    },
+
+    /**
+     * Shows the error of a field, the way the server renders it.
+     *
+     * @param {HTMLElement} field
+     *   The field.
+     * @param {string} message
+     *   The error message.
+     */
+    showError: function (field, message) {
+      var $item = Drupal.formValidation.getItem(field);
+      var id = (field.id || field.name) + '--error';
+      var $message = $(Drupal.theme('formValidationError', message)).attr('id', id);
+      var $description = $item.children('.description');
+      if ($description.length) {
+        $message.insertBefore($description.first());
+      }
+      else {
+        $item.append($message);
+      }
+      $item.addClass('form-item--error');
+      Drupal.formValidation.getFields(field)
+        .addClass('error')
+        .attr('aria-invalid', 'true')
+        .attr('aria-describedby', function (index, value) {
+          return $.trim((value || '') + ' ' + id);
+        });
+    },
+
+    /**
+     * Clears the error of a field, including the one rendered by the server.
+     *
+     * @param {HTMLElement} field
+     *   The field.
+     */
+    clearError: function (field) {
+      var $item = Drupal.formValidation.getItem(field);
+      var id = (field.id || field.name) + '--error';
+      $item.removeClass('form-item--error').children('.form-item--error-message').remove();
+      Drupal.formValidation.getFields(field)
+        .removeClass('error')
+        .removeAttr('aria-invalid')
+        .attr('aria-describedby', function (index, value) {
+          return value ? $.trim((' ' + value + ' ').replace(' ' + id + ' ', ' ')) || null : null;
+        });
+    },
+
+    /**
+     * Gets the fields sharing the error of a field.
+     *
+     * @param {HTMLElement} field
+     *   The field.
+     *
+     * @return {jQuery}
+     *   The radios of the group for a radio, the field otherwise.
+     */
+    getFields: function (field) {
+      if (field.type === 'radio') {
+        return $(field.form || document).find('input[type="radio"]').filter(function () {
+          return this.name === field.name;
+        });
+      }
+      return $(field);
+    }
+  };
+
+  /**
+   * Theme function for the inline error of a field.
+   *
+   * @param {string} message
+   *   The error message.
+   *
+   * @return {string}
+   *   The HTML of the error.
+   */
+  Drupal.theme.formValidationError = function (message) {
+    return '<div class="form-item--error-message">' + message + '</div>';
+  };
+
+})(jQuery, Drupal, drupalSettings);
@@ -41,6 +41,10 @@
      *     rather than the suffix of the source element.
      *   - field_prefix: The #field_prefix of the form element.
      *   - field_suffix: The #field_suffix of the form element.
+     *   - exists: The static or service method checking whether a machine
+     *     name exists, if the uniqueness check is enabled.
+     *   - exists_prefix: The text prepended to the machine name checked.
+     *   - exists_token: A token to validate the callable and the prefix.
      */
     attach: function (context, settings) {
       var self = this;
@@ -54,6 +58,43 @@
         data.$target.trigger('focus');
         data.$suffix.hide();
         data.$source.off('.machineName');
+        // The machine name is checked as it is edited.
+        data.$exists.insertAfter(data.$target);
+        data.$target.on('input.machineName', data, existsHandler);
+      }
+
+      function existsHandler(e) {
+        var data = e.data;
+        var machine = data.$target.val();
+        var edited = !data.$wrapper.hasClass('visually-hidden');
+
+        if (data.existsXhr) {
+          data.existsXhr.abort();
+          data.existsXhr = null;
+        }
+        clearTimeout(data.existsTimeout);
+        data.$exists.empty();
+        if (!data.options.exists || machine === '') {
+          return;
+        }
+
+        // Wait until the user stopped typing.
+        data.existsTimeout = setTimeout(function () {
+          data.existsXhr = self.checkExists(machine, data.options).done(function (result) {
+            data.existsXhr = null;
+            if (!result.exists) {
+              return;
+            }
+            if (!edited && result.suggestion) {
+              // Use the suggestion in the preview right away.
+              self.showMachineName(result.suggestion, data);
+              data.$exists.html(Drupal.t('%name is already in use, suggesting %suggestion.', {'%name': machine, '%suggestion': result.suggestion}));
+            }
+            else {
+              data.$exists.html(Drupal.theme('machineNameExists', machine, edited ? result.suggestion : null));
+            }
+          });
+        }, 300);
       }
 
       function machineNameHandler(e) {
@@ -77,15 +118,22 @@
           clearTimeout(timeout);
           timeout = null;
         }
+        // Transliterate in the browser when possible, the server knows more
+        // scripts.
         if (baseValue.toLowerCase() !== expected) {
+          expected = self.transliterateLocal(baseValue, options);
+        }
+        if (expected === null) {
           timeout = setTimeout(function () {
             xhr = self.transliterate(baseValue, options).done(function (machine) {
               self.showMachineName(machine.substr(0, options.maxlength), data);
+              existsHandler(e);
             });
           }, 300);
         }
         else {
           self.showMachineName(expected, data);
+          existsHandler(e);
         }
       }
 
@@ -138,11 +186,18 @@
           $suffix: $suffix,
           $wrapper: $wrapper,
           $preview: $preview,
+          $exists: $('<span class="machine-name-exists" aria-live="polite"></span>'),
+          existsTimeout: null,
+          existsXhr: null,
           options: options
         };
         // If it is editable, append an edit link.
         var $link = $('<span class="admin-link"><button type="button" class="link">' + Drupal.t('Edit') + '</button></span>').on('click', eventData, clickEditHandler);
-        $suffix.append($link);
+        $suffix.append($link, ' ', eventData.$exists);
+        eventData.$exists.on('click', '.machine-name-suggestion', eventData, function (e) {
+          e.data.$target.val($(this).attr('data-machine-name'));
+          existsHandler(e);
+        });
 
         // Preview the machine name in realtime when the human-readable name
         // changes, but only if there is no machine name yet; i.e., only upon
@@ -176,6 +231,28 @@
       }
     },
 
+    /**
+     * Transliterates a human-readable name to a machine name in the browser.
+     *
+     * @param {string} source
+     *   A string to transliterate.
+     * @param {object} settings
+     *   The machine name settings for the corresponding field, see
+     *   Drupal.behaviors.machineName.transliterate().
+     *
+     * @return {?string}
+     *   The machine name, or null if the string contains characters only the
+     *   server can transliterate.
+     */
+    transliterateLocal: function (source, settings) {
+      var machine = Drupal.transliteration.transliterate(source, drupalSettings.langcode);
+      if (machine === null) {
+        return null;
+      }
+      var rx = new RegExp(settings.replace_pattern, 'g');
+      return machine.toLowerCase().replace(rx, settings.replace).substr(0, settings.maxlength);
+    },
+
     /**
      * Transliterate a human-readable name to a machine name.
      *
@@ -205,7 +282,62 @@
         replace: settings.replace,
         lowercase: true
       });
+    },
+
+    /**
+     * Checks whether a machine name is already in use.
+     *
+     * @param {string} machine
+     *   The machine name.
+     * @param {object} settings
+     *   The machine name settings for the corresponding field.
+     * @param {string} settings.exists
+     *   The static or service method checking whether a machine name exists.
+     * @param {string} settings.exists_prefix
+     *   The text prepended to the machine name checked, such as the field
+     *   prefix.
+     * @param {string} settings.exists_token
+     *   A token to validate the callable and the prefix.
+     * @param {string} settings.replace
+     *   The character joining the machine name and the number of suggestions.
+     * @param {number} settings.maxlength
+     *   The maximum length of the machine name.
+     *
+     * @return {jQuery}
+     *   The request, resolved with an object with an 'exists' flag and a
+     *   'suggestion' of an unused machine name, if any.
+     */
+    checkExists: function (machine, settings) {
+      return $.get(Drupal.url('machine_name/exists'), {
+        name: machine,
+        exists: settings.exists,
+        prefix: settings.exists_prefix,
+        exists_token: settings.exists_token,
+        replace: settings.replace,
+        maxlength: settings.maxlength
+      });
+    }
+  };
+
+  /**
+   * Theme function for a machine name already in use.
+   *
+   * @param {string} machine
+   *   The machine name.
+   * @param {?string} suggestion
+   *   An unused machine name to offer instead, if any.
+   *
+   * @return {string}
+   *   The HTML of the message.
+   */
+  Drupal.theme.machineNameExists = function (machine, suggestion) {
+    var html = Drupal.t('%name is already in use.', {'%name': machine});
+    if (suggestion) {
+      html += ' <button type="button" class="link machine-name-suggestion" data-machine-name="' + Drupal.checkPlain(suggestion) + '">' +
+        Drupal.t('Use %suggestion', {'%suggestion': suggestion}) +
+        '</button>';
     }
+    return html;
   };
 
 })(jQuery, Drupal, drupalSettings);
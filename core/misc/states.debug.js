@@ -0,0 +1,365 @@
+/**
+ * @file
+ * Overlay showing the #states dependency graph of the page.
+ *
+ * This library is meant for development only: it is attached along with
+ * `core/drupal.states` when `$settings['states_debug']` is TRUE in
+ * settings.php, see example.settings.local.php. It adds a panel listing every
+ * dependent element, the dependents it depends on, the live values of its
+ * dependees and the truth value of each of its constraints. Selectors matching
+ * nothing and dependency cycles are flagged.
+ */
+
+(function ($, Drupal, debounce) {
+
+  'use strict';
+
+  var $overlay;
+  var $toggle;
+
+  /**
+   * Adds the #states debugger overlay to the page.
+   *
+   * @type {Drupal~behavior}
+   *
+   * @prop {Drupal~behaviorAttach} attach
+   *   Adds the toggle button of the overlay and refreshes the overlay.
+   */
+  Drupal.behaviors.statesDebug = {
+    attach: function (context) {
+      if (!$toggle) {
+        $overlay = $('<div class="states-debug" role="region" hidden></div>')
+          .attr('aria-label', Drupal.t('States debugger'))
+          .on('mouseenter mouseleave', '[data-states-debug-index]', function (event) {
+            var dependent = Drupal.states.debug.dependents[$(this).attr('data-states-debug-index')];
+            if (dependent) {
+              dependent.element.toggleClass('states-debug-highlight', event.type === 'mouseenter');
+            }
+          });
+        $toggle = $('<button type="button" class="states-debug__toggle" aria-expanded="false"></button>')
+          .text(Drupal.t('States debugger'))
+          .on('click', function () {
+            var hidden = !$overlay.prop('hidden');
+            $overlay.prop('hidden', hidden);
+            $toggle.attr('aria-expanded', !hidden);
+            Drupal.states.debug.refresh();
+          });
+        $('body').append($overlay, $toggle);
+
+        // Dependees mostly change through user input.
+        $(document).on('change keyup click', debounce(function () {
+          Drupal.states.debug.refresh();
+        }, 100));
+      }
+      Drupal.states.debug.refresh();
+    }
+  };
+
+  /**
+   * Analysis of a single constraint.
+   *
+   * @typedef {object} Drupal.states.debug~constraint
+   *
+   * @prop {string} selector
+   *   The dependee selector.
+   * @prop {string} state
+   *   The state, as specified in the constraints.
+   * @prop {*} reference
+   *   The reference value the state is compared with.
+   * @prop {*} value
+   *   The current value of the dependee state.
+   * @prop {bool} [result]
+   *   Whether the constraint is satisfied, undefined if it couldn't be
+   *   evaluated.
+   */
+
+  /**
+   * Analysis of a dependent.
+   *
+   * @typedef {object} Drupal.states.debug~analysis
+   *
+   * @prop {bool} [result]
+   *   Whether the constraints of the dependent are satisfied.
+   * @prop {Array.<Drupal.states.debug~constraint>} constraints
+   *   The constraints evaluated to compute the result. Constraints skipped
+   *   because of the lazy evaluation of groups are not listed.
+   * @prop {Array.<string>} missing
+   *   The dependee selectors matching no element.
+   */
+
+  /**
+   * Debugging helpers for {@link Drupal.states}.
+   *
+   * @namespace
+   */
+  Drupal.states.debug = {
+
+    /**
+     * The dependents found by the last refresh.
+     *
+     * @type {Array.<Drupal.states.Dependent>}
+     */
+    dependents: [],
+
+    /**
+     * Lists the dependents of the page.
+     *
+     * @return {Array.<Drupal.states.Dependent>}
+     *   The dependents, in document order.
+     */
+    getDependents: function () {
+      var dependents = [];
+      $('[data-drupal-states]').each(function () {
+        dependents = dependents.concat($(this).data('states:dependents') || []);
+      });
+      return dependents;
+    },
+
+    /**
+     * Evaluates the constraints of a dependent, recording each comparison.
+     *
+     * @param {Drupal.states.Dependent} dependent
+     *   The dependent to analyze.
+     *
+     * @return {Drupal.states.debug~analysis}
+     *   The analysis of the dependent.
+     */
+    analyze: function (dependent) {
+      var constraints = [];
+      var compare = dependent.compare;
+
+      // Swivel the lookup function like Drupal.states.Dependent#getDependees()
+      // does, to record the result of each comparison.
+      dependent.compare = function (reference, selector, state) {
+        var result = compare.call(this, reference, selector, state);
+        constraints.push({
+          selector: selector,
+          state: state.pristine,
+          reference: reference,
+          value: this.values[selector][state.name],
+          result: (state.invert && typeof result !== 'undefined') ? !result : result
+        });
+        return result;
+      };
+      var result;
+      try {
+        result = dependent.verifyConstraints(dependent.constraints);
+      }
+      finally {
+        dependent.compare = compare;
+      }
+
+      var missing = Object.keys(dependent.dependees).filter(function (selector) {
+        return !Drupal.states.debug.findDependee(selector).length;
+      });
+
+      return {result: result, constraints: constraints, missing: missing};
+    },
+
+    /**
+     * Finds the elements of a dependee.
+     *
+     * @param {string} selector
+     *   The dependee selector.
+     *
+     * @return {jQuery}
+     *   The dependee elements. Dependees that aren't elements, such as query
+     *   string parameters, are represented by the document.
+     */
+    findDependee: function (selector) {
+      var source = Drupal.states.Source.parse(selector);
+      if (!source) {
+        return $(selector);
+      }
+      if (!source.definition.element) {
+        return $(document);
+      }
+      // Invalid source arguments are reported when the dependents are
+      // initialized.
+      try {
+        return source.definition.element(source.argument);
+      }
+      catch (e) {
+        return $();
+      }
+    },
+
+    /**
+     * Finds the edges of the dependency graph.
+     *
+     * A dependent depends on another one when the element of the latter is or
+     * contains one of its dependees.
+     *
+     * @param {Array.<Drupal.states.Dependent>} dependents
+     *   The dependents of the graph.
+     *
+     * @return {Array.<Array.<Drupal.states.Dependent>>}
+     *   The dependents each dependent depends on, in the same order as the
+     *   dependents.
+     */
+    findEdges: function (dependents) {
+      return dependents.map(function (dependent) {
+        var dependees = $();
+        Object.keys(dependent.dependees).forEach(function (selector) {
+          dependees = dependees.add(Drupal.states.debug.findDependee(selector).not(document));
+        });
+        return dependents.filter(function (other) {
+          return dependees.is(function () {
+            return other.element[0] === this || $.contains(other.element[0], this);
+          });
+        });
+      });
+    },
+
+    /**
+     * Finds dependency cycles.
+     *
+     * @param {Array.<Drupal.states.Dependent>} dependents
+     *   The dependents to check.
+     * @param {Array.<Array.<Drupal.states.Dependent>>} [edges]
+     *   The edges of the dependency graph, as returned by
+     *   {@link Drupal.states.debug.findEdges}.
+     *
+     * @return {Array.<Array.<Drupal.states.Dependent>>}
+     *   The cycles found, each one listing the dependents involved.
+     */
+    findCycles: function (dependents, edges) {
+      edges = edges || Drupal.states.debug.findEdges(dependents);
+
+      var cycles = [];
+      var visited = [];
+      function visit(dependent, path) {
+        var index = path.indexOf(dependent);
+        if (index !== -1) {
+          cycles.push(path.slice(index));
+          return;
+        }
+        if (visited.indexOf(dependent) !== -1) {
+          return;
+        }
+        visited.push(dependent);
+        edges[dependents.indexOf(dependent)].forEach(function (dependee) {
+          visit(dependee, path.concat([dependent]));
+        });
+      }
+      dependents.forEach(function (dependent) {
+        visit(dependent, []);
+      });
+      return cycles;
+    },
+
+    /**
+     * Renders the overlay, if it is visible.
+     */
+    refresh: function () {
+      if (!$overlay || $overlay.prop('hidden')) {
+        return;
+      }
+      var dependents = Drupal.states.debug.dependents = Drupal.states.debug.getDependents();
+      var edges = Drupal.states.debug.findEdges(dependents);
+      var cycles = Drupal.states.debug.findCycles(dependents, edges);
+      var analyses = dependents.map(Drupal.states.debug.analyze);
+      $overlay.html(Drupal.theme('statesDebug', dependents, analyses, cycles, edges));
+    }
+  };
+
+  /**
+   * Returns a short label identifying an element.
+   *
+   * @param {jQuery} $element
+   *   The element.
+   *
+   * @return {string}
+   *   The label.
+   */
+  function label($element) {
+    return $element.attr('data-drupal-selector') || $element.attr('id') || $element.attr('name') || $element.prop('tagName').toLowerCase();
+  }
+
+  /**
+   * Returns a label identifying a dependent.
+   *
+   * @param {Drupal.states.Dependent} dependent
+   *   The dependent.
+   *
+   * @return {string}
+   *   The label, with the state of the dependent.
+   */
+  function dependentLabel(dependent) {
+    return label(dependent.element) + ' (' + dependent.state.pristine + ')';
+  }
+
+  /**
+   * Formats a value for display.
+   *
+   * @param {*} value
+   *   The value.
+   *
+   * @return {string}
+   *   The escaped value.
+   */
+  function format(value) {
+    var string = typeof value === 'undefined' ? 'undefined' : JSON.stringify(value);
+    return '<code>' + Drupal.checkPlain(String(string)) + '</code>';
+  }
+
+  /**
+   * Theme function for the content of the #states debugger overlay.
+   *
+   * @param {Array.<Drupal.states.Dependent>} dependents
+   *   The dependents of the page.
+   * @param {Array.<Drupal.states.debug~analysis>} analyses
+   *   The analysis of each dependent.
+   * @param {Array.<Array.<Drupal.states.Dependent>>} cycles
+   *   The dependency cycles.
+   * @param {Array.<Array.<Drupal.states.Dependent>>} edges
+   *   The dependents each dependent depends on.
+   *
+   * @return {string}
+   *   The HTML for the overlay.
+   */
+  Drupal.theme.statesDebug = function (dependents, analyses, cycles, edges) {
+    var html = '<h2>' + Drupal.t('States debugger') + '</h2>';
+
+    cycles.forEach(function (cycle) {
+      html += '<p class="states-debug__warning">' + Drupal.t('Dependency cycle: @cycle', {
+        '@cycle': cycle.concat(cycle[0]).map(dependentLabel).join(' → ')
+      }) + '</p>';
+    });
+
+    if (!dependents.length) {
+      html += '<p>' + Drupal.t('There are no #states on this page.') + '</p>';
+    }
+
+    html += '<ul>';
+    dependents.forEach(function (dependent, index) {
+      var analysis = analyses[index];
+      html += '<li data-states-debug-index="' + index + '">';
+      html += '<strong>' + Drupal.checkPlain(label(dependent.element)) + '</strong> ' + Drupal.checkPlain(dependent.state.pristine) + ': ';
+      html += '<span class="states-debug__' + (analysis.result ? 'true' : 'false') + '">' + format(analysis.result) + '</span>';
+
+      html += '<ul>';
+      if (cycles.some(function (cycle) { return cycle.indexOf(dependent) !== -1; })) {
+        html += '<li class="states-debug__warning">' + Drupal.t('Part of a dependency cycle.') + '</li>';
+      }
+      if (edges[index].length) {
+        html += '<li>' + Drupal.t('Depends on @dependents', {
+          '@dependents': edges[index].map(dependentLabel).join(', ')
+        }) + '</li>';
+      }
+      analysis.missing.forEach(function (selector) {
+        html += '<li class="states-debug__warning">' + Drupal.t('The selector %selector matches nothing.', {'%selector': selector}) + '</li>';
+      });
+      analysis.constraints.forEach(function (constraint) {
+        html += '<li><span class="states-debug__' + (constraint.result ? 'true' : 'false') + '">' + format(constraint.result) + '</span> ';
+        html += Drupal.checkPlain(constraint.selector) + ' ' + Drupal.checkPlain(constraint.state) + ' ' + format(constraint.reference);
+        html += ' (' + Drupal.t('current value') + ' ' + format(constraint.value) + ')</li>';
+      });
+      html += '</ul></li>';
+    });
+    html += '</ul>';
+
+    return html;
+  };
+
+})(jQuery, Drupal, Drupal.debounce);
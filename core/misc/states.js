@@ -3,7 +3,7 @@
  * Drupal's states library.
  */
 
-(function ($, Drupal) {
+(function ($, Drupal, drupalSettings) {
 
   'use strict';
 
@@ -76,6 +76,15 @@
   states.Dependent = function (args) {
     $.extend(this, {values: {}, oldValue: null}, args);
 
+    // Keep track of the dependents of each element for debugging purposes.
+    // Behaviors attached again replace the dependent of the same state.
+    // @see Drupal.states.debug
+    var dependents = $.grep(this.element.data('states:dependents') || [], function (dependent) {
+      return dependent.state.pristine !== args.state.pristine;
+    });
+    dependents.push(this);
+    this.element.data('states:dependents', dependents);
+
     this.dependees = this.getDependees();
     for (var selector in this.dependees) {
       if (this.dependees.hasOwnProperty(selector)) {
@@ -94,6 +103,7 @@
    * @prop {function} RegExp
    * @prop {function} Function
    * @prop {function} Number
+   * @prop {function} Object
    */
   states.Dependent.comparisons = {
     RegExp: function (reference, value) {
@@ -110,9 +120,110 @@
       // Otherwise numeric keys in the form's #states array fail to match
       // string values returned from jQuery's val().
       return (typeof value === 'string') ? compare(reference.toString(), value) : compare(reference, value);
+    },
+    Object: function (reference, value) {
+      // The "reference" variable is an object of operators, all of which have
+      // to be satisfied. Stop at the first one that isn't.
+      var result;
+      for (var operator in reference) {
+        if (reference.hasOwnProperty(operator)) {
+          if (!states.Dependent.operators.hasOwnProperty(operator)) {
+            return false;
+          }
+          result = states.Dependent.operators[operator](reference[operator], value);
+          if (!result) {
+            return false;
+          }
+        }
+      }
+      return result;
+    }
+  };
+
+  /**
+   * Operators for comparing the value of an element with a typed reference.
+   *
+   * Operators are used by passing an object as the reference value of a
+   * state, for instance `{value: {between: [18, 65]}}`. Numeric and date
+   * operators never match empty or unparsable values.
+   *
+   * @name Drupal.states.Dependent.operators
+   *
+   * @prop {function} greater
+   *   The value is a number greater than the reference.
+   * @prop {function} less
+   *   The value is a number less than the reference.
+   * @prop {function} between
+   *   The value is a number within the inclusive `[min, max]` reference range.
+   * @prop {function} oneOf
+   *   The value, or one of the values of a multiple select, is in the
+   *   reference list.
+   * @prop {function} before
+   *   The value is a date before the reference date.
+   * @prop {function} after
+   *   The value is a date after the reference date.
+   * @prop {function} minLength
+   *   The value, or the list of values, is at least as long as the reference.
+   * @prop {function} maxLength
+   *   The value, or the list of values, is at most as long as the reference.
+   * @prop {function} pattern
+   *   The value matches the reference regular expression.
+   * @prop {function} notPattern
+   *   The value does not match the reference regular expression.
+   */
+  states.Dependent.operators = {
+    greater: function (reference, value) {
+      return toNumber(value) > toNumber(reference);
+    },
+    less: function (reference, value) {
+      return toNumber(value) < toNumber(reference);
+    },
+    between: function (reference, value) {
+      var number = toNumber(value);
+      return number >= toNumber(reference[0]) && number <= toNumber(reference[1]);
+    },
+    oneOf: function (reference, value) {
+      return $.makeArray(value).some(function (item) {
+        return reference.some(function (option) {
+          return String(option) === String(item);
+        });
+      });
+    },
+    before: function (reference, value) {
+      return toDate(value) < toDate(reference);
+    },
+    after: function (reference, value) {
+      return toDate(value) > toDate(reference);
+    },
+    minLength: function (reference, value) {
+      return value !== null && typeof value !== 'undefined' && value !== false && value.length >= reference;
+    },
+    maxLength: function (reference, value) {
+      return value === null || typeof value === 'undefined' || value === false || value.length <= reference;
+    },
+    pattern: function (reference, value) {
+      return typeof value === 'string' && new RegExp(reference).test(value);
+    },
+    notPattern: function (reference, value) {
+      return !states.Dependent.operators.pattern(reference, value);
     }
   };
 
+  /**
+   * Logical operators available to group constraints.
+   *
+   * A group is an object with a single key, the operator, whose value is the
+   * list of constraints it applies to, for instance
+   * `{or: [{':input[name="a"]': {checked: true}}, {xor: [...]}]}`. Groups can
+   * be nested arbitrarily and are evaluated lazily: evaluation stops as soon
+   * as the result of the group is known.
+   *
+   * @name Drupal.states.Dependent.groups
+   *
+   * @type {Array.<string>}
+   */
+  states.Dependent.groups = ['and', 'or', 'xor', 'not'];
+
   states.Dependent.prototype = {
 
     /**
@@ -137,6 +248,18 @@
       // Cache for the states of this dependee.
       this.values[selector] = {};
 
+      var source = states.Source.parse(selector);
+      if (source) {
+        // An invalid source argument only disables this dependee.
+        try {
+          this.initializeSource(selector, source, dependeeStates);
+        }
+        catch (e) {
+          Drupal.throwError(e);
+        }
+        return;
+      }
+
       for (var i in dependeeStates) {
         if (dependeeStates.hasOwnProperty(i)) {
           state = dependeeStates[i];
@@ -160,6 +283,44 @@
       }
     },
 
+    /**
+     * Initializes a dependee provided by a {@link Drupal.states.sources} entry.
+     *
+     * @memberof Drupal.states.Dependent#
+     *
+     * @param {string} selector
+     *   The selector describing the dependee, such as `@query:campaign`.
+     * @param {Drupal.states.Source} source
+     *   The parsed dependee source.
+     * @param {Array.<string>} dependeeStates
+     *   The list of states that have to be monitored.
+     */
+    initializeSource: function (selector, source, dependeeStates) {
+      var self = this;
+      var sourceStates = $.map(dependeeStates, function (state) {
+        return states.State.sanitize(state);
+      });
+
+      function refresh() {
+        // Dependents removed from the page, such as forms replaced through
+        // Ajax, stop listening to the source.
+        if (!$.contains(document.documentElement, self.element[0])) {
+          source.unbind(refresh);
+          return;
+        }
+        for (var i = 0; i < sourceStates.length; i++) {
+          self.update(selector, sourceStates[i], source.getState(sourceStates[i].name));
+        }
+      }
+
+      for (var i = 0; i < sourceStates.length; i++) {
+        this.values[selector][sourceStates[i].name] = null;
+      }
+      source.bind(refresh);
+      // Like triggers, evaluate the initial value once all dependents exist.
+      states.postponed.push(refresh);
+    },
+
     /**
      * Compares a value with a reference value.
      *
@@ -264,6 +425,11 @@
           }
         }
       }
+      // This constraint is an explicit and/or/xor/not group.
+      else if (isGroup(constraints)) {
+        var operator = Object.keys(constraints)[0];
+        return this.verifyGroup(operator, constraints[operator], selector);
+      }
       // Make sure we don't try to iterate over things other than objects. This
       // shouldn't normally occur, but in case the condition definition is
       // bogus, we don't want to end up with an infinite loop.
@@ -281,6 +447,55 @@
       return result;
     },
 
+    /**
+     * Evaluates a group of constraints lazily.
+     *
+     * @memberof Drupal.states.Dependent#
+     *
+     * @param {string} operator
+     *   One of {@link Drupal.states.Dependent.groups}.
+     * @param {Array|object} constraints
+     *   The constraints of the group. For the 'not' operator, the constraint to
+     *   negate.
+     * @param {string} [selector]
+     *   The selector for these constraints, if any.
+     *
+     * @return {bool}
+     *   true or false, depending on whether the group is satisfied. Undefined
+     *   if none of its constraints could be evaluated.
+     */
+    verifyGroup: function (operator, constraints, selector) {
+      if (operator === 'not') {
+        return invert(this.verifyConstraints(constraints, selector), true);
+      }
+
+      var result;
+      var satisfied = 0;
+      var len = constraints.length;
+      for (var i = 0; i < len; i++) {
+        var constraint = this.checkConstraints(constraints[i], selector, i);
+        if (operator === 'and') {
+          result = ternary(result, constraint);
+          if (result === false) {
+            return false;
+          }
+        }
+        else if (typeof constraint !== 'undefined') {
+          satisfied += constraint ? 1 : 0;
+          // OR is satisfied by the first satisfied constraint, XOR fails on
+          // the second one.
+          if (satisfied && operator === 'or') {
+            return true;
+          }
+          if (satisfied > 1) {
+            return false;
+          }
+          result = satisfied === 1;
+        }
+      }
+      return result;
+    },
+
     /**
      * Checks whether the value matches the requirements for this constraint.
      *
@@ -431,6 +646,244 @@
     }
   };
 
+  /**
+   * A dependee that is not an element matched by a plain CSS selector.
+   *
+   * Dependee selectors of the form `@name:argument` are resolved by the source
+   * `name` of {@link Drupal.states.sources}, for instance:
+   * - `@query:campaign`: The `campaign` query string parameter.
+   * - `@setting:path.currentLanguage`: A `drupalSettings` value.
+   * - `@storage:myModule.optIn`: A `localStorage` key.
+   * - `@form:views-exposed-form-content-page-1 :input[name="type"]`: An input
+   *   of another form on the page, identified by its ID or
+   *   `data-drupal-selector` attribute. The input is tracked even when the
+   *   form is replaced through Ajax.
+   *
+   * @constructor Drupal.states.Source
+   *
+   * @param {string} name
+   *   The name of the source in {@link Drupal.states.sources}.
+   * @param {string} argument
+   *   The part of the selector following the source name.
+   */
+  states.Source = function (name, argument) {
+    this.name = name;
+    this.definition = states.sources[name];
+    this.argument = argument;
+  };
+
+  /**
+   * The callbacks of the dependents of each source, keyed by dependee selector.
+   *
+   * The events of a source are bound once, whatever the number of dependents.
+   *
+   * @name Drupal.states.Source.callbacks
+   *
+   * @type {Object.<string, jQuery.Callbacks>}
+   */
+  states.Source.callbacks = {};
+
+  /**
+   * Parses a dependee selector referring to a source.
+   *
+   * @name Drupal.states.Source.parse
+   *
+   * @param {string} selector
+   *   A dependee selector.
+   *
+   * @return {?Drupal.states.Source}
+   *   The source, or null for plain CSS selectors.
+   */
+  states.Source.parse = function (selector) {
+    var matches = /^@(\w+):(.*)$/.exec(selector);
+    if (matches && states.sources.hasOwnProperty(matches[1])) {
+      return new states.Source(matches[1], matches[2]);
+    }
+    return null;
+  };
+
+  states.Source.prototype = {
+
+    /**
+     * Computes the value of a state of the dependee.
+     *
+     * @memberof Drupal.states.Source#
+     *
+     * @param {string} name
+     *   The normalized name of the state.
+     *
+     * @return {*}
+     *   The value of the state.
+     */
+    getState: function (name) {
+      // Sources providing elements reuse the trigger functions.
+      if (this.definition.element) {
+        var $element = this.definition.element(this.argument);
+        var trigger = states.Trigger.states[name];
+        if (!$element.length || !trigger || typeof trigger === 'function') {
+          return null;
+        }
+        return trigger[Object.keys(trigger)[0]].call($element);
+      }
+
+      var value = this.definition.value(this.argument);
+      switch (name) {
+        case 'empty':
+          return value === null || typeof value === 'undefined' || value === '';
+
+        case 'checked':
+          return !!value && value !== '0' && value !== 'false';
+
+        default:
+          return value;
+      }
+    },
+
+    /**
+     * Calls a function whenever the dependee may have changed.
+     *
+     * @memberof Drupal.states.Source#
+     *
+     * @param {function} callback
+     *   The function to call.
+     */
+    bind: function (callback) {
+      if (!this.definition.bind) {
+        return;
+      }
+      var key = '@' + this.name + ':' + this.argument;
+      var callbacks = states.Source.callbacks[key];
+      if (!callbacks) {
+        callbacks = $.Callbacks();
+        this.definition.bind(this.argument, function () {
+          callbacks.fire();
+        });
+        states.Source.callbacks[key] = callbacks;
+      }
+      callbacks.add(callback);
+    },
+
+    /**
+     * Stops calling a function when the dependee may have changed.
+     *
+     * @memberof Drupal.states.Source#
+     *
+     * @param {function} callback
+     *   The function passed to {@link Drupal.states.Source#bind}.
+     */
+    unbind: function (callback) {
+      var callbacks = states.Source.callbacks['@' + this.name + ':' + this.argument];
+      if (callbacks) {
+        callbacks.remove(callback);
+      }
+    }
+  };
+
+  /**
+   * Sources of dependees, keyed by the name used in dependee selectors.
+   *
+   * Each source either has a `value` function returning the value of the
+   * dependee, or an `element` function returning the jQuery object of the
+   * dependee element. The optional `bind` function registers a callback to
+   * invoke when the value may have changed, it is called once per dependee
+   * and should namespace its event handlers with `.states`.
+   *
+   * @name Drupal.states.sources
+   *
+   * @see Drupal.states.Source
+   */
+  states.sources = {
+    query: {
+      value: function (name) {
+        var pairs = window.location.search.substring(1).split('&');
+        for (var i = 0; i < pairs.length; i++) {
+          var pair = pairs[i].split('=');
+          if (decodeURIComponent(pair[0].replace(/\+/g, ' ')) === name) {
+            return decodeURIComponent((pair[1] || '').replace(/\+/g, ' '));
+          }
+        }
+        return null;
+      }
+    },
+
+    setting: {
+      value: function (path) {
+        var value = drupalSettings;
+        var keys = path.split('.');
+        for (var i = 0; i < keys.length; i++) {
+          if (value === null || typeof value !== 'object' || !(keys[i] in value)) {
+            return null;
+          }
+          value = value[keys[i]];
+        }
+        return value;
+      }
+    },
+
+    storage: {
+      value: function (key) {
+        // Accessing localStorage throws when it is disabled.
+        try {
+          return window.localStorage.getItem(key);
+        }
+        catch (e) {
+          return null;
+        }
+      },
+      bind: function (key, callback) {
+        // The storage event only fires for changes made in other windows, see
+        // Drupal.states.setStorage() for changes made by this one.
+        $(window).on('storage.states', function (e) {
+          if (e.originalEvent.key === key || e.originalEvent.key === null) {
+            callback();
+          }
+        });
+        $(document).on('states:storage.states', function (e, changedKey) {
+          if (changedKey === key) {
+            callback();
+          }
+        });
+      }
+    },
+
+    form: {
+      element: function (argument) {
+        return $(formSourceSelector(argument));
+      },
+      bind: function (argument, callback) {
+        // Delegate the events so that forms replaced through Ajax are still
+        // tracked.
+        $(document).on('keyup.states change.states', formSourceSelector(argument), callback);
+      }
+    }
+  };
+
+  /**
+   * Stores a value in localStorage and updates the dependents of its key.
+   *
+   * @name Drupal.states.setStorage
+   *
+   * @param {string} key
+   *   The localStorage key.
+   * @param {?string} value
+   *   The value to store, null to remove the key.
+   */
+  states.setStorage = function (key, value) {
+    try {
+      if (value === null) {
+        window.localStorage.removeItem(key);
+      }
+      else {
+        window.localStorage.setItem(key, value);
+      }
+    }
+    catch (e) {
+      // localStorage is disabled, the dependents keep their state.
+      return;
+    }
+    $(document).trigger('states:storage', [key]);
+  };
+
   /**
    * This list of states contains functions that are used to monitor the state
    * of an element. Whenever an element depends on the state of another element,
@@ -699,6 +1152,83 @@
     return (invertState && typeof a !== 'undefined') ? !a : a;
   }
 
+  /**
+   * Checks whether a constraint is an and/or/xor/not group.
+   *
+   * @function Drupal.states~isGroup
+   *
+   * @param {*} constraints
+   *   The constraints to check.
+   *
+   * @return {bool}
+   *   Whether the constraints are a group.
+   */
+  function isGroup(constraints) {
+    if (!$.isPlainObject(constraints)) {
+      return false;
+    }
+    var keys = Object.keys(constraints);
+    return keys.length === 1 && $.inArray(keys[0], states.Dependent.groups) !== -1;
+  }
+
+  /**
+   * Casts a value to a number.
+   *
+   * @function Drupal.states~toNumber
+   *
+   * @param {*} value
+   *   The value to cast.
+   *
+   * @return {number}
+   *   The number, NaN for empty or non-numeric values.
+   */
+  function toNumber(value) {
+    return (value === '' || value === null || typeof value === 'boolean') ? NaN : Number(value);
+  }
+
+  /**
+   * Casts a value to a timestamp.
+   *
+   * @function Drupal.states~toDate
+   *
+   * @param {*} value
+   *   A date string, such as the value of a date input, or 'now'.
+   *
+   * @return {number}
+   *   The timestamp in milliseconds, NaN for empty or invalid dates.
+   */
+  function toDate(value) {
+    if (value === 'now') {
+      return Date.now();
+    }
+    return typeof value === 'string' ? Date.parse(value) : NaN;
+  }
+
+  /**
+   * Builds the CSS selector of an input of another form.
+   *
+   * @function Drupal.states~formSourceSelector
+   *
+   * @param {string} argument
+   *   The form ID or `data-drupal-selector`, followed by a space and the
+   *   selector of the input within that form.
+   *
+   * @return {string}
+   *   The CSS selector.
+   *
+   * @throws {Error}
+   *   Thrown when the form or the input selector is missing.
+   */
+  function formSourceSelector(argument) {
+    var index = argument.indexOf(' ');
+    var form = argument.substring(0, index);
+    var input = $.trim(argument.substring(index + 1));
+    if (index < 1 || input === '') {
+      throw new Error('Invalid dependee selector "@form:' + argument + '": the form ID must be followed by a space and the selector of the input.');
+    }
+    return 'form[data-drupal-selector="' + form + '"] ' + input + ', form#' + form + ' ' + input;
+  }
+
   /**
    * Compares two values while ignoring undefined values.
    *
@@ -721,4 +1251,4 @@
     }
   }
 
-})(jQuery, Drupal);
+})(jQuery, Drupal, drupalSettings);
@@ -31,6 +31,32 @@
 
   'use strict';
 
+  /**
+   * The elements that can be reached with the tab key, unless they are hidden,
+   * disabled or have a negative tabindex.
+   *
+   * @type {string}
+   */
+  var focusableSelector = 'a[href], area[href], button, input, select, textarea, iframe, object, embed, summary, audio[controls], video[controls], [tabindex], [contenteditable]';
+
+  /**
+   * Finds the elements reachable with the tab key, hidden ones included.
+   *
+   * Unlike the ':tabbable' selector, this doesn't check the visibility of each
+   * element, which is slow on big pages.
+   *
+   * @param {jQuery} $context
+   *   The elements to search in, included.
+   *
+   * @return {jQuery}
+   *   The elements reachable with the tab key once visible.
+   */
+  function findFocusable($context) {
+    return $context.find(focusableSelector).addBack(focusableSelector).filter(function () {
+      return this.tabIndex >= 0 && !this.disabled;
+    });
+  }
+
   /**
    * Provides an API for managing page tabbing order modifications.
    *
@@ -48,6 +74,13 @@
      * @type {Array.<Drupal~TabbingContext>}
      */
     this.stack = [];
+
+    /**
+     * Watches the elements added to the page while a tabbingContext is active.
+     *
+     * @type {?MutationObserver}
+     */
+    this.observer = null;
   }
 
   /**
@@ -87,6 +120,7 @@
         // The level is the current height of the stack before this new
         // tabbingContext is pushed on top of the stack.
         level: this.stack.length,
+        elements: elements,
         $tabbableElements: $elements
       });
 
@@ -102,6 +136,21 @@
       return tabbingContext;
     },
 
+    /**
+     * Moves the focus between the items of a widget with arrow keys.
+     *
+     * @param {HTMLElement|jQuery} container
+     *   The element of the widget.
+     * @param {object} [options]
+     *   The options of the widget, see {@link Drupal~RovingTabindex}.
+     *
+     * @return {Drupal~RovingTabindex}
+     *   The RovingTabindex instance.
+     */
+    roving: function (container, options) {
+      return new RovingTabindex(container, options);
+    },
+
     /**
      * Restores a former tabbingContext when an active one is released.
      *
@@ -132,30 +181,31 @@
      *
      * Elements made untabbable have their original tabindex and autofocus
      * values stored so that they might be restored later when this
-     * tabbingContext is deactivated.
+     * tabbingContext is deactivated. Elements added to the page while the
+     * tabbingContext is active are handled too.
      *
      * @param {Drupal~TabbingContext} tabbingContext
      *   The TabbingContext instance that has been activated.
      */
     activate: function (tabbingContext) {
       var $set = tabbingContext.$tabbableElements;
-      var level = tabbingContext.level;
-      // Determine which elements are reachable via tabbing by default.
-      var $disabledSet = $(':tabbable')
-        // Exclude elements of the active tabbing set.
-        .not($set);
-      // Set the disabled set on the tabbingContext.
-      tabbingContext.$disabledElements = $disabledSet;
-      // Record the tabindex for each element, so we can restore it later.
-      var il = $disabledSet.length;
-      for (var i = 0; i < il; i++) {
-        this.recordTabindex($disabledSet.eq(i), level);
+      // Determine which elements are reachable via tabbing by default, hidden
+      // ones included since they may be shown while the tabbingContext is
+      // active.
+      var $disabledSet = tabbingContext.filterOutside(findFocusable($(document.body)));
+      tabbingContext.$disabledElements = $();
+      this.disable(tabbingContext, $disabledSet);
+
+      if (window.MutationObserver) {
+        var self = this;
+        this.observer = this.observer || new MutationObserver(function (mutations) {
+          var active = self.stack[self.stack.length - 1];
+          if (active && active.active) {
+            self.update(active, mutations);
+          }
+        });
+        this.observer.observe(document.body, {childList: true, subtree: true});
       }
-      // Make all tabbable elements outside of the active tabbing set
-      // unreachable.
-      $disabledSet
-        .prop('tabindex', -1)
-        .prop('autofocus', false);
 
       // Set focus on an element in the tabbingContext's set of tabbable
       // elements. First, check if there is an element with an autofocus
@@ -179,6 +229,9 @@
      *   The TabbingContext instance that has been deactivated.
      */
     deactivate: function (tabbingContext) {
+      if (this.observer) {
+        this.observer.disconnect();
+      }
       var $set = tabbingContext.$disabledElements;
       var level = tabbingContext.level;
       var il = $set.length;
@@ -187,6 +240,54 @@
       }
     },
 
+    /**
+     * Makes elements untabbable for a tabbingContext.
+     *
+     * @param {Drupal~TabbingContext} tabbingContext
+     *   The active TabbingContext instance.
+     * @param {jQuery} $elements
+     *   The elements to make untabbable.
+     */
+    disable: function (tabbingContext, $elements) {
+      var level = tabbingContext.level;
+      // Record the tabindex for each element, so we can restore it later.
+      var il = $elements.length;
+      for (var i = 0; i < il; i++) {
+        this.recordTabindex($elements.eq(i), level);
+      }
+      $elements
+        .prop('tabindex', -1)
+        .prop('autofocus', false);
+      tabbingContext.$disabledElements = tabbingContext.$disabledElements.add($elements);
+    },
+
+    /**
+     * Applies the active tabbingContext to the elements added to the page.
+     *
+     * Tabbable elements added to the set of the tabbingContext become part of
+     * it, the ones added elsewhere are made untabbable.
+     *
+     * @param {Drupal~TabbingContext} tabbingContext
+     *   The active TabbingContext instance.
+     * @param {Array.<MutationRecord>} mutations
+     *   The changes of the page.
+     */
+    update: function (tabbingContext, mutations) {
+      var $added = $();
+      mutations.forEach(function (mutation) {
+        $added = $added.add($(mutation.addedNodes).filter(function () {
+          return this.nodeType === Node.ELEMENT_NODE && $.contains(document, this);
+        }));
+      });
+      if (!$added.length) {
+        return;
+      }
+      var $focusable = findFocusable($added);
+      var $outside = tabbingContext.filterOutside($focusable);
+      tabbingContext.$tabbableElements = tabbingContext.$tabbableElements.add($focusable.not($outside).filter(':tabbable'));
+      this.disable(tabbingContext, $outside);
+    },
+
     /**
      * Records the tabindex and autofocus values of an untabbable element.
      *
@@ -257,6 +358,9 @@
    *   A set of initiating values
    * @param {number} options.level
    *   The level in the TabbingManager's stack of this tabbingContext.
+   * @param {jQuery|string} options.elements
+   *   The set of elements, or the selector of the elements, to which tabbing
+   *   is constrained, along with their descendants.
    * @param {jQuery} options.$tabbableElements
    *   The DOM elements that should be reachable via the tab key when this
    *   tabbingContext is active.
@@ -280,6 +384,11 @@
        */
       level: null,
 
+      /**
+       * @type {jQuery|string}
+       */
+      elements: $(),
+
       /**
        * @type {jQuery}
        */
@@ -307,6 +416,20 @@
    */
   $.extend(TabbingContext.prototype, /** @lends Drupal~TabbingContext# */{
 
+    /**
+     * Filters elements outside of the set of this TabbingContext.
+     *
+     * @param {jQuery} $elements
+     *   The focusable elements to filter.
+     *
+     * @return {jQuery}
+     *   The elements that aren't in the set, nor descendants of it.
+     */
+    filterOutside: function ($elements) {
+      // Selectors are matched again, for elements added since.
+      return $elements.not(findFocusable($(this.elements)));
+    },
+
     /**
      * Releases this TabbingContext.
      *
@@ -355,6 +478,259 @@
     }
   });
 
+  /**
+   * Moves the focus between the items of a composite widget with arrow keys.
+   *
+   * Only one item of the widget, the last one focused, is reachable with the
+   * tab key: the other ones have a tabindex of -1. Items added to the widget
+   * later are handled too.
+   *
+   * @constructor Drupal~RovingTabindex
+   *
+   * @param {HTMLElement|jQuery} container
+   *   The element of the widget, such as a toolbar, a tab list or a grid.
+   * @param {object} [options]
+   *   The options of the widget.
+   * @param {string} [options.items]
+   *   The selector of the items, focusable elements by default.
+   * @param {string} [options.orientation='horizontal']
+   *   The arrow keys moving the focus: 'horizontal' for left and right,
+   *   'vertical' for up and down, 'both' for all of them. 'grid' moves the
+   *   focus in a row with left and right, and between rows with up and down.
+   * @param {string} [options.rows='[role="row"]']
+   *   The selector of the rows of a grid.
+   * @param {bool} [options.wrap=true]
+   *   Whether the focus moves from the last item to the first one and back.
+   *   Rows of a grid don't wrap.
+   */
+  function RovingTabindex(container, options) {
+    var self = this;
+
+    /**
+     * @type {jQuery}
+     */
+    this.$container = $(container);
+
+    /**
+     * @type {object}
+     */
+    this.options = $.extend({
+      items: focusableSelector,
+      orientation: 'horizontal',
+      rows: '[role="row"]',
+      wrap: true
+    }, options);
+
+    /**
+     * The item reachable with the tab key.
+     *
+     * @type {?HTMLElement}
+     */
+    this.current = null;
+
+    /**
+     * Watches the items added to the widget.
+     *
+     * @type {?MutationObserver}
+     */
+    this.observer = null;
+
+    this.$container
+      .on('keydown.drupalRovingTabindex', this.options.items, function (event) {
+        self.onKeydown(event, this);
+      })
+      .on('focusin.drupalRovingTabindex', this.options.items, function () {
+        self.setCurrent(this);
+      });
+
+    if (window.MutationObserver) {
+      this.observer = new MutationObserver(function () {
+        self.refresh();
+      });
+      this.observer.observe(this.$container[0], {childList: true, subtree: true});
+    }
+
+    this.refresh();
+  }
+
+  /**
+   * Add public methods to the RovingTabindex class.
+   */
+  $.extend(RovingTabindex.prototype, /** @lends Drupal~RovingTabindex# */{
+
+    /**
+     * Gets the items of the widget.
+     *
+     * @param {jQuery} [$context]
+     *   The element to get the items of, the widget by default.
+     * @param {bool} [visible]
+     *   Whether to get visible items only.
+     *
+     * @return {jQuery}
+     *   The items that can be focused.
+     */
+    getItems: function ($context, visible) {
+      var $items = ($context || this.$container).find(this.options.items).filter(':not(:disabled)');
+      return visible ? $items.filter(':visible') : $items;
+    },
+
+    /**
+     * Makes one item only reachable with the tab key.
+     *
+     * The item focused last stays reachable, else the first selected item or
+     * the first item.
+     */
+    refresh: function () {
+      var $items = this.getItems();
+      if (!this.current || $items.index(this.current) === -1) {
+        var $selected = $items.filter('[aria-selected="true"], [aria-checked="true"]');
+        this.current = ($selected.length ? $selected : $items)[0] || null;
+      }
+      $items.each(function () {
+        var $item = $(this);
+        if (typeof $item.data('drupalRovingTabindex') === 'undefined') {
+          $item.data('drupalRovingTabindex', this.getAttribute('tabindex'));
+        }
+      });
+      $items.not(this.current).attr('tabindex', -1);
+      $(this.current).attr('tabindex', 0);
+    },
+
+    /**
+     * Makes an item the one reachable with the tab key.
+     *
+     * @param {HTMLElement} item
+     *   The item.
+     */
+    setCurrent: function (item) {
+      if (item !== this.current) {
+        $(this.current).attr('tabindex', -1);
+        $(item).attr('tabindex', 0);
+        this.current = item;
+      }
+    },
+
+    /**
+     * Focuses an item.
+     *
+     * @param {HTMLElement} item
+     *   The item.
+     */
+    focus: function (item) {
+      this.setCurrent(item);
+      $(item).trigger('focus');
+    },
+
+    /**
+     * Moves the focus on arrow, Home and End key presses.
+     *
+     * @param {jQuery.Event} event
+     *   The keydown event.
+     * @param {HTMLElement} item
+     *   The item the key was pressed on.
+     */
+    onKeydown: function (event, item) {
+      var orientation = this.options.orientation;
+      // Left and right are swapped in right-to-left languages.
+      var forward = this.$container.css('direction') === 'rtl' ? -1 : 1;
+      var $items = this.getItems(null, true);
+      var $rows = orientation === 'grid' ? this.$container.find(this.options.rows) : $();
+      var $row = $(item).closest($rows);
+      var wrap = this.options.wrap;
+      var step = 0;
+      var target;
+
+      if (event.altKey || event.metaKey || event.shiftKey) {
+        return;
+      }
+      // Keys move the focus within the row of grids, except Ctrl+Home and
+      // Ctrl+End.
+      if ($row.length && !(event.ctrlKey && (event.keyCode === 35 || event.keyCode === 36))) {
+        $items = this.getItems($row, true);
+        wrap = false;
+      }
+
+      switch (event.keyCode) {
+        // Left arrow.
+        case 37:
+          step = orientation !== 'vertical' ? -forward : 0;
+          break;
+
+        // Right arrow.
+        case 39:
+          step = orientation !== 'vertical' ? forward : 0;
+          break;
+
+        // Up arrow.
+        case 38:
+          step = orientation === 'vertical' || orientation === 'both' ? -1 : 0;
+          break;
+
+        // Down arrow.
+        case 40:
+          step = orientation === 'vertical' || orientation === 'both' ? 1 : 0;
+          break;
+
+        // Home.
+        case 36:
+          target = $items[0];
+          break;
+
+        // End.
+        case 35:
+          target = $items[$items.length - 1];
+          break;
+      }
+
+      // Up and down move the focus to the same column of the previous or next
+      // row of grids.
+      if ($row.length && (event.keyCode === 38 || event.keyCode === 40)) {
+        var rowIndex = $rows.index($row) + (event.keyCode === 38 ? -1 : 1);
+        if (rowIndex >= 0 && rowIndex < $rows.length) {
+          var $targetItems = this.getItems($rows.eq(rowIndex), true);
+          target = $targetItems[Math.min($items.index(item), $targetItems.length - 1)];
+        }
+        // The page doesn't scroll on the first and last rows either.
+        event.preventDefault();
+      }
+      else if (step) {
+        var index = $items.index(item) + step;
+        if (wrap) {
+          index = (index + $items.length) % $items.length;
+        }
+        target = index >= 0 ? $items[index] : null;
+      }
+
+      if (target) {
+        event.preventDefault();
+        this.focus(target);
+      }
+    },
+
+    /**
+     * Stops managing the focus of the widget.
+     *
+     * The items get their original tabindex back.
+     */
+    destroy: function () {
+      this.$container.off('.drupalRovingTabindex');
+      if (this.observer) {
+        this.observer.disconnect();
+      }
+      this.getItems().each(function () {
+        var $item = $(this);
+        var tabindex = $item.data('drupalRovingTabindex');
+        if (tabindex) {
+          this.setAttribute('tabindex', tabindex);
+        }
+        else if (tabindex === null) {
+          this.removeAttribute('tabindex');
+        }
+        $item.removeData('drupalRovingTabindex');
+      });
+    }
+  });
+
   // Mark this behavior as processed on the first pass and return if it is
   // already processed.
   if (Drupal.tabbingManager) {
@@ -166,6 +166,41 @@
      */
     this.windowHeight = 0;
 
+    /**
+     * The row a range selection starts from.
+     *
+     * @type {?HTMLElement}
+     */
+    this.selectionAnchor = null;
+
+    /**
+     * The panel used to move rows to a given position, when open.
+     *
+     * @type {?jQuery}
+     */
+    this.$movePanel = null;
+
+    /**
+     * The table body containing the draggable rows.
+     *
+     * @type {HTMLTableSectionElement}
+     */
+    this.tbody = table.tBodies[0];
+
+    /**
+     * The in-memory model of the rows, for virtualized tables.
+     *
+     * @type {?Drupal.tableDrag#rowModel}
+     */
+    this.model = null;
+
+    /**
+     * The state of the rendering window, for virtualized tables.
+     *
+     * @type {?Drupal.tableDrag~virtual}
+     */
+    this.virtual = null;
+
     /**
      * Check this table's settings for parent relationships.
      *
@@ -216,7 +251,15 @@
 
     // Make each applicable row draggable.
     // Match immediate children of the parent element to allow nesting.
-    $table.find('> tr.draggable, > tbody > tr.draggable').each(function () { self.makeDraggable(this); });
+    var $rows = $table.find('> tr.draggable, > tbody > tr.draggable');
+    if (this.tbody && $rows.length > Drupal.tableDrag.virtualSettings.threshold) {
+      // Only render the rows in view for large tables. Rows are made draggable
+      // when rendered for the first time.
+      this.initVirtual($rows);
+    }
+    else {
+      $rows.each(function () { self.makeDraggable(this); });
+    }
 
     // Add a link before the table for users to show or hide weight columns.
     $table.before($('<button type="button" class="link tabledrag-toggle-weight"></button>')
@@ -254,6 +297,37 @@
     }, this));
   };
 
+  /**
+   * Settings of the virtualized rendering of large tables.
+   *
+   * @type {object}
+   *
+   * @prop {number} threshold
+   *   Tables with more draggable rows than this only render the rows in view.
+   * @prop {number} overscan
+   *   Number of rows rendered beyond each edge of the viewport.
+   * @prop {number} rowHeight
+   *   Height of a row in pixels, until it can be measured.
+   */
+  Drupal.tableDrag.virtualSettings = {threshold: 500, overscan: 20, rowHeight: 40};
+
+  /**
+   * State of the rendering window of a virtualized table.
+   *
+   * @typedef {object} Drupal.tableDrag~virtual
+   *
+   * @prop {jQuery} $before
+   *   Spacer standing for the hidden rows above the window.
+   * @prop {jQuery} $after
+   *   Spacer standing for the hidden rows below the window.
+   * @prop {number} rowHeight
+   *   Average height of a row in pixels.
+   * @prop {Array.<HTMLElement>} rendered
+   *   The rendered rows, in document order.
+   * @prop {?number} frame
+   *   The pending animation frame request, if any.
+   */
+
   /**
    * Initialize columns containing form elements to be hidden by default.
    *
@@ -380,7 +454,7 @@
     // Hide weight/parent cells and headers.
     $tables.find('.tabledrag-hide').css('display', 'none');
     // Show TableDrag handles.
-    $tables.find('.tabledrag-handle').css('display', '');
+    $tables.find('.tabledrag-handle, .tabledrag-move-link').css('display', '');
     // Reduce the colspan of any effected multi-span columns.
     $tables.find('.tabledrag-has-colspan').each(function () {
       this.colSpan = this.colSpan - 1;
@@ -399,7 +473,7 @@
     // Show weight/parent cells and headers.
     $tables.find('.tabledrag-hide').css('display', '');
     // Hide TableDrag handles.
-    $tables.find('.tabledrag-handle').css('display', 'none');
+    $tables.find('.tabledrag-handle, .tabledrag-move-link').css('display', 'none');
     // Increase the colspan for any columns where it was previously reduced.
     $tables.find('.tabledrag-has-colspan').each(function () {
       this.colSpan = this.colSpan + 1;
@@ -471,11 +545,31 @@
       self.dragStart(event, self, item);
     });
 
-    // Prevent the anchor tag from jumping us to the top of the page.
+    // Prevent the anchor tag from jumping us to the top of the page. Holding
+    // ctrl or shift while clicking the handle selects rows to move at once.
     handle.on('click', function (e) {
       e.preventDefault();
+      if (e.ctrlKey || e.metaKey || e.shiftKey) {
+        self.selectRow(item, e.shiftKey);
+      }
     });
 
+    // Add a button moving the row to a chosen position in one action, for
+    // keyboard and touch users who can't easily drag a row across the table.
+    var moveButton = $('<button type="button" class="link tabledrag-move-link"></button>')
+      .text(Drupal.t('Move to…'))
+      .attr('aria-label', Drupal.t('Move @label to…', {'@label': self.rowLabel(item)}))
+      .on('click', function () {
+        self.openMovePanel(item);
+      })
+      .appendTo($item.find('td').eq(0));
+
+    // Rows of virtualized tables are made draggable after the columns are
+    // initialized.
+    if (showWeight) {
+      handle.add(moveButton).css('display', 'none');
+    }
+
     // Set blur cleanup when a handle is focused.
     handle.on('focus', function () {
       self.safeBlur = true;
@@ -494,6 +588,10 @@
       // If a rowObject doesn't yet exist and this isn't the tab key.
       if (event.keyCode !== 9 && !self.rowObject) {
         self.rowObject = new self.row(item, 'keyboard', self.indentEnabled, self.maxDepth, true);
+        // Make sure the rows around this one are rendered.
+        if (self.virtual) {
+          self.renderRows();
+        }
       }
 
       var keyChange = false;
@@ -540,7 +638,7 @@
                 window.scrollBy(0, -groupHeight);
               }
             }
-            else if (self.table.tBodies[0].rows[0] !== previousRow || $previousRow.is('.draggable')) {
+            else if (self.tbody.rows[0] !== previousRow || $previousRow.is('.draggable')) {
               // Swap with the previous row (unless previous row is the first
               // one and undraggable).
               self.rowObject.swap('before', previousRow);
@@ -602,11 +700,20 @@
             handle.trigger('focus');
           }
           break;
+
+        // Space.
+        case 32:
+          keyChange = true;
+          self.selectRow(item, event.shiftKey);
+          break;
       }
 
       /* eslint-enable no-fallthrough */
 
       if (self.rowObject && self.rowObject.changed === true) {
+        if (self.virtual) {
+          self.renderRows();
+        }
         $(item).addClass('drag');
         if (self.oldRowElement) {
           $(self.oldRowElement).removeClass('drag-previous');
@@ -633,6 +740,8 @@
       /* eslint-disable no-fallthrough */
 
       switch (event.keyCode) {
+        // Space.
+        case 32:
         // Left arrow.
         case 37:
         // Up arrow.
@@ -870,7 +979,7 @@
    *   The drop target row, if found.
    */
   Drupal.tableDrag.prototype.findDropTargetRow = function (x, y) {
-    var rows = $(this.table.tBodies[0].rows).not(':hidden');
+    var rows = $(this.virtual ? this.virtual.rendered : this.tbody.rows).not(':hidden');
     for (var n = 0; n < rows.length; n++) {
       var row = rows[n];
       var $row = $(row);
@@ -988,11 +1097,16 @@
     // Parents, look up the tree until we find a field not in this group.
     // Go up as many parents as indentations in the changed row.
     else if (rowSettings.relationship === 'parent') {
-      $previousRow = $changedRow.prev('tr');
-      previousRow = $previousRow;
-      while ($previousRow.length && $previousRow.find('.js-indentation').length >= this.rowObject.indents) {
-        $previousRow = $previousRow.prev('tr');
+      if (this.model) {
+        $previousRow = $(this.model.parent(changedRow));
+      }
+      else {
+        $previousRow = $changedRow.prev('tr');
         previousRow = $previousRow;
+        while ($previousRow.length && $previousRow.find('.js-indentation').length >= this.rowObject.indents) {
+          $previousRow = $previousRow.prev('tr');
+          previousRow = $previousRow;
+        }
       }
       // If we found a row.
       if ($previousRow.length) {
@@ -1159,6 +1273,16 @@
    * Command to restripe table properly.
    */
   Drupal.tableDrag.prototype.restripeTable = function () {
+    if (this.virtual) {
+      // Only restripe the rendered rows, according to their position in the
+      // whole table.
+      var model = this.model;
+      $(this.virtual.rendered).filter('.draggable').each(function () {
+        var odd = model.rows.indexOf(this) % 2 === 0;
+        $(this).toggleClass('odd', odd).toggleClass('even', !odd);
+      });
+      return;
+    }
     // :even and :odd are reversed because jQuery counts from 0 and
     // we count from 1, so we're out of sync.
     // Match immediate children of the parent element to allow nesting.
@@ -1168,6 +1292,119 @@
       .filter(':even').removeClass('even').addClass('odd');
   };
 
+  /**
+   * Set up the virtualized rendering of the table.
+   *
+   * All rows stay in the document, so that their form fields are submitted
+   * and kept up to date by updateFields(), but only the rows in view are
+   * rendered. The height of the hidden rows is taken by spacers.
+   *
+   * @param {jQuery} $rows
+   *   The draggable rows of the table.
+   */
+  Drupal.tableDrag.prototype.initVirtual = function ($rows) {
+    var self = this;
+    var columns = $(this.tbody.rows[0]).children().length || 1;
+
+    function spacer() {
+      return $('<tbody class="tabledrag-virtual-spacer" aria-hidden="true"><tr><td></td></tr></tbody>')
+        .find('td').attr('colspan', columns).end();
+    }
+
+    this.virtual = {
+      $before: spacer().insertBefore(this.tbody),
+      $after: spacer().insertAfter(this.tbody),
+      rowHeight: Drupal.tableDrag.virtualSettings.rowHeight,
+      rendered: [],
+      frame: null
+    };
+    this.model = new this.rowModel($rows.get());
+    this.$table.data('tableDragModel', this.model).addClass('tabledrag-virtual');
+    $(this.tbody.rows).addClass('tabledrag-virtual-hidden');
+    this.renderRows();
+
+    // Measure the rendered rows and render again if the estimate was wrong.
+    var height = 0;
+    this.virtual.rendered.forEach(function (row) {
+      height += row.offsetHeight;
+    });
+    if (height) {
+      this.virtual.rowHeight = height / this.virtual.rendered.length;
+      this.renderRows();
+    }
+
+    $(window).on('scroll resize', function () {
+      if (!self.virtual.frame) {
+        var render = function () {
+          self.virtual.frame = null;
+          self.renderRows();
+        };
+        if (window.requestAnimationFrame) {
+          self.virtual.frame = window.requestAnimationFrame(render);
+        }
+        else {
+          self.virtual.frame = setTimeout(render, 16);
+        }
+      }
+    });
+  };
+
+  /**
+   * Render the rows in view of a virtualized table, and hide the others.
+   *
+   * The row being moved and its neighbours are always rendered, so that
+   * keyboard moves can find the rows to swap with.
+   */
+  Drupal.tableDrag.prototype.renderRows = function () {
+    var self = this;
+    var virtual = this.virtual;
+    var rows = this.tbody.rows;
+    var overscan = Drupal.tableDrag.virtualSettings.overscan;
+    var top = virtual.$before.offset().top;
+    var scrollY = $(window).scrollTop();
+    var start = Math.max(0, Math.floor((scrollY - top) / virtual.rowHeight) - overscan);
+    var end = Math.min(rows.length, Math.ceil((scrollY + window.innerHeight - top) / virtual.rowHeight) + overscan);
+    var $rendered = $(Array.prototype.slice.call(rows, start, Math.max(start, end)));
+    if (this.rowObject) {
+      var first = Array.prototype.indexOf.call(rows, this.rowObject.group[0]);
+      $rendered = $rendered.add(Array.prototype.slice.call(rows, Math.max(0, first - overscan), first + this.rowObject.group.length + overscan));
+    }
+
+    $(virtual.rendered).not($rendered).addClass('tabledrag-virtual-hidden');
+    $rendered.removeClass('tabledrag-virtual-hidden');
+    $rendered.filter('.draggable').once('tabledrag-row').each(function () {
+      self.makeDraggable(this);
+    });
+    virtual.rendered = $rendered.get();
+
+    // Give assistive technologies the position of the rendered rows.
+    var headerRows = this.$table.find('> thead > tr').length;
+    this.table.setAttribute('aria-rowcount', headerRows + rows.length);
+    virtual.rendered.forEach(function (row) {
+      row.setAttribute('aria-rowindex', headerRows + Array.prototype.indexOf.call(rows, row) + 1);
+    });
+
+    var before = virtual.rendered.length ? Array.prototype.indexOf.call(rows, virtual.rendered[0]) : rows.length;
+    virtual.$before.find('td').css('height', before * virtual.rowHeight);
+    virtual.$after.find('td').css('height', (rows.length - before - virtual.rendered.length) * virtual.rowHeight);
+
+    if (this.striping === true) {
+      this.restripeTable();
+    }
+  };
+
+  /**
+   * Scroll a virtualized table to a row, and render the rows around it.
+   *
+   * @param {HTMLElement} row
+   *   The row to scroll to.
+   */
+  Drupal.tableDrag.prototype.scrollToRow = function (row) {
+    var index = Array.prototype.indexOf.call(this.tbody.rows, row);
+    $(window).scrollTop(this.virtual.$before.offset().top + (index * this.virtual.rowHeight) - (window.innerHeight / 3));
+    this.renderRows();
+  };
+
   /**
    * Stub function. Allows a custom handler when a row begins dragging.
    *
@@ -1188,6 +1425,347 @@
     return null;
   };
 
+  /**
+   * Returns the draggable rows of the table.
+   *
+   * @return {jQuery}
+   *   The draggable rows, in document order.
+   */
+  Drupal.tableDrag.prototype.getRows = function () {
+    // Match immediate children of the parent element to allow nesting.
+    return this.$table.find('> tr.draggable, > tbody > tr.draggable');
+  };
+
+  /**
+   * Returns a short label for a row, used in announcements and listboxes.
+   *
+   * @param {HTMLElement} row
+   *   The row HTML element.
+   *
+   * @return {string}
+   *   The text of the first cell of the row, without the tableDrag markup.
+   */
+  Drupal.tableDrag.prototype.rowLabel = function (row) {
+    var $cell = $(row).find('td').eq(0).clone();
+    $cell.find('.tabledrag-handle, .tabledrag-move-link, .tabledrag-changed, .js-indentation').remove();
+    return $.trim($cell.text().replace(/\s+/g, ' '));
+  };
+
+  /**
+   * Toggles the selection of a row, or extends the selection up to the row.
+   *
+   * Selected rows are moved together by the "Move to" panel.
+   *
+   * @param {HTMLElement} row
+   *   The row HTML element.
+   * @param {bool} extend
+   *   Whether to select all the rows between the last toggled row and this
+   *   one.
+   */
+  Drupal.tableDrag.prototype.selectRow = function (row, extend) {
+    var $rows = this.getRows();
+    var start = $rows.index(this.selectionAnchor);
+    if (extend && start !== -1) {
+      var end = $rows.index(row);
+      $rows.slice(Math.min(start, end), Math.max(start, end) + 1).addClass('tabledrag-selected');
+    }
+    else {
+      $(row).toggleClass('tabledrag-selected');
+      this.selectionAnchor = row;
+    }
+
+    var count = this.getSelection().length;
+    Drupal.announce(count ? Drupal.formatPlural(count, '1 row selected.', '@count rows selected.') : Drupal.t('No rows selected.'), 'polite', 'tabledrag');
+  };
+
+  /**
+   * Returns the selected rows.
+   *
+   * @return {Array.<HTMLElement>}
+   *   The selected rows, in document order.
+   */
+  Drupal.tableDrag.prototype.getSelection = function () {
+    return this.getRows().filter('.tabledrag-selected').get();
+  };
+
+  /**
+   * Unselects all rows.
+   */
+  Drupal.tableDrag.prototype.clearSelection = function () {
+    this.getRows().removeClass('tabledrag-selected');
+    this.selectionAnchor = null;
+  };
+
+  /**
+   * Builds the row objects moved together from a row.
+   *
+   * @param {HTMLElement} row
+   *   The row the move was requested from. If it is selected, all selected
+   *   rows are moved.
+   *
+   * @return {Array.<Drupal.tableDrag.row>}
+   *   The row objects of the top-most moved rows, in document order. Moved
+   *   rows whose parent is moved as well are part of the group of the latter.
+   */
+  Drupal.tableDrag.prototype.getMoveGroups = function (row) {
+    var self = this;
+    var rows = $(row).hasClass('tabledrag-selected') ? this.getSelection() : [row];
+    var groups = [];
+    rows.forEach(function (element) {
+      var last = groups[groups.length - 1];
+      if (!last || last.group.indexOf(element) === -1) {
+        groups.push(new self.row(element, 'keyboard', self.indentEnabled, self.maxDepth, false));
+      }
+    });
+    return groups;
+  };
+
+  /**
+   * Lists the parents rows may be moved under.
+   *
+   * @param {Array.<Drupal.tableDrag.row>} groups
+   *   The row objects of the moved rows.
+   *
+   * @return {Array.<?HTMLElement>}
+   *   The valid parent rows, in document order. Null stands for the top level,
+   *   which is always valid.
+   */
+  Drupal.tableDrag.prototype.getMoveParents = function (groups) {
+    var parents = [null];
+    if (!this.indentEnabled || $(groups.map(function (rowObject) { return rowObject.element; })).is('.tabledrag-root')) {
+      return parents;
+    }
+
+    var moved = [];
+    var depth = 0;
+    groups.forEach(function (rowObject) {
+      moved = moved.concat(rowObject.group);
+      depth = Math.max(depth, rowObject.groupDepth - rowObject.indents);
+    });
+    var maxDepth = this.maxDepth;
+    this.getRows().each(function () {
+      var indents = $(this).find('.js-indentation').length;
+      // Rows can't be moved under themselves, under leaves, or deeper than
+      // allowed for the table.
+      if (moved.indexOf(this) === -1 && !$(this).is('.tabledrag-leaf') && (!maxDepth || indents + 1 + depth <= maxDepth)) {
+        parents.push(this);
+      }
+    });
+    return parents;
+  };
+
+  /**
+   * Lists the children of a parent.
+   *
+   * @param {?HTMLElement} parent
+   *   The parent row, or null for the top level.
+   * @param {Array.<HTMLElement>} [excluded]
+   *   Rows to leave out.
+   *
+   * @return {Array.<HTMLElement>}
+   *   The rows directly under the parent, in document order.
+   */
+  Drupal.tableDrag.prototype.getChildRows = function (parent, excluded) {
+    var $rows = this.getRows();
+    var depth = 0;
+    var start = 0;
+    var children = [];
+    if (parent && this.indentEnabled) {
+      depth = $(parent).find('.js-indentation').length + 1;
+      start = $rows.index(parent) + 1;
+    }
+    for (var n = start; n < $rows.length; n++) {
+      var indents = this.indentEnabled ? $($rows[n]).find('.js-indentation').length : 0;
+      if (indents < depth) {
+        break;
+      }
+      if (indents === depth && (!excluded || excluded.indexOf($rows[n]) === -1)) {
+        children.push($rows[n]);
+      }
+    }
+    return children;
+  };
+
+  /**
+   * Finds the parent of a row.
+   *
+   * @param {HTMLElement} row
+   *   The row HTML element.
+   *
+   * @return {?HTMLElement}
+   *   The parent row, or null for top-level rows.
+   */
+  Drupal.tableDrag.prototype.getParentRow = function (row) {
+    if (!this.indentEnabled) {
+      return null;
+    }
+    var indents = $(row).find('.js-indentation').length;
+    var $rows = this.getRows();
+    for (var n = $rows.index(row) - 1; n >= 0; n--) {
+      if ($($rows[n]).find('.js-indentation').length < indents) {
+        return $rows[n];
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Moves rows under a parent, after a given sibling.
+   *
+   * The rows are moved with their children, indented for their new parent,
+   * and their fields are updated as if they had been dropped there.
+   *
+   * @param {Array.<Drupal.tableDrag.row>} groups
+   *   The row objects of the rows to move, as returned by getMoveGroups().
+   * @param {?HTMLElement} parent
+   *   The new parent row, or null for the top level.
+   * @param {?HTMLElement} sibling
+   *   The row to move the rows after, or null to move them to the first
+   *   position under the parent.
+   */
+  Drupal.tableDrag.prototype.moveRows = function (groups, parent, sibling) {
+    var self = this;
+    var moved = [];
+    groups.forEach(function (rowObject) {
+      moved = moved.concat(rowObject.group);
+    });
+
+    var depth = parent ? $(parent).find('.js-indentation').length + 1 : 0;
+    var position = 'after';
+    var target;
+    if (sibling) {
+      // Insert after the children of the sibling that aren't moved.
+      target = $(new this.row(sibling, 'keyboard', this.indentEnabled, this.maxDepth, false).group).not(moved).get(-1);
+    }
+    else if (parent) {
+      target = parent;
+    }
+    else {
+      target = this.getRows().not(moved).get(0);
+      position = 'before';
+    }
+
+    // Move the groups one after the other, updating their fields as if they
+    // had been dropped one by one: fields are copied from neighbour rows,
+    // which must be up to date.
+    groups.forEach(function (rowObject) {
+      if (target) {
+        rowObject.swap(position, target);
+      }
+      if (self.indentEnabled) {
+        rowObject.interval = {min: depth, max: depth};
+        rowObject.indent(depth - rowObject.indents);
+      }
+      rowObject.changed = true;
+      self.rowObject = rowObject;
+      self.dropRow(null, self);
+      position = 'after';
+      target = rowObject.group[rowObject.group.length - 1];
+    });
+    if (this.virtual) {
+      this.scrollToRow(groups[0].element);
+    }
+    if (this.striping === true) {
+      this.restripeTable();
+    }
+    this.clearSelection();
+
+    var children = this.getChildRows(parent);
+    var args = {
+      '@label': this.rowLabel(groups[0].element),
+      '@parent': parent ? this.rowLabel(parent) : '',
+      '@position': children.indexOf(groups[0].element) + 1,
+      '@total': children.length
+    };
+    if (parent) {
+      Drupal.announce(Drupal.formatPlural(groups.length, '@label moved under @parent, to position @position of @total.', '@count rows moved under @parent, from position @position of @total.', args), 'polite', 'tabledrag');
+    }
+    else {
+      Drupal.announce(Drupal.formatPlural(groups.length, '@label moved to position @position of @total.', '@count rows moved, from position @position of @total.', args), 'polite', 'tabledrag');
+    }
+  };
+
+  /**
+   * Opens the panel to move rows to a chosen parent and position.
+   *
+   * @param {HTMLElement} row
+   *   The row to move. If it is selected, all selected rows are moved.
+   */
+  Drupal.tableDrag.prototype.openMovePanel = function (row) {
+    var self = this;
+    var groups = this.getMoveGroups(row);
+    var moved = [];
+    groups.forEach(function (rowObject) {
+      moved = moved.concat(rowObject.group);
+    });
+    var parents = this.getMoveParents(groups);
+    var siblings = [];
+
+    var title = Drupal.formatPlural(groups.length, 'Move @label', 'Move @count rows', {'@label': this.rowLabel(row)});
+    this.closeMovePanel();
+    var $panel = this.$movePanel = $(Drupal.theme('tableDragMovePanel', title));
+    var $parent = $panel.find('.tabledrag-move__parent');
+    var $position = $panel.find('.tabledrag-move__position');
+
+    function updatePositions(current) {
+      siblings = self.getChildRows(parents[$parent.val()], moved);
+      $position.empty().append($('<option value=""></option>').text(Drupal.t('First')));
+      siblings.forEach(function (sibling, index) {
+        $position.append($('<option></option>').attr('value', index).text(Drupal.t('After @label', {'@label': self.rowLabel(sibling)})));
+        if ($(sibling).nextAll().is(current)) {
+          $position.val(index);
+        }
+      });
+    }
+
+    parents.forEach(function (parent, index) {
+      var label = parent ? Array($(parent).find('.js-indentation').length + 2).join('-- ') + self.rowLabel(parent) : Drupal.t('- Top level -');
+      $parent.append($('<option></option>').attr('value', index).text(label));
+    });
+    $parent
+      .val(Math.max(0, parents.indexOf(this.getParentRow(groups[0].element))))
+      .on('change', function () {
+        updatePositions();
+      })
+      .closest('.tabledrag-move__item').prop('hidden', parents.length < 2);
+    updatePositions(groups[0].element);
+
+    $panel
+      .on('click', '.tabledrag-move__submit', function () {
+        var position = $position.val();
+        self.moveRows(groups, parents[$parent.val()], position === '' ? null : siblings[position]);
+        self.closeMovePanel($(groups[0].element).find('.tabledrag-move-link'));
+      })
+      .on('click', '.tabledrag-move__cancel', function () {
+        self.closeMovePanel($(row).find('.tabledrag-move-link'));
+      })
+      .on('keydown', function (event) {
+        // Escape.
+        if (event.keyCode === 27) {
+          self.closeMovePanel($(row).find('.tabledrag-move-link'));
+          return false;
+        }
+      })
+      .insertBefore(this.table);
+    $panel.find('.tabledrag-move__item').not('[hidden]').find('select').eq(0).trigger('focus');
+  };
+
+  /**
+   * Closes the panel to move rows, if open.
+   *
+   * @param {jQuery} [$focus]
+   *   The element to give the focus to.
+   */
+  Drupal.tableDrag.prototype.closeMovePanel = function ($focus) {
+    if (this.$movePanel) {
+      this.$movePanel.remove();
+      this.$movePanel = null;
+    }
+    if ($focus) {
+      $focus.trigger('focus');
+    }
+  };
+
   /**
    * Constructor to make a new object to manipulate a table row.
    *
@@ -1213,6 +1791,8 @@
     this.groupDepth = $tableRow.find('.js-indentation').length;
     this.changed = false;
     this.table = $tableRow.closest('table')[0];
+    // Virtualized tables keep the hierarchy of their rows in memory.
+    this.model = $(this.table).data('tableDragModel') || null;
     this.indentEnabled = indentEnabled;
     this.maxDepth = maxDepth;
     // Direction the row is being moved.
@@ -1223,7 +1803,7 @@
       this.group = $.merge(this.group, this.children);
       // Find the depth of this entire group.
       for (var n = 0; n < this.group.length; n++) {
-        this.groupDepth = Math.max($(this.group[n]).find('.js-indentation').length, this.groupDepth);
+        this.groupDepth = Math.max(this.model ? this.model.depth(this.group[n]) : $(this.group[n]).find('.js-indentation').length, this.groupDepth);
       }
     }
   };
@@ -1257,19 +1837,30 @@
       }
     }
 
-    while (currentRow.length) {
-      // A greater indentation indicates this is a child.
-      if (currentRow.find('.js-indentation').length > parentIndentation) {
+    if (this.model) {
+      this.model.children(this.element).forEach(function (row) {
         child++;
-        rows.push(currentRow[0]);
+        rows.push(row);
         if (addClasses) {
-          currentRow.find('.js-indentation').each(rowIndentation);
+          $(row).find('.js-indentation').each(rowIndentation);
         }
+      });
+    }
+    else {
+      while (currentRow.length) {
+        // A greater indentation indicates this is a child.
+        if (currentRow.find('.js-indentation').length > parentIndentation) {
+          child++;
+          rows.push(currentRow[0]);
+          if (addClasses) {
+            currentRow.find('.js-indentation').each(rowIndentation);
+          }
+        }
+        else {
+          break;
+        }
+        currentRow = currentRow.next('tr.draggable');
       }
-      else {
-        break;
-      }
-      currentRow = currentRow.next('tr.draggable');
     }
     if (addClasses && rows.length) {
       $(rows[rows.length - 1]).find('.js-indentation:nth-child(' + (parentIndentation + 1) + ')').addClass('tree-child-last');
@@ -1308,7 +1899,7 @@
     }
 
     // Do not let an un-draggable first row have anything put before it.
-    if (this.table.tBodies[0].rows[0] === row && $row.is(':not(.draggable)')) {
+    if ($row.is(':first-child:not(.draggable)')) {
       return false;
     }
 
@@ -1329,6 +1920,9 @@
       Drupal.detachBehaviors(row, drupalSettings, 'move');
     });
     $(row)[position](this.group);
+    if (this.model) {
+      this.model.move(this.group);
+    }
     // Makes sure only DOM object are passed to Drupal.attachBehaviors()s.
     this.group.forEach(function (row) {
       Drupal.attachBehaviors(row, drupalSettings);
@@ -1421,6 +2015,9 @@
       // Update indentation for this row.
       this.changed = true;
       this.groupDepth += indentDiff;
+      if (this.model) {
+        this.model.indent(this.group, indentDiff);
+      }
       this.onIndent();
     }
 
@@ -1440,6 +2037,9 @@
    *   An array of siblings.
    */
   Drupal.tableDrag.prototype.row.prototype.findSiblings = function (rowSettings) {
+    if (this.model && this.indentEnabled) {
+      return this.model.siblings(this.element);
+    }
     var siblings = [];
     var directions = ['prev', 'next'];
     var rowIndentation = this.indents;
@@ -1527,6 +2127,150 @@
     return null;
   };
 
+  /**
+   * In-memory model of the hierarchy of the rows of a virtualized table.
+   *
+   * Finds children, siblings and parents without querying the indentation of
+   * every row in the document. It is kept up to date by row swaps and
+   * indentations; code moving rows by other means must create a new model.
+   *
+   * @constructor
+   *
+   * @param {Array.<HTMLElement>} rows
+   *   The draggable rows of the table, in document order.
+   */
+  Drupal.tableDrag.prototype.rowModel = function (rows) {
+
+    /**
+     * The draggable rows, in document order.
+     *
+     * @type {Array.<HTMLElement>}
+     */
+    this.rows = rows;
+
+    /**
+     * The number of indentations of each row.
+     *
+     * @type {Array.<number>}
+     */
+    this.depths = rows.map(function (row) {
+      return $(row).find('.js-indentation').length;
+    });
+  };
+
+  /**
+   * Get the number of indentations of a row.
+   *
+   * @param {HTMLElement} row
+   *   The row HTML element.
+   *
+   * @return {number}
+   *   The number of indentations.
+   */
+  Drupal.tableDrag.prototype.rowModel.prototype.depth = function (row) {
+    return this.depths[this.rows.indexOf(row)];
+  };
+
+  /**
+   * Find all descendants of a row.
+   *
+   * @param {HTMLElement} row
+   *   The row HTML element.
+   *
+   * @return {Array.<HTMLElement>}
+   *   The descendant rows, in document order.
+   */
+  Drupal.tableDrag.prototype.rowModel.prototype.children = function (row) {
+    var index = this.rows.indexOf(row);
+    var n = index + 1;
+    while (n < this.rows.length && this.depths[n] > this.depths[index]) {
+      n++;
+    }
+    return this.rows.slice(index + 1, n);
+  };
+
+  /**
+   * Find all siblings of a row, including the row itself.
+   *
+   * @param {HTMLElement} row
+   *   The row HTML element.
+   *
+   * @return {Array.<HTMLElement>}
+   *   The sibling rows, in document order.
+   */
+  Drupal.tableDrag.prototype.rowModel.prototype.siblings = function (row) {
+    var index = this.rows.indexOf(row);
+    var depth = this.depths[index];
+    var siblings = [row];
+    var n;
+    for (n = index - 1; n >= 0 && this.depths[n] >= depth; n--) {
+      if (this.depths[n] === depth) {
+        siblings.unshift(this.rows[n]);
+      }
+    }
+    for (n = index + 1; n < this.rows.length && this.depths[n] >= depth; n++) {
+      if (this.depths[n] === depth) {
+        siblings.push(this.rows[n]);
+      }
+    }
+    return siblings;
+  };
+
+  /**
+   * Find the parent of a row.
+   *
+   * @param {HTMLElement} row
+   *   The row HTML element.
+   *
+   * @return {?HTMLElement}
+   *   The parent row, or null for rows at the root level.
+   */
+  Drupal.tableDrag.prototype.rowModel.prototype.parent = function (row) {
+    var index = this.rows.indexOf(row);
+    for (var n = index - 1; n >= 0; n--) {
+      if (this.depths[n] < this.depths[index]) {
+        return this.rows[n];
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Update the model after a group of rows was moved in the document.
+   *
+   * @param {Array.<HTMLElement>} group
+   *   The moved rows, in document order.
+   */
+  Drupal.tableDrag.prototype.rowModel.prototype.move = function (group) {
+    var index = this.rows.indexOf(group[0]);
+    this.rows.splice(index, group.length);
+    var depths = this.depths.splice(index, group.length);
+
+    // Find the closest draggable row before the group in the document.
+    var $previous = $(group[0]).prev();
+    while ($previous.length && !$previous.is('.draggable')) {
+      $previous = $previous.prev();
+    }
+    index = $previous.length ? this.rows.indexOf($previous[0]) + 1 : 0;
+    Array.prototype.splice.apply(this.rows, [index, 0].concat(group));
+    Array.prototype.splice.apply(this.depths, [index, 0].concat(depths));
+  };
+
+  /**
+   * Update the model after a group of rows was indented.
+   *
+   * @param {Array.<HTMLElement>} group
+   *   The indented rows.
+   * @param {number} indentDiff
+   *   The number of indentations added, negative if removed.
+   */
+  Drupal.tableDrag.prototype.rowModel.prototype.indent = function (group, indentDiff) {
+    var index = this.rows.indexOf(group[0]);
+    for (var n = index; n < index + group.length; n++) {
+      this.depths[n] += indentDiff;
+    }
+  };
+
   $.extend(Drupal.theme, /** @lends Drupal.theme */{
 
     /**
@@ -1551,6 +2295,23 @@
      */
     tableDragChangedWarning: function () {
       return '<div class="tabledrag-changed-warning messages messages--warning" role="alert">' + Drupal.theme('tableDragChangedMarker') + ' ' + Drupal.t('You have unsaved changes.') + '</div>';
+    },
+
+    /**
+     * @param {string} title
+     *   The title of the panel.
+     *
+     * @return {string}
+     *   Markup for the panel to move rows to a chosen position.
+     */
+    tableDragMovePanel: function (title) {
+      return '<div class="tabledrag-move" role="group" aria-label="' + Drupal.checkPlain(title) + '">' +
+        '<h2 class="tabledrag-move__title">' + Drupal.checkPlain(title) + '</h2>' +
+        '<div class="form-item tabledrag-move__item"><label>' + Drupal.t('Parent') + ' <select class="form-select tabledrag-move__parent"></select></label></div>' +
+        '<div class="form-item tabledrag-move__item"><label>' + Drupal.t('Position') + ' <select class="form-select tabledrag-move__position"></select></label></div>' +
+        '<button type="button" class="button button--primary tabledrag-move__submit">' + Drupal.t('Move') + '</button> ' +
+        '<button type="button" class="button tabledrag-move__cancel">' + Drupal.t('Cancel') + '</button>' +
+        '</div>';
     }
   });
 
@@ -10,67 +10,232 @@
   /**
    * Set the client's system time zone as default values of form fields.
    *
+   * Also offers authenticated users whose browser is set to another time zone
+   * than their profile to update their profile.
+   *
    * @type {Drupal~behavior}
    */
   Drupal.behaviors.setTimezone = {
     attach: function (context, settings) {
       var $timezone = $(context).find('.timezone-detect').once('timezone');
       if ($timezone.length) {
-        var dateString = Date();
-        // In some client environments, date strings include a time zone
-        // abbreviation, between 3 and 5 letters enclosed in parentheses,
-        // which can be interpreted by PHP.
-        var matches = dateString.match(/\(([A-Z]{3,5})\)/);
-        var abbreviation = matches ? matches[1] : 0;
+        // Only select time zones offered by the form element.
+        var timezone = Drupal.timezone.detect($timezone.find('option').map(function () { return this.value; }).get());
+        if (timezone) {
+          $timezone.val(timezone);
+        }
+      }
 
-        // For all other client environments, the abbreviation is set to "0"
-        // and the current offset from UTC and daylight saving time status are
-        // used to guess the time zone.
-        var dateNow = new Date();
-        var offsetNow = dateNow.getTimezoneOffset() * -60;
+      if (settings.timezone && settings.timezone.hasOwnProperty('user')) {
+        $('body').once('timezone-prompt').each(function () {
+          Drupal.timezone.prompt(settings.timezone);
+        });
+      }
+    }
+  };
 
-        // Use January 1 and July 1 as test dates for determining daylight
-        // saving time status by comparing their offsets.
-        var dateJan = new Date(dateNow.getFullYear(), 0, 1, 12, 0, 0, 0);
-        var dateJul = new Date(dateNow.getFullYear(), 6, 1, 12, 0, 0, 0);
-        var offsetJan = dateJan.getTimezoneOffset() * -60;
-        var offsetJul = dateJul.getTimezoneOffset() * -60;
+  /**
+   * @namespace
+   */
+  Drupal.timezone = {
 
-        var isDaylightSavingTime;
-        // If the offset from UTC is identical on January 1 and July 1,
-        // assume daylight saving time is not used in this time zone.
-        if (offsetJan === offsetJul) {
-          isDaylightSavingTime = '';
-        }
-        // If the maximum annual offset is equivalent to the current offset,
-        // assume daylight saving time is in effect.
-        else if (Math.max(offsetJan, offsetJul) === offsetNow) {
-          isDaylightSavingTime = 1;
+    /**
+     * Time zones by UTC offsets in minutes, on January 1 and July 1.
+     *
+     * Used when the browser doesn't tell its time zone.
+     *
+     * @type {Object.<string, string>}
+     */
+    offsets: {
+      '-660,-660': 'Pacific/Pago_Pago',
+      '-600,-600': 'Pacific/Honolulu',
+      '-600,-540': 'America/Adak',
+      '-570,-570': 'Pacific/Marquesas',
+      '-540,-540': 'Pacific/Gambier',
+      '-540,-480': 'America/Anchorage',
+      '-480,-480': 'Pacific/Pitcairn',
+      '-480,-420': 'America/Los_Angeles',
+      '-420,-420': 'America/Phoenix',
+      '-420,-360': 'America/Denver',
+      '-360,-360': 'America/Regina',
+      '-360,-300': 'America/Chicago',
+      '-300,-360': 'Pacific/Easter',
+      '-300,-300': 'America/Bogota',
+      '-300,-240': 'America/New_York',
+      '-240,-240': 'America/Caracas',
+      '-240,-180': 'America/Halifax',
+      '-210,-150': 'America/St_Johns',
+      '-180,-240': 'America/Santiago',
+      '-180,-180': 'America/Sao_Paulo',
+      '-180,-120': 'America/Miquelon',
+      '-120,-120': 'America/Noronha',
+      '-120,-60': 'America/Godthab',
+      '-60,-60': 'Atlantic/Cape_Verde',
+      '-60,0': 'Atlantic/Azores',
+      '0,0': 'UTC',
+      '0,60': 'Europe/London',
+      '60,60': 'Africa/Lagos',
+      '60,120': 'Europe/Paris',
+      '120,120': 'Africa/Johannesburg',
+      '120,180': 'Europe/Helsinki',
+      '180,180': 'Europe/Moscow',
+      '210,210': 'Asia/Tehran',
+      '240,240': 'Asia/Dubai',
+      '270,270': 'Asia/Kabul',
+      '300,300': 'Asia/Karachi',
+      '330,330': 'Asia/Kolkata',
+      '345,345': 'Asia/Kathmandu',
+      '360,360': 'Asia/Dhaka',
+      '390,390': 'Asia/Yangon',
+      '420,420': 'Asia/Bangkok',
+      '480,480': 'Asia/Shanghai',
+      '525,525': 'Australia/Eucla',
+      '540,540': 'Asia/Tokyo',
+      '570,570': 'Australia/Darwin',
+      '600,600': 'Australia/Brisbane',
+      '630,570': 'Australia/Adelaide',
+      '660,600': 'Australia/Sydney',
+      '660,630': 'Australia/Lord_Howe',
+      '660,660': 'Pacific/Noumea',
+      '720,720': 'Pacific/Tarawa',
+      '780,720': 'Pacific/Auckland',
+      '780,780': 'Pacific/Tongatapu',
+      '825,765': 'Pacific/Chatham',
+      '840,840': 'Pacific/Kiritimati'
+    },
+
+    /**
+     * Current names of time zones, keyed by the legacy names some browsers use.
+     *
+     * @type {Object.<string, string>}
+     */
+    aliases: {
+      'America/Buenos_Aires': 'America/Argentina/Buenos_Aires',
+      'America/Indianapolis': 'America/Indiana/Indianapolis',
+      'Asia/Calcutta': 'Asia/Kolkata',
+      'Asia/Katmandu': 'Asia/Kathmandu',
+      'Asia/Rangoon': 'Asia/Yangon',
+      'Asia/Saigon': 'Asia/Ho_Chi_Minh'
+    },
+
+    /**
+     * Detects the time zone of the browser.
+     *
+     * @param {Array.<string>} [zones]
+     *   The accepted time zones. Other time zones are replaced by the one of
+     *   {@link Drupal.timezone.offsets} with the same offsets, if accepted.
+     *
+     * @return {?string}
+     *   The name of the time zone, such as 'Europe/Paris', null if unknown.
+     */
+    detect: function (zones) {
+      var timezone = null;
+      // Accessing the time zone throws in some older browsers.
+      try {
+        timezone = window.Intl && Intl.DateTimeFormat().resolvedOptions().timeZone;
+      }
+      catch (e) {
+        // The offsets are used then.
+      }
+      timezone = this.aliases[timezone] || timezone;
+      if (timezone && (!zones || zones.indexOf(timezone) !== -1)) {
+        return timezone;
+      }
+
+      // Compare the offsets on January 1 and July 1, which tell the
+      // hemisphere and whether daylight saving time is used.
+      var year = new Date().getFullYear();
+      var offsetJan = new Date(year, 0, 1, 12, 0, 0, 0).getTimezoneOffset() * -1;
+      var offsetJul = new Date(year, 6, 1, 12, 0, 0, 0).getTimezoneOffset() * -1;
+      timezone = this.offsets[offsetJan + ',' + offsetJul] || null;
+      return timezone && (!zones || zones.indexOf(timezone) !== -1) ? timezone : null;
+    },
+
+    /**
+     * Offers to update the time zone of the user profile.
+     *
+     * The prompt is shown when the browser is set to another time zone, until
+     * it is dismissed for that time zone.
+     *
+     * @param {object} settings
+     *   The time zone settings.
+     * @param {?string} settings.user
+     *   The time zone of the user profile, null if not set.
+     */
+    prompt: function (settings) {
+      // Time zones unknown to the server are rejected when the profile is
+      // updated.
+      var timezone = this.detect();
+      var dismissed = null;
+      try {
+        dismissed = localStorage.getItem('Drupal.timezone.dismissed');
+      }
+      catch (e) {
+        // The prompt is shown on every page then.
+      }
+      if (!timezone || timezone === settings.user || timezone === dismissed) {
+        return;
+      }
+
+      var $main = $('main, [role="main"]').first();
+      var $prompt = $(Drupal.theme('timezonePrompt', timezone, settings.user))
+        .prependTo($main.length ? $main : 'body');
+
+      $prompt.on('click', '.timezone-prompt__update', function () {
+        $prompt.find('button').prop('disabled', true);
+        // The token protects the request from cross-site request forgery.
+        $.get(Drupal.url('session/token'))
+          .then(function (token) {
+            return $.ajax({
+              type: 'POST',
+              url: Drupal.url('system/user-timezone'),
+              data: {timezone: timezone},
+              dataType: 'json',
+              headers: {'X-CSRF-Token': token}
+            });
+          })
+          .done(function () {
+            settings.user = timezone;
+            $prompt.text(Drupal.t('Your time zone has been set to @timezone.', {'@timezone': timezone}));
+          })
+          .fail(function () {
+            $prompt.addClass('messages--error').text(Drupal.t('Your time zone could not be updated.'));
+          });
+      });
+      $prompt.on('click', '.timezone-prompt__dismiss', function () {
+        try {
+          localStorage.setItem('Drupal.timezone.dismissed', timezone);
         }
-        // Otherwise, assume daylight saving time is not in effect.
-        else {
-          isDaylightSavingTime = 0;
+        catch (e) {
+          // The prompt is shown again on the next page then.
         }
+        $prompt.remove();
+      });
+    }
+  };
 
-        // Submit request to the system/timezone callback and set the form
-        // field to the response time zone. The client date is passed to the
-        // callback for debugging purposes. Submit a synchronous request to
-        // avoid database errors associated with concurrent requests
-        // during install.
-        var path = 'system/timezone/' + abbreviation + '/' + offsetNow + '/' + isDaylightSavingTime;
-        $.ajax({
-          async: false,
-          url: Drupal.url(path),
-          data: {date: dateString},
-          dataType: 'json',
-          success: function (data) {
-            if (data) {
-              $timezone.val(data);
-            }
-          }
-        });
-      }
+  /**
+   * Theme function for the prompt to update the time zone of the user.
+   *
+   * @param {string} timezone
+   *   The time zone of the browser.
+   * @param {?string} userTimezone
+   *   The time zone of the user profile, null if not set.
+   *
+   * @return {string}
+   *   The HTML of the prompt.
+   */
+  Drupal.theme.timezonePrompt = function (timezone, userTimezone) {
+    var message = Drupal.t('Your browser is set to the %timezone time zone, but your profile has no time zone.', {'%timezone': timezone});
+    var dismiss = Drupal.t('Dismiss');
+    if (userTimezone) {
+      message = Drupal.t('Your browser is set to the %timezone time zone, but your profile is set to %user.', {'%timezone': timezone, '%user': userTimezone});
+      dismiss = Drupal.t('Keep @timezone', {'@timezone': userTimezone});
     }
+    return '<div class="timezone-prompt messages messages--status" role="status">' + message +
+      ' <button type="button" class="button timezone-prompt__update">' + Drupal.t('Use @timezone', {'@timezone': timezone}) + '</button>' +
+      ' <button type="button" class="link timezone-prompt__dismiss">' + dismiss + '</button>' +
+      '</div>';
   };
 
 })(jQuery, Drupal);
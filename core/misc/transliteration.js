@@ -0,0 +1,230 @@
+/**
+ * @file
+ * Transliterates text to US-ASCII in the browser.
+ *
+ * A port of \Drupal\Component\Transliteration\PhpTransliteration limited to
+ * the Latin, Greek and Cyrillic scripts, with the same data. Modules altering
+ * the transliteration on the server through
+ * hook_transliteration_overrides_alter() may get different results.
+ */
+
+(function (Drupal) {
+
+  'use strict';
+
+  /**
+   * Client-side transliteration.
+   *
+   * @namespace
+   */
+  Drupal.transliteration = {
+
+    /**
+     * The first character code of {@link Drupal.transliteration.map}.
+     *
+     * @type {number}
+     */
+    start: 0x80,
+
+    /**
+     * The US-ASCII replacements of characters, from 0x80 to 0x4FF.
+     *
+     * Generated from the data of PhpTransliteration. Characters without
+     * replacement are null.
+     *
+     * @type {Array.<?string>}
+     */
+    map: [
+      // 0x080
+      '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '',
+      // 0x090
+      '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '',
+      // 0x0A0
+      ' ', '!', 'C/', 'PS', '$?', 'Y=', '|', 'SS', '"', '(C)', 'a', '<<', '!', '-', '(R)', '-',
+      // 0x0B0
+      'deg', '+-', '2', '3', '\'', 'm', 'P', ':', ',', '1', 'o', '>>', ' 1/4', ' 1/2', ' 3/4', '?',
+      // 0x0C0
+      'A', 'A', 'A', 'A', 'A', 'A', 'AE', 'C', 'E', 'E', 'E', 'E', 'I', 'I', 'I', 'I',
+      // 0x0D0
+      'D', 'N', 'O', 'O', 'O', 'O', 'O', '*', 'O', 'U', 'U', 'U', 'U', 'Y', 'TH', 'ss',
+      // 0x0E0
+      'a', 'a', 'a', 'a', 'a', 'a', 'ae', 'c', 'e', 'e', 'e', 'e', 'i', 'i', 'i', 'i',
+      // 0x0F0
+      'd', 'n', 'o', 'o', 'o', 'o', 'o', '/', 'o', 'u', 'u', 'u', 'u', 'y', 'th', 'y',
+      // 0x100
+      'A', 'a', 'A', 'a', 'A', 'a', 'C', 'c', 'C', 'c', 'C', 'c', 'C', 'c', 'D', 'd',
+      // 0x110
+      'D', 'd', 'E', 'e', 'E', 'e', 'E', 'e', 'E', 'e', 'E', 'e', 'G', 'g', 'G', 'g',
+      // 0x120
+      'G', 'g', 'G', 'g', 'H', 'h', 'H', 'h', 'I', 'i', 'I', 'i', 'I', 'i', 'I', 'i',
+      // 0x130
+      'I', 'i', 'IJ', 'ij', 'J', 'j', 'K', 'k', 'q', 'L', 'l', 'L', 'l', 'L', 'l', 'L',
+      // 0x140
+      'l', 'L', 'l', 'N', 'n', 'N', 'n', 'N', 'n', '\'n', 'N', 'n', 'O', 'o', 'O', 'o',
+      // 0x150
+      'O', 'o', 'OE', 'oe', 'R', 'r', 'R', 'r', 'R', 'r', 'S', 's', 'S', 's', 'S', 's',
+      // 0x160
+      'S', 's', 'T', 't', 'T', 't', 'T', 't', 'U', 'u', 'U', 'u', 'U', 'u', 'U', 'u',
+      // 0x170
+      'U', 'u', 'U', 'u', 'W', 'w', 'Y', 'y', 'Y', 'Z', 'z', 'Z', 'z', 'Z', 'z', 's',
+      // 0x180
+      'b', 'B', 'B', 'b', '6', '6', 'O', 'C', 'c', 'D', 'D', 'D', 'd', 'd', '3', '@',
+      // 0x190
+      'E', 'F', 'f', 'G', 'G', 'hv', 'I', 'I', 'K', 'k', 'l', 'l', 'W', 'N', 'n', 'O',
+      // 0x1A0
+      'O', 'o', 'OI', 'oi', 'P', 'p', 'YR', '2', '2', 'SH', 'sh', 't', 'T', 't', 'T', 'U',
+      // 0x1B0
+      'u', 'Y', 'V', 'Y', 'y', 'Z', 'z', 'ZH', 'ZH', 'zh', 'zh', '2', '5', '5', 'ts', 'w',
+      // 0x1C0
+      '|', '||', '|=', '!', 'DZ', 'Dz', 'dz', 'LJ', 'Lj', 'lj', 'NJ', 'Nj', 'nj', 'A', 'a', 'I',
+      // 0x1D0
+      'i', 'O', 'o', 'U', 'u', 'U', 'u', 'U', 'u', 'U', 'u', 'U', 'u', '@', 'A', 'a',
+      // 0x1E0
+      'A', 'a', 'AE', 'ae', 'G', 'g', 'G', 'g', 'K', 'k', 'O', 'o', 'O', 'o', 'ZH', 'zh',
+      // 0x1F0
+      'j', 'DZ', 'Dz', 'dz', 'G', 'g', 'HV', 'W', 'N', 'n', 'A', 'a', 'AE', 'ae', 'O', 'o',
+      // 0x200
+      'A', 'a', 'A', 'a', 'E', 'e', 'E', 'e', 'I', 'i', 'I', 'i', 'O', 'o', 'O', 'o',
+      // 0x210
+      'R', 'r', 'R', 'r', 'U', 'u', 'U', 'u', 'S', 's', 'T', 't', 'Y', 'y', 'H', 'h',
+      // 0x220
+      'N', 'd', 'OU', 'ou', 'Z', 'z', 'A', 'a', 'E', 'e', 'O', 'o', 'O', 'o', 'O', 'o',
+      // 0x230
+      'O', 'o', 'Y', 'y', 'l', 'n', 't', 'j', 'db', 'qp', 'A', 'C', 'c', 'L', 'T', 's',
+      // 0x240
+      'z', '?', '?', 'B', 'U', 'V', 'E', 'e', 'J', 'j', 'Q', 'q', 'R', 'r', 'Y', 'y',
+      // 0x250
+      'a', 'a', 'a', 'b', 'o', 'c', 'd', 'd', 'e', '@', '@', 'e', 'e', 'e', 'e', 'j',
+      // 0x260
+      'g', 'g', 'G', 'g', 'u', 'Y', 'h', 'h', 'i', 'i', 'I', 'l', 'l', 'l', 'lZ', 'W',
+      // 0x270
+      'W', 'm', 'n', 'n', 'N', 'o', 'OE', 'O', 'F', 'R', 'R', 'R', 'r', 'r', 'r', 'R',
+      // 0x280
+      'R', 'R', 's', 'S', 'j', 'S', 'S', 't', 't', 'u', 'U', 'v', '^', 'W', 'Y', 'Y',
+      // 0x290
+      'z', 'z', 'Z', 'Z', '?', '?', '?', 'C', '@', 'B', 'E', 'G', 'H', 'j', 'k', 'L',
+      // 0x2A0
+      'q', '?', '?', 'dz', 'dZ', 'dz', 'ts', 'tS', 'tC', 'fN', 'ls', 'lz', 'WW', ']]', 'h', 'h',
+      // 0x2B0
+      'k', 'h', 'j', 'r', 'r', 'r', 'r', 'w', 'y', '\'', '"', '`', '\'', '`', '`', '\'',
+      // 0x2C0
+      '?', '?', '<', '>', '^', 'V', '^', 'V', '\'', '-', '/', '\\', ',', '_', '\\', '/',
+      // 0x2D0
+      ':', '.', '`', '\'', '^', 'V', '+', '-', 'V', '.', '@', ',', '~', '"', 'R', 'X',
+      // 0x2E0
+      'G', 'l', 's', 'x', '?', '', '', '', '', '', '', '', 'V', '=', '"', null,
+      // 0x2F0
+      null, null, null, null, null, null, null, null, null, null, null, null, null, null, null, null,
+      // 0x300
+      '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '',
+      // 0x310
+      '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '',
+      // 0x320
+      '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '',
+      // 0x330
+      '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', '',
+      // 0x340
+      '', '', '', '', '', '', '', '', '', '', '', '', '', '', '', null,
+      // 0x350
+      null, null, null, null, null, null, null, null, null, null, null, null, null, null, null, null,
+      // 0x360
+      '', '', '', null, null, null, null, null, null, null, null, null, null, null, null, null,
+      // 0x370
+      '\'', ',', 'i', '?', null, null, null, null, null, null, null, null, null, null, null, null,
+      // 0x380
+      '', '', 'A', ':', 'E', 'E', 'I', 'O', 'Y', 'O', null, null, null, null, null, null,
+      // 0x390
+      'i', 'A', 'B', 'G', 'D', 'E', 'Z', 'E', 'TH', 'I', 'K', 'L', 'M', 'N', 'X', 'O',
+      // 0x3A0
+      'P', 'R', 'S', 'T', 'Y', 'PH', 'CH', 'PS', 'O', 'I', 'Y', 'a', 'e', 'e', 'i', null,
+      // 0x3B0
+      'y', 'a', 'b', 'g', 'd', 'e', 'z', 'e', 'th', 'i', 'k', 'l', 'm', 'n', 'x', 'o',
+      // 0x3C0
+      'p', 'r', 's', 's', 't', 'y', 'ph', 'ch', 'ps', 'o', 'i', 'y', 'o', 'y', 'o', null,
+      // 0x3D0
+      'b', 'th', 'Y', 'Y', 'Y', 'ph', 'p', '&', 'St', 'st', 'W', 'w', 'Q', 'q', null, null,
+      // 0x3E0
+      'Sp', 'sp', 'Sh', 'sh', 'F', 'f', 'Kh', 'kh', 'H', 'h', 'G', 'g', 'CH', 'ch', 'Ti', 'ti',
+      // 0x3F0
+      'k', 'r', 's', 'j', 'TH', 'e', 'S', 's', 'S', 'S', 's', null, null, null, null, null,
+      // 0x400
+      'E', 'E', 'D', 'G', 'E', 'Z', 'I', 'I', 'J', 'L', 'N', 'C', 'K', 'I', 'U', 'D',
+      // 0x410
+      'A', 'B', 'V', 'G', 'D', 'E', 'Z', 'Z', 'I', 'I', 'K', 'L', 'M', 'N', 'O', 'P',
+      // 0x420
+      'R', 'S', 'T', 'U', 'F', 'H', 'C', 'C', 'S', 'S', '', 'Y', '', 'E', 'U', 'A',
+      // 0x430
+      'a', 'b', 'v', 'g', 'd', 'e', 'z', 'z', 'i', 'i', 'k', 'l', 'm', 'n', 'o', 'p',
+      // 0x440
+      'r', 's', 't', 'u', 'f', 'h', 'c', 'c', 's', 's', '', 'y', '', 'e', 'u', 'a',
+      // 0x450
+      'e', 'e', 'd', 'g', 'e', 'z', 'i', 'i', 'j', 'l', 'n', 'c', 'k', 'i', 'u', 'd',
+      // 0x460
+      'O', 'o', 'E', 'e', 'Ie', 'ie', 'E', 'e', 'Ie', 'ie', 'O', 'o', 'Io', 'io', 'Ks', 'ks',
+      // 0x470
+      'Ps', 'ps', 'F', 'f', 'Y', 'y', 'Y', 'y', 'u', 'u', 'O', 'o', 'O', 'o', 'Ot', 'ot',
+      // 0x480
+      'Q', 'q', '*1000*', '', '', '', '', '*100.000*', '*1.000.000*', '"', '"', 'R\'', 'r\'', null, null, null,
+      // 0x490
+      'G', 'g', 'G', 'g', 'G', 'g', 'Zh\'', 'zh\'', 'Z', 'z', 'K\'', 'k\'', 'K\'', 'k\'', 'K\'', 'k\'',
+      // 0x4A0
+      'K\'', 'k\'', 'N\'', 'n\'', 'Ng', 'ng', 'P\'', 'p\'', 'Kh', 'kh', 'S\'', 's\'', 'T\'', 't\'', 'U', 'u',
+      // 0x4B0
+      'U\'', 'u\'', 'Kh\'', 'kh\'', 'Tts', 'tts', 'Ch\'', 'ch\'', 'Ch\'', 'ch\'', 'H', 'h', 'Ch', 'ch', 'Ch\'', 'ch\'',
+      // 0x4C0
+      '`', 'Z', 'z', 'K\'', 'k\'', 'N\'', 'n\'', 'Ch', 'ch', null, null, null, null, null, null, null,
+      // 0x4D0
+      'A', 'a', 'A', 'a', 'AE', 'ae', 'E', 'e', '@', '@', '@', '@', 'Z', 'z', 'Z', 'z',
+      // 0x4E0
+      'Dz', 'dz', 'I', 'i', 'I', 'i', 'O', 'o', 'O', 'o', 'O', 'o', 'E', 'e', 'U', 'u',
+      // 0x4F0
+      'U', 'u', 'U', 'u', 'C', 'c', 'Y', 'y', null, null, null, null, null, null, null, null
+    ],
+
+    /**
+     * The language-specific replacements, keyed by langcode and character
+     * code.
+     *
+     * @type {object.<string, object.<number, string>>}
+     */
+    overrides: {
+      de: {0xC4: 'Ae', 0xD6: 'Oe', 0xDC: 'Ue', 0xE4: 'ae', 0xF6: 'oe', 0xFC: 'ue'},
+      dk: {0xC5: 'Aa', 0xD8: 'Oe', 0xE5: 'aa', 0xF8: 'oe'},
+      eo: {0x11C: 'Gx', 0x11D: 'gx', 0x124: 'Hx', 0x125: 'hx', 0x134: 'Jx', 0x135: 'jx', 0x15C: 'Sx', 0x15D: 'sx', 0x16C: 'Ux', 0x16D: 'ux'},
+      kg: {0x416: 'C', 0x419: 'J', 0x425: 'X', 0x426: 'TS', 0x429: 'SCH', 0x42E: 'JU', 0x42F: 'JA', 0x436: 'c', 0x439: 'j', 0x445: 'x', 0x446: 'ts', 0x449: 'sch', 0x44E: 'ju', 0x44F: 'ja', 0x451: 'e', 0x4A2: 'H', 0x4A3: 'h', 0x4AE: 'W', 0x4AF: 'w', 0x4E8: 'Q', 0x4E9: 'q'}
+    },
+
+    /**
+     * Transliterates a string to US-ASCII.
+     *
+     * @param {string} string
+     *   The string to transliterate.
+     * @param {string} [langcode='en']
+     *   The language code of the string.
+     *
+     * @return {?string}
+     *   The transliterated string, or null if the string contains characters
+     *   the browser has no replacement for, which the server may have.
+     */
+    transliterate: function (string, langcode) {
+      var overrides = Drupal.transliteration.overrides[langcode] || {};
+      var map = Drupal.transliteration.map;
+      var start = Drupal.transliteration.start;
+      var result = '';
+      for (var i = 0; i < string.length; i++) {
+        var code = string.charCodeAt(i);
+        var replacement = code < start ? string.charAt(i) : overrides[code];
+        if (typeof replacement === 'undefined') {
+          replacement = map[code - start];
+        }
+        // Characters beyond the map, surrogate pairs included, are unknown.
+        if (typeof replacement !== 'string') {
+          return null;
+        }
+        result += replacement;
+      }
+      return result;
+    }
+  };
+
+})(Drupal);
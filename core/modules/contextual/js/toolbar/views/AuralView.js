@@ -56,7 +56,7 @@
       // Always release an existing tabbing context.
       if (tabbingContext) {
         tabbingContext.release();
-        Drupal.announce(this.options.strings.tabbingReleased);
+        Drupal.announce(this.options.strings.tabbingReleased, 'polite', 'contextual');
       }
       // Create a new tabbing context when edit mode is enabled.
       if (!this.model.get('isViewing')) {
@@ -74,8 +74,8 @@
       var strings = this.options.strings;
       Drupal.announce(Drupal.formatString(strings.tabbingConstrained, {
         '@contextualsCount': Drupal.formatPlural(Drupal.contextual.collection.length, '@count contextual link', '@count contextual links')
-      }));
-      Drupal.announce(strings.pressEsc);
+      }), 'polite', 'contextual');
+      Drupal.announce(strings.pressEsc, 'polite', 'contextual');
     },
 
     /**
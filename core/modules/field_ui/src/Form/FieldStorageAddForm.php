@@ -172,6 +172,9 @@ public function buildForm(array $form, FormStateInterface $form_state, $entity_t
       '#machine_name' => [
         'source' => ['new_storage_wrapper', 'label'],
         'exists' => [$this, 'fieldNameExists'],
+        // Field storages are identified by the entity type and field name.
+        'check' => '\Drupal\field\Entity\FieldStorageConfig::load',
+        'check_prefix' => $this->entityTypeId . '.' . $field_prefix,
       ],
       '#required' => FALSE,
     ];
@@ -346,6 +346,8 @@ public static function processManagedFile(&$element, FormStateInterface $form_st
     if (isset($element['#upload_validators']['file_validate_extensions'][0])) {
       $extension_list = implode(',', array_filter(explode(' ', $element['#upload_validators']['file_validate_extensions'][0])));
       $element['upload']['#attached']['drupalSettings']['file']['elements']['#' . $element['#id']] = $extension_list;
+      // Also used by the client-side validation of the form.
+      $element['upload']['#attributes']['data-drupal-validate-extensions'] = $extension_list;
     }
 
     // Let #id point to the file element, so the field label's 'for' corresponds
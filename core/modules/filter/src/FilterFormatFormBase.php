@@ -35,6 +35,7 @@ public function form(array $form, FormStateInterface $form_state) {
       '#maxlength' => 255,
       '#machine_name' => [
         'exists' => [$this, 'exists'],
+        'check' => '\Drupal\filter\Entity\FilterFormat::load',
         'source' => ['name'],
       ],
       '#disabled' => !$format->isNew(),
@@ -0,0 +1,59 @@
+/**
+ * @file
+ * Adds the translations of the libraries of the page to Drupal.t().
+ */
+
+(function (Drupal, drupalSettings) {
+
+  'use strict';
+
+  /**
+   * Moves the translations of the settings to the translations of the page.
+   *
+   * The settings of Ajax responses only hold the translations of the
+   * libraries they add.
+   *
+   * @param {object} settings
+   *   The settings, with the language code of the translations, the strings
+   *   keyed by context and source string, and the plural formula in
+   *   `settings.locale`.
+   */
+  function addTranslations(settings) {
+    var locale = settings && settings.locale;
+    if (!locale || !locale.langcode) {
+      return;
+    }
+    var translations = Drupal.locale.translations;
+    // The page may have been switched to another language since.
+    if (!translations.langcode || translations.langcode === locale.langcode) {
+      translations.langcode = locale.langcode;
+      var strings = locale.strings || {};
+      Object.keys(strings).forEach(function (context) {
+        translations.strings[context] = translations.strings[context] || {};
+        Object.keys(strings[context]).forEach(function (source) {
+          translations.strings[context][source] = strings[context][source];
+        });
+      });
+      translations.pluralFormula = locale.pluralFormula || translations.pluralFormula;
+    }
+    delete locale.strings;
+  }
+
+  // Translate the strings used before the behaviors are attached too.
+  addTranslations(drupalSettings);
+
+  /**
+   * Adds the translations of the libraries added by Ajax responses.
+   *
+   * @type {Drupal~behavior}
+   *
+   * @prop {Drupal~behaviorAttach} attach
+   *   Adds the translations of the settings to {@link Drupal.t}.
+   */
+  Drupal.behaviors.localeTranslation = {
+    attach: function (context, settings) {
+      addTranslations(settings);
+    }
+  };
+
+})(Drupal, drupalSettings);
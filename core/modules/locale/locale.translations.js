@@ -0,0 +1,256 @@
+/**
+ * @file
+ * Loads JavaScript translations on demand.
+ *
+ * Pages only hold the translations of their libraries: the translations of
+ * other libraries, such as the ones whose files are loaded by scripts, and of
+ * other languages are loaded here.
+ */
+
+(function ($, Drupal, drupalSettings) {
+
+  'use strict';
+
+  /**
+   * Fires when the translations of the page are switched to another language.
+   *
+   * @event drupalTranslationsChange
+   */
+
+  /**
+   * The requests of translations, keyed by language code and library name.
+   *
+   * @type {Object.<string, jQuery.Promise>}
+   */
+  var requests = {};
+
+  /**
+   * The libraries whose translations were loaded in the current language.
+   *
+   * @type {Array.<string>}
+   */
+  var loaded = [];
+
+  /**
+   * Gets the language of the translations of the page.
+   *
+   * @return {string}
+   *   The language code.
+   */
+  function getLangcode() {
+    return Drupal.locale.translations.langcode || drupalSettings.locale.langcode;
+  }
+
+  /**
+   * Gets the translations of a library cached in localStorage.
+   *
+   * @param {string} langcode
+   *   The language code.
+   * @param {string} library
+   *   The name of the library.
+   *
+   * @return {?object}
+   *   The translations, unless they are outdated.
+   */
+  function getCached(langcode, library) {
+    var hashes = drupalSettings.locale.translations.hashes || {};
+    var cached = null;
+    // Accessing localStorage throws when it is disabled.
+    try {
+      cached = JSON.parse(localStorage.getItem('Drupal.locale.' + langcode + '.' + library));
+    }
+    catch (e) {
+      return null;
+    }
+    return cached && cached.hash === (hashes[langcode] || '') ? cached : null;
+  }
+
+  /**
+   * Caches the translations of a library in localStorage.
+   *
+   * @param {string} langcode
+   *   The language code.
+   * @param {string} library
+   *   The name of the library.
+   * @param {object} translations
+   *   The translations, with the hash of their version.
+   */
+  function setCached(langcode, library, translations) {
+    try {
+      localStorage.setItem('Drupal.locale.' + langcode + '.' + library, JSON.stringify(translations));
+    }
+    catch (e) {
+      // The translations are requested again on the next page then.
+    }
+  }
+
+  /**
+   * Fetches the translations of libraries, from the cache when possible.
+   *
+   * @param {Array.<string>} libraries
+   *   The names of the libraries.
+   * @param {string} langcode
+   *   The language code.
+   *
+   * @return {jQuery.Promise}
+   *   A promise resolved with the translations of each library: their hash,
+   *   strings and plural formula.
+   */
+  function fetchTranslations(libraries, langcode) {
+    var missing = libraries.filter(function (library) {
+      var key = langcode + ':' + library;
+      if (!requests[key] && getCached(langcode, library)) {
+        requests[key] = $.Deferred().resolve(getCached(langcode, library)).promise();
+      }
+      return !requests[key];
+    });
+
+    // Libraries missing from the cache are requested together.
+    if (missing.length) {
+      var request = $.ajax({
+        url: Drupal.url('locale/javascript/' + langcode),
+        data: {libraries: missing.join(',')},
+        dataType: 'json'
+      }).then(function (response) {
+        // Keep the cache valid when the translations changed since the page
+        // was built.
+        drupalSettings.locale.translations.hashes = drupalSettings.locale.translations.hashes || {};
+        drupalSettings.locale.translations.hashes[langcode] = response.hash;
+        missing.forEach(function (library) {
+          setCached(langcode, library, {hash: response.hash, pluralFormula: response.pluralFormula, strings: response.libraries[library]});
+        });
+        return response;
+      });
+      missing.forEach(function (library) {
+        var key = langcode + ':' + library;
+        requests[key] = request.then(function (response) {
+          return {hash: response.hash, pluralFormula: response.pluralFormula, strings: response.libraries[library]};
+        }, function () {
+          // Let the translations be requested again.
+          delete requests[key];
+        });
+      });
+    }
+
+    return $.when.apply($, libraries.map(function (library) {
+      return requests[langcode + ':' + library];
+    })).then(function () {
+      var translations = {};
+      for (var i = 0; i < libraries.length; i++) {
+        translations[libraries[i]] = arguments[i];
+      }
+      return translations;
+    });
+  }
+
+  /**
+   * Adds translations to the translations of the page.
+   *
+   * @param {Object.<string, object>} translations
+   *   The translations, keyed by library name.
+   */
+  function merge(translations) {
+    Object.keys(translations).forEach(function (library) {
+      var strings = translations[library].strings || {};
+      Object.keys(strings).forEach(function (context) {
+        Drupal.locale.translations.strings[context] = $.extend(Drupal.locale.translations.strings[context] || {}, strings[context]);
+      });
+      Drupal.locale.translations.pluralFormula = translations[library].pluralFormula || Drupal.locale.translations.pluralFormula;
+    });
+  }
+
+  /**
+   * Loads the translations of libraries in the page language.
+   *
+   * Use it before translating the strings of libraries whose translations
+   * were not added to the page, such as libraries loaded on demand.
+   *
+   * @example
+   * Drupal.t.load('core/drupal.dialog').done(function () {
+   *   $button.text(Drupal.t('Close'));
+   * });
+   *
+   * @param {string|Array.<string>} libraries
+   *   The names of the libraries, such as 'core/drupal.dialog'.
+   *
+   * @return {jQuery.Promise}
+   *   A promise resolved once the translations are available to
+   *   {@link Drupal.t} and {@link Drupal.formatPlural}.
+   */
+  Drupal.t.load = function (libraries) {
+    libraries = [].concat(libraries);
+    var langcode = getLangcode();
+    libraries.forEach(function (library) {
+      if (loaded.indexOf(library) === -1) {
+        loaded.push(library);
+      }
+    });
+    return fetchTranslations(libraries, langcode).done(function (translations) {
+      // The language may have been switched in the meantime.
+      if (langcode === getLangcode()) {
+        merge(translations);
+      }
+    });
+  };
+
+  /**
+   * Switches the translations of the page to another language.
+   *
+   * The translations of the libraries of the page and of the libraries loaded
+   * with {@link Drupal.t.load} replace the current ones, and the language of
+   * the page is used to format messages. Strings translated already are not
+   * updated: listen to the 'drupalTranslationsChange' event on the document
+   * to render them again.
+   *
+   * @param {string} langcode
+   *   The language code.
+   *
+   * @return {jQuery.Promise}
+   *   A promise resolved once the translations are switched.
+   *
+   * @fires event:drupalTranslationsChange
+   */
+  Drupal.t.switchLanguage = function (langcode) {
+    var libraries = loaded.slice();
+    if (drupalSettings.ajaxPageState && drupalSettings.ajaxPageState.libraries) {
+      drupalSettings.ajaxPageState.libraries.split(',').forEach(function (library) {
+        if (libraries.indexOf(library) === -1) {
+          libraries.push(library);
+        }
+      });
+    }
+    return fetchTranslations(libraries, langcode).done(function (translations) {
+      loaded = libraries;
+      drupalSettings.path.currentLanguage = langcode;
+      Drupal.locale.translations = {langcode: langcode, strings: {}, pluralFormula: null};
+      merge(translations);
+      $(document).trigger('drupalTranslationsChange', langcode);
+    });
+  };
+
+  /**
+   * Loads the translations of the libraries added after a language switch.
+   *
+   * The settings of Ajax responses hold the translations of the libraries
+   * they add in the language of the response only.
+   *
+   * @type {Drupal~behavior}
+   *
+   * @prop {Drupal~behaviorAttach} attach
+   *   Loads the translations of the new libraries of the page.
+   */
+  Drupal.behaviors.localeTranslationsLoad = {
+    attach: function (context, settings) {
+      if (!settings.locale || settings.locale.langcode === getLangcode() || !settings.ajaxPageState || !settings.ajaxPageState.libraries) {
+        return;
+      }
+      var libraries = settings.ajaxPageState.libraries.split(',').filter(function (library) {
+        return loaded.indexOf(library) === -1;
+      });
+      if (libraries.length) {
+        Drupal.t.load(libraries);
+      }
+    }
+  };
+
+})(jQuery, Drupal, drupalSettings);
@@ -0,0 +1,134 @@
+<?php
+
+namespace Drupal\locale\Controller;
+
+use Drupal\Core\Asset\LibraryDiscoveryInterface;
+use Drupal\Core\Cache\CacheableJsonResponse;
+use Drupal\Core\Cache\CacheableMetadata;
+use Drupal\Core\DependencyInjection\ContainerInjectionInterface;
+use Drupal\Core\Language\LanguageManagerInterface;
+use Drupal\Core\State\StateInterface;
+use Drupal\locale\PluralFormulaInterface;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpKernel\Exception\NotFoundHttpException;
+
+/**
+ * Returns the JavaScript translations of libraries.
+ */
+class JavascriptTranslationController implements ContainerInjectionInterface {
+
+  /**
+   * The library discovery service.
+   *
+   * @var \Drupal\Core\Asset\LibraryDiscoveryInterface
+   */
+  protected $libraryDiscovery;
+
+  /**
+   * The plural formula service.
+   *
+   * @var \Drupal\locale\PluralFormulaInterface
+   */
+  protected $pluralFormula;
+
+  /**
+   * The language manager.
+   *
+   * @var \Drupal\Core\Language\LanguageManagerInterface
+   */
+  protected $languageManager;
+
+  /**
+   * The state service.
+   *
+   * @var \Drupal\Core\State\StateInterface
+   */
+  protected $state;
+
+  /**
+   * Constructs a new JavascriptTranslationController object.
+   *
+   * @param \Drupal\Core\Asset\LibraryDiscoveryInterface $library_discovery
+   *   The library discovery service.
+   * @param \Drupal\locale\PluralFormulaInterface $plural_formula
+   *   The plural formula service.
+   * @param \Drupal\Core\Language\LanguageManagerInterface $language_manager
+   *   The language manager.
+   * @param \Drupal\Core\State\StateInterface $state
+   *   The state service.
+   */
+  public function __construct(LibraryDiscoveryInterface $library_discovery, PluralFormulaInterface $plural_formula, LanguageManagerInterface $language_manager, StateInterface $state) {
+    $this->libraryDiscovery = $library_discovery;
+    $this->pluralFormula = $plural_formula;
+    $this->languageManager = $language_manager;
+    $this->state = $state;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('library.discovery'),
+      $container->get('locale.plural.formula'),
+      $container->get('language_manager'),
+      $container->get('state')
+    );
+  }
+
+  /**
+   * Returns the translations of the strings of libraries in a language.
+   *
+   * Only the files parsed for strings already, when pages using them were
+   * built, have translations: the request doesn't parse files nor rebuild the
+   * translation files.
+   *
+   * @param string $langcode
+   *   The language code.
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request, with the comma-separated names of the libraries, such as
+   *   'core/drupal.dialog', in the 'libraries' query parameter.
+   *
+   * @return \Drupal\Core\Cache\CacheableJsonResponse
+   *   The hash identifying the version of the JavaScript translations of the
+   *   language, its plural formula, and the translations of each library,
+   *   keyed by context and source string.
+   *
+   * @throws \Symfony\Component\HttpKernel\Exception\NotFoundHttpException
+   *   Thrown when the language or a library doesn't exist.
+   */
+  public function translations($langcode, Request $request) {
+    if (!$this->languageManager->getLanguage($langcode)) {
+      throw new NotFoundHttpException();
+    }
+
+    $libraries = array_values(array_unique(array_filter(explode(',', $request->query->get('libraries', '')))));
+    foreach ($libraries as $name) {
+      list($extension, $library_name) = explode('/', $name, 2) + [1 => ''];
+      if (!$this->libraryDiscovery->getLibraryByName($extension, $library_name)) {
+        throw new NotFoundHttpException();
+      }
+    }
+
+    // Empty translations are encoded as objects like the others.
+    $translations = array_map(function ($library_translations) {
+      return (object) $library_translations;
+    }, locale_js_library_translations($libraries, $langcode));
+
+    $hashes = $this->state->get('locale.translation.javascript') ?: [];
+    $response = new CacheableJsonResponse([
+      'langcode' => $langcode,
+      'hash' => isset($hashes[$langcode]) ? (string) $hashes[$langcode] : '',
+      'pluralFormula' => $this->pluralFormula->getFormula($langcode) ?: NULL,
+      'libraries' => (object) $translations,
+    ]);
+    // The translations change when strings are translated or libraries are
+    // altered.
+    $cacheability = (new CacheableMetadata())
+      ->setCacheTags(['locale', 'library_info'])
+      ->setCacheContexts(['url.query_args:libraries']);
+    return $response->addCacheableDependency($cacheability);
+  }
+
+}
@@ -2,7 +2,9 @@
 
 namespace Drupal\Tests\locale\Functional;
 
+use Drupal\Component\Serialization\Json;
 use Drupal\Core\Language\LanguageInterface;
+use Drupal\language\Entity\ConfigurableLanguage;
 use Drupal\Tests\BrowserTestBase;
 use Drupal\Component\Utility\SafeMarkup;
 
@@ -91,7 +93,7 @@ public function testFileParsing() {
   }
 
   /**
-   * Assert translations JS is added before drupal.js, because it depends on it.
+   * Asserts the translations of the page libraries are added to the settings.
    */
   public function testLocaleTranslationJsDependencies() {
     // User to add and remove language.
@@ -131,16 +133,61 @@ public function testLocaleTranslationJsDependencies() {
     $string = $strings[0];
 
     $this->drupalPostForm(NULL, ['string' => 'Show description'], t('Filter'));
-    $edit = ['strings[' . $string->lid . '][translations][0]' => $this->randomString(16)];
+    $translation = $this->randomString(16);
+    $edit = ['strings[' . $string->lid . '][translations][0]' => $translation];
     $this->drupalPostForm(NULL, $edit, t('Save translations'));
 
-    // Calculate the filename of the JS including the translations.
+    $settings = $this->getDrupalSettings();
+    $this->assertEquals($prefix, $settings['locale']['langcode']);
+    $this->assertEquals($translation, $settings['locale']['strings']['']['Show description']);
+
+    // The translation file of all the strings is not added to the page.
     $js_translation_files = \Drupal::state()->get('locale.translation.javascript');
     $js_filename = $prefix . '_' . $js_translation_files[$prefix] . '.js';
-
+    $this->assertSession()->responseNotContains($js_filename);
     $content = $this->getSession()->getPage()->getContent();
-    // Assert translations JS is included before drupal.js.
-    $this->assertTrue(strpos($content, $js_filename) < strpos($content, 'core/misc/drupal.js'), 'Translations are included before Drupal.t.');
+    $this->assertTrue(strpos($content, 'core/modules/locale/locale.translation.js') > strpos($content, 'core/misc/drupal.js'), 'The translations are added after Drupal.t is defined.');
+
+    // Pages without the library don't hold its translations.
+    $this->drupalGet($prefix . '/user/' . $admin_user->id());
+    $settings = $this->getDrupalSettings();
+    $this->assertFalse(isset($settings['locale']['strings']['']['Show description']));
+  }
+
+  /**
+   * Tests loading the JavaScript translations of libraries.
+   */
+  public function testJavascriptTranslationsRoute() {
+    ConfigurableLanguage::createFromLangcode('es')->save();
+
+    // Translate a string of locale.admin.js.
+    _locale_parse_js_file('core/modules/locale/locale.admin.js');
+    $storage = \Drupal::service('locale.storage');
+    $string = $storage->findString(['source' => 'Show description', 'context' => '']);
+    $storage->createTranslation([
+      'lid' => $string->lid,
+      'language' => 'es',
+      'translation' => 'Mostrar descripción',
+    ])->save();
+
+    $this->drupalGet('locale/javascript/es', ['query' => ['libraries' => 'locale/drupal.locale.admin,core/drupal.debounce']]);
+    $this->assertSession()->statusCodeEquals(200);
+    $response = Json::decode($this->getSession()->getPage()->getContent());
+    $this->assertEquals('es', $response['langcode']);
+    $this->assertEquals('Mostrar descripción', $response['libraries']['locale/drupal.locale.admin']['']['Show description']);
+    $this->assertSame([], $response['libraries']['core/drupal.debounce']);
+
+    // Files are not parsed for strings by the route.
+    $this->drupalGet('locale/javascript/es', ['query' => ['libraries' => 'core/drupal.dialog']]);
+    $this->assertSession()->statusCodeEquals(200);
+    \Drupal::state()->resetCache();
+    $this->assertNotContains('core/misc/dialog/dialog.js', \Drupal::state()->get('system.javascript_parsed') ?: []);
+
+    // Unknown languages and libraries are not found.
+    $this->drupalGet('locale/javascript/xx', ['query' => ['libraries' => 'core/drupal']]);
+    $this->assertSession()->statusCodeEquals(404);
+    $this->drupalGet('locale/javascript/es', ['query' => ['libraries' => 'core/nonexistent']]);
+    $this->assertSession()->statusCodeEquals(404);
   }
 
 }
@@ -101,6 +101,7 @@ public function form(array $form, FormStateInterface $form_state) {
       '#description' => $this->t('A unique name to construct the URL for the menu. It must only contain lowercase letters, numbers and hyphens.'),
       '#machine_name' => [
         'exists' => [$this, 'menuNameExists'],
+        'check' => '\Drupal\system\Entity\Menu::load',
         'source' => ['label'],
         'replace_pattern' => '[^a-z0-9-]+',
         'replace' => '-',
@@ -97,6 +97,14 @@ public function form(array $form, FormStateInterface $form_state) {
 
     $form = parent::form($form, $form_state);
 
+    // Keep drafts of long edits in the browser. The changed time of existing
+    // nodes tells the drafts apart from the edits saved in the meantime, new
+    // nodes have none yet.
+    $form['#autosave'] = TRUE;
+    if (!$node->isNew()) {
+      $form['#autosave_revision'] = $node->getChangedTime();
+    }
+
     $form['advanced']['#attributes']['class'][] = 'entity-meta';
 
     // Node author information for administrators.
@@ -3,6 +3,7 @@
 namespace Drupal\Tests\node\Functional;
 
 use Drupal\Core\Database\Database;
+use Drupal\Core\Entity\EntityAutocompleteMatcher;
 use Drupal\Core\Language\LanguageInterface;
 use Drupal\node\Entity\Node;
 
@@ -173,6 +174,9 @@ public function testAuthorAutocomplete() {
 
     $result = $this->xpath('//input[@id="edit-uid-0-target-id" and contains(@data-autocomplete-path, "/entity_reference_autocomplete/user/default")]');
     $this->assertEqual(count($result), 1, 'Ensure that the user does have access to the autocompletion');
+    // Matches containing the search string are filtered in the browser up to
+    // the limit of the matcher.
+    $this->assertEqual($result[0]->getAttribute('data-autocomplete-filter-limit'), EntityAutocompleteMatcher::LIMIT);
   }
 
   /**
@@ -2,12 +2,16 @@
 
 namespace Drupal\system\Controller;
 
+use Drupal\Core\Controller\ControllerBase;
 use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpKernel\Exception\AccessDeniedHttpException;
+use Symfony\Component\HttpKernel\Exception\BadRequestHttpException;
 
 /**
- * Provides a callback for finding out a timezone name.
+ * Provides callbacks for finding out a timezone name and setting the user's.
  */
-class TimezoneController {
+class TimezoneController extends ControllerBase {
 
   /**
    * Retrieve a JSON object containing a time zone name given a timezone
@@ -35,4 +39,33 @@ public function getTimezone($abbreviation = '', $offset = -1, $is_daylight_savin
     return new JsonResponse($timezone);
   }
 
+  /**
+   * Sets the time zone of the current user.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request, with the time zone name in the 'timezone' parameter.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The time zone name in JsonResponse object.
+   *
+   * @throws \Symfony\Component\HttpKernel\Exception\AccessDeniedHttpException
+   *   Thrown when users cannot set their time zone.
+   * @throws \Symfony\Component\HttpKernel\Exception\BadRequestHttpException
+   *   Thrown when the time zone doesn't exist.
+   */
+  public function setUserTimezone(Request $request) {
+    if (!$this->config('system.date')->get('timezone.user.configurable')) {
+      throw new AccessDeniedHttpException();
+    }
+    $timezone = $request->request->get('timezone');
+    if (!in_array($timezone, timezone_identifiers_list(), TRUE)) {
+      throw new BadRequestHttpException();
+    }
+
+    $account = $this->entityTypeManager()->getStorage('user')->load($this->currentUser()->id());
+    $account->set('timezone', $timezone);
+    $account->save();
+    return new JsonResponse($timezone);
+  }
+
 }
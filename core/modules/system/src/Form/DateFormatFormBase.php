@@ -91,6 +91,7 @@ public function form(array $form, FormStateInterface $form_state) {
       '#default_value' => $this->entity->id(),
       '#machine_name' => [
         'exists' => [$this, 'exists'],
+        'check' => '\Drupal\Core\Datetime\Entity\DateFormat::load',
         'replace_pattern' => '([^a-z0-9_]+)|(^custom$)',
         'error' => $this->t('The machine-readable name must be unique, and can only contain lowercase letters, numbers, and underscores. Additionally, it can not be the reserved word "custom".'),
       ],
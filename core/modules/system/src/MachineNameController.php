@@ -5,6 +5,7 @@
 use Drupal\Component\Transliteration\TransliterationInterface;
 use Drupal\Component\Utility\Unicode;
 use Drupal\Core\Access\CsrfTokenGenerator;
+use Drupal\Core\DependencyInjection\ClassResolverInterface;
 use Drupal\Core\DependencyInjection\ContainerInjectionInterface;
 use Symfony\Component\HttpFoundation\JsonResponse;
 use Symfony\Component\HttpFoundation\Request;
@@ -12,7 +13,7 @@
 use Symfony\Component\DependencyInjection\ContainerInterface;
 
 /**
- * Controller routines for machine name transliteration routes.
+ * Controller routines for machine name transliteration and existence routes.
  */
 class MachineNameController implements ContainerInjectionInterface {
 
@@ -30,6 +31,13 @@ class MachineNameController implements ContainerInjectionInterface {
    */
   protected $tokenGenerator;
 
+  /**
+   * The class resolver.
+   *
+   * @var \Drupal\Core\DependencyInjection\ClassResolverInterface
+   */
+  protected $classResolver;
+
   /**
    * Constructs a MachineNameController object.
    *
@@ -37,10 +45,13 @@ class MachineNameController implements ContainerInjectionInterface {
    *   The transliteration helper.
    * @param \Drupal\Core\Access\CsrfTokenGenerator $token_generator
    *   The token generator.
+   * @param \Drupal\Core\DependencyInjection\ClassResolverInterface $class_resolver
+   *   The class resolver.
    */
-  public function __construct(TransliterationInterface $transliteration, CsrfTokenGenerator $token_generator) {
+  public function __construct(TransliterationInterface $transliteration, CsrfTokenGenerator $token_generator, ClassResolverInterface $class_resolver) {
     $this->transliteration = $transliteration;
     $this->tokenGenerator = $token_generator;
+    $this->classResolver = $class_resolver;
   }
 
   /**
@@ -49,7 +60,8 @@ public function __construct(TransliterationInterface $transliteration, CsrfToken
   public static function create(ContainerInterface $container) {
     return new static(
       $container->get('transliteration'),
-      $container->get('csrf_token')
+      $container->get('csrf_token'),
+      $container->get('class_resolver')
     );
   }
 
@@ -91,4 +103,97 @@ public function transliterate(Request $request) {
     return new JsonResponse($transliterated);
   }
 
+  /**
+   * Checks whether a machine name already exists, and suggests another one.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request, with the following query parameters:
+   *   - name: The machine name.
+   *   - exists: The callable checking the machine name, a static method, such
+   *     as an entity 'load' method, or a service method, as
+   *     'service_id:method'.
+   *   - prefix: (optional) The text prepended to the machine name passed to
+   *     the callable, such as the #field_prefix of the element.
+   *   - exists_token: A token to validate the callable and the prefix.
+   *   - replace: The character joining the machine name and the number of
+   *     suggestions.
+   *   - maxlength: (optional) The maximum length of the machine name.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   An object with 'exists', whether the machine name exists, and
+   *   'suggestion', the first machine name ending with a number that doesn't,
+   *   if any.
+   */
+  public function exists(Request $request) {
+    $name = (string) $request->query->get('name');
+    $exists = $request->query->get('exists');
+    $prefix = (string) $request->query->get('prefix', '');
+    $exists_token = $request->query->get('exists_token');
+    $replace = (string) $request->query->get('replace', '_');
+    $maxlength = (int) $request->query->get('maxlength', 64);
+
+    if (!isset($exists) || !isset($exists_token)) {
+      throw new AccessDeniedHttpException("Missing 'exists' or 'exists_token' query parameter.");
+    }
+    elseif (!$this->tokenGenerator->validate($exists_token, $exists . '|' . $prefix)) {
+      throw new AccessDeniedHttpException("Invalid 'exists_token' query parameter.");
+    }
+    elseif (!($callable = $this->getCallable($exists))) {
+      throw new AccessDeniedHttpException("The 'exists' query parameter is not a static or service method.");
+    }
+
+    $check = function ($name) use ($callable, $prefix) {
+      return (bool) call_user_func($callable, $prefix . $name);
+    };
+    $result = [
+      'exists' => $name !== '' && $check($name),
+      'suggestion' => NULL,
+    ];
+    // Suggest the machine name followed by the lowest available number.
+    for ($number = 2; $result['exists'] && $number < 100; $number++) {
+      $suffix = $replace . $number;
+      $suggestion = Unicode::substr($name, 0, $maxlength - Unicode::strlen($suffix)) . $suffix;
+      if (!$check($suggestion)) {
+        $result['suggestion'] = $suggestion;
+        break;
+      }
+    }
+    return new JsonResponse($result);
+  }
+
+  /**
+   * Gets the callable checking whether machine names exist.
+   *
+   * Static methods are called without instantiating their class, unlike the
+   * controller resolver does, so that entity 'load' methods can be used.
+   *
+   * @param string $exists
+   *   The static method, as 'Class::method', or the service method, as
+   *   'service_id:method'.
+   *
+   * @return callable|null
+   *   The callable, NULL if the method doesn't exist.
+   */
+  protected function getCallable($exists) {
+    if (strpos($exists, '::') !== FALSE) {
+      list($class, $method) = explode('::', $exists, 2);
+      if (class_exists($class) && method_exists($class, $method) && (new \ReflectionMethod($class, $method))->isStatic()) {
+        return [$class, $method];
+      }
+    }
+    elseif (substr_count($exists, ':') == 1) {
+      list($service, $method) = explode(':', $exists);
+      try {
+        $instance = $this->classResolver->getInstanceFromDefinition($service);
+      }
+      catch (\InvalidArgumentException $e) {
+        return NULL;
+      }
+      if (is_callable([$instance, $method])) {
+        return [$instance, $method];
+      }
+    }
+    return NULL;
+  }
+
 }
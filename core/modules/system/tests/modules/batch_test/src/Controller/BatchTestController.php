@@ -36,6 +36,19 @@ public function testLargePercentage() {
     return batch_process('batch-test/redirect');
   }
 
+  /**
+   * Fires a batch process whose operations report errors.
+   *
+   * @return \Symfony\Component\HttpFoundation\RedirectResponse|null
+   *   A redirect response if the batch is progressive. No return value otherwise.
+   */
+  public function testErrors() {
+    batch_test_stack(NULL, TRUE);
+
+    batch_set(_batch_test_batch_6());
+    return batch_process('batch-test/redirect');
+  }
+
   /**
    * Submits a form within a batch programmatically.
    *
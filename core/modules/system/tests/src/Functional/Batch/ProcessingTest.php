@@ -175,6 +175,19 @@ public function testBatchLargePercentage() {
     $this->assertText('Redirection successful.', 'Redirection after batch execution is correct.');
   }
 
+  /**
+   * Tests the errors reported by batch operations.
+   */
+  public function testBatchErrors() {
+    // Displaying the page triggers batch 6.
+    $this->drupalGet('batch-test/errors');
+    $this->assertBatchMessages($this->_resultMessages('batch_6'), 'Batch reporting errors performed successfully.');
+    $this->assertEqual(batch_test_stack(), $this->_resultStack('batch_6'), 'Operations kept running after reporting errors.');
+    $this->assertText('Operation 2 (Processing item 2): Item 2 failed.');
+    $this->assertText('Operation 4 (Processing item 4): Item 4 failed.');
+    $this->assertNoText('Item 1 failed.');
+    $this->assertText('Redirection successful.', 'Redirection after batch execution is correct.');
+  }
 
   /**
    * Triggers a pass if the texts were found in order in the raw content.
@@ -242,6 +255,12 @@ public function _resultStack($id, $value = 0) {
         }
         break;
 
+      case 'batch_6':
+        for ($i = 1; $i <= 4; $i++) {
+          $stack[] = "op 6 id $i";
+        }
+        break;
+
       case 'chained':
         $stack[] = 'submit handler 1';
         $stack[] = 'value = ' . $value;
@@ -291,6 +310,10 @@ public function _resultMessages($id) {
         $messages[] = 'results for batch 5<div class="item-list"><ul><li>op 5: processed 10 elements</li></ul></div>';
         break;
 
+      case 'batch_6':
+        $messages[] = 'results for batch 6<div class="item-list"><ul><li>op 6: processed 4 elements</li></ul></div>';
+        break;
+
       case 'chained':
         $messages = array_merge($messages, $this->_resultMessages('batch_1'));
         $messages = array_merge($messages, $this->_resultMessages('batch_2'));
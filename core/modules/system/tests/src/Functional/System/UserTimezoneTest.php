@@ -0,0 +1,75 @@
+<?php
+
+namespace Drupal\Tests\system\Functional\System;
+
+use Drupal\Core\Url;
+use Drupal\Tests\BrowserTestBase;
+use Drupal\user\Entity\User;
+use GuzzleHttp\Cookie\CookieJar;
+
+/**
+ * Tests offering users to update their time zone to the browser's.
+ *
+ * @group system
+ */
+class UserTimezoneTest extends BrowserTestBase {
+
+  /**
+   * Tests the time zone settings and the route updating the time zone.
+   */
+  public function testUserTimezone() {
+    $user = $this->drupalCreateUser();
+    $user->set('timezone', 'Europe/Paris')->save();
+
+    // Anonymous users are not offered to update their time zone.
+    $this->drupalGet('user/login');
+    $settings = $this->getDrupalSettings();
+    $this->assertFalse(isset($settings['timezone']));
+
+    $this->drupalLogin($user);
+    $settings = $this->getDrupalSettings();
+    $this->assertEquals('Europe/Paris', $settings['timezone']['user']);
+    // The time zones are validated when saved, rather than sent to the
+    // browser.
+    $this->assertFalse(isset($settings['timezone']['zones']));
+
+    $csrf_token = $this->drupalGet('session/token');
+    $url = Url::fromRoute('system.user_timezone')->setAbsolute(TRUE)->toString();
+    $session_id = $this->getSession()->getCookie($this->getSessionName());
+    $post_options = [
+      'cookies' => CookieJar::fromArray([$this->getSessionName() => $session_id], parse_url($url, PHP_URL_HOST)),
+      'headers' => ['X-CSRF-Token' => $csrf_token],
+      'http_errors' => FALSE,
+    ];
+    $client = \Drupal::httpClient();
+
+    // Unknown time zones are rejected.
+    $result = $client->post($url, $post_options + ['form_params' => ['timezone' => 'Mars/Olympus_Mons']]);
+    $this->assertEquals(400, $result->getStatusCode());
+
+    $result = $client->post($url, $post_options + ['form_params' => ['timezone' => 'America/New_York']]);
+    $this->assertEquals(200, $result->getStatusCode());
+    \Drupal::entityTypeManager()->getStorage('user')->resetCache([$user->id()]);
+    $this->assertEquals('America/New_York', User::load($user->id())->getTimeZone());
+
+    // The time zone of the user profile is passed on as stored.
+    $this->config('system.date')->set('timezone.user.default', DRUPAL_USER_TIMEZONE_EMPTY)->save();
+    $user = User::load($user->id());
+    $user->set('timezone', NULL)->save();
+    $this->drupalGet('<front>');
+    $settings = $this->getDrupalSettings();
+    $this->assertNull($settings['timezone']['user']);
+
+    // The time zone cannot be set without the CSRF token.
+    unset($post_options['headers']['X-CSRF-Token']);
+    $result = $client->post($url, $post_options + ['form_params' => ['timezone' => 'Europe/Paris']]);
+    $this->assertEquals(403, $result->getStatusCode());
+
+    // Nor when users cannot configure their time zone.
+    $this->config('system.date')->set('timezone.user.configurable', FALSE)->save();
+    $this->drupalGet('<front>');
+    $settings = $this->getDrupalSettings();
+    $this->assertFalse(isset($settings['timezone']));
+  }
+
+}
@@ -3,6 +3,8 @@
 namespace Drupal\Tests\system\Unit\Transliteration;
 
 use Drupal\Core\Access\CsrfTokenGenerator;
+use Drupal\Core\DependencyInjection\ClassResolverInterface;
+use Drupal\Core\Entity\Entity;
 use Drupal\Tests\UnitTestCase;
 use Drupal\Component\Transliteration\PhpTransliteration;
 use Drupal\system\MachineNameController;
@@ -11,7 +13,7 @@
 use Symfony\Component\HttpKernel\Exception\AccessDeniedHttpException;
 
 /**
- * Tests that the machine name controller can transliterate strings as expected.
+ * Tests the transliteration and existence checks of the machine name controller.
  *
  * @group system
  */
@@ -39,7 +41,11 @@ protected function setUp() {
       return $args[0] === 'token-' . $args[1];
     });
 
-    $this->machineNameController = new MachineNameController(new PhpTransliteration(), $this->tokenGenerator->reveal());
+    $class_resolver = $this->prophesize(ClassResolverInterface::class);
+    $class_resolver->getInstanceFromDefinition('machine_name_test.checker')->willReturn(new MachineNameTestChecker());
+    $class_resolver->getInstanceFromDefinition(Argument::not('machine_name_test.checker'))->willThrow(\InvalidArgumentException::class);
+
+    $this->machineNameController = new MachineNameController(new PhpTransliteration(), $this->tokenGenerator->reveal(), $class_resolver->reveal());
   }
 
   /**
@@ -117,4 +123,143 @@ public function testMachineNameControllerWithMissingToken() {
     $this->machineNameController->transliterate($request);
   }
 
+  /**
+   * Data provider for testMachineNameExists().
+   *
+   * @return array
+   *   An array containing:
+   *     - The callable checking the machine name.
+   *     - The prefix of the machine name.
+   *     - The machine name.
+   *     - The maximum length of the machine name.
+   *     - The expected content of the JSON response.
+   */
+  public function providerTestMachineNameExists() {
+    $exists = [
+      MachineNameTestEntity::class . '::load',
+      'machine_name_test.checker:exists',
+    ];
+    $data = [];
+    foreach ($exists as $callable) {
+      $data[] = [$callable, '', 'free', 64, ['exists' => FALSE, 'suggestion' => NULL]];
+      $data[] = [$callable, '', 'taken', 64, ['exists' => TRUE, 'suggestion' => 'taken_3']];
+      $data[] = [$callable, '', 'taken', 6, ['exists' => TRUE, 'suggestion' => 'take_3']];
+      $data[] = [$callable, '', '', 64, ['exists' => FALSE, 'suggestion' => NULL]];
+      // The prefix is prepended to the checked machine names.
+      $data[] = [$callable, 'tak', 'en', 64, ['exists' => TRUE, 'suggestion' => 'en_3']];
+      $data[] = [$callable, 'tak', 'taken', 64, ['exists' => FALSE, 'suggestion' => NULL]];
+    }
+    return $data;
+  }
+
+  /**
+   * Tests the machine name existence check.
+   *
+   * @param string $exists
+   *   The callable checking the machine name.
+   * @param string $prefix
+   *   The prefix of the machine name.
+   * @param string $name
+   *   The machine name.
+   * @param int $maxlength
+   *   The maximum length of the machine name.
+   * @param array $expected
+   *   The expected content of the JSON response.
+   *
+   * @see \Drupal\system\MachineNameController::exists()
+   *
+   * @dataProvider providerTestMachineNameExists
+   */
+  public function testMachineNameExists($exists, $prefix, $name, $maxlength, array $expected) {
+    $request = Request::create('', 'GET', ['name' => $name, 'exists' => $exists, 'prefix' => $prefix, 'exists_token' => 'token-' . $exists . '|' . $prefix, 'replace' => '_', 'maxlength' => $maxlength]);
+    $json = $this->machineNameController->exists($request);
+    $this->assertSame($expected, json_decode($json->getContent(), TRUE));
+  }
+
+  /**
+   * Tests the existence check with an invalid token.
+   */
+  public function testMachineNameExistsWithInvalidToken() {
+    $request = Request::create('', 'GET', ['name' => 'taken', 'exists' => 'file_exists', 'exists_token' => 'invalid']);
+
+    $this->setExpectedException(AccessDeniedHttpException::class, "Invalid 'exists_token' query parameter.");
+    $this->machineNameController->exists($request);
+  }
+
+  /**
+   * Tests the existence check with a prefix not matching the token.
+   */
+  public function testMachineNameExistsWithInvalidPrefix() {
+    $exists = MachineNameTestEntity::class . '::load';
+    $request = Request::create('', 'GET', ['name' => 'en', 'exists' => $exists, 'prefix' => 'tak', 'exists_token' => 'token-' . $exists . '|']);
+
+    $this->setExpectedException(AccessDeniedHttpException::class, "Invalid 'exists_token' query parameter.");
+    $this->machineNameController->exists($request);
+  }
+
+  /**
+   * Data provider for testMachineNameExistsWithoutMethod().
+   *
+   * @return array
+   *   An array of callables which are neither static nor service methods.
+   */
+  public function providerTestMachineNameExistsWithoutMethod() {
+    return [
+      ['file_exists'],
+      [MachineNameTestEntity::class . '::id'],
+      [MachineNameTestEntity::class . '::missing'],
+      ['machine_name_test.missing:exists'],
+      ['machine_name_test.checker:missing'],
+    ];
+  }
+
+  /**
+   * Tests the existence check with a callable which is not a method.
+   *
+   * @param string $exists
+   *   The callable checking the machine name.
+   *
+   * @dataProvider providerTestMachineNameExistsWithoutMethod
+   */
+  public function testMachineNameExistsWithoutMethod($exists) {
+    $request = Request::create('', 'GET', ['name' => 'taken', 'exists' => $exists, 'exists_token' => 'token-' . $exists . '|']);
+
+    $this->setExpectedException(AccessDeniedHttpException::class, "The 'exists' query parameter is not a static or service method.");
+    $this->machineNameController->exists($request);
+  }
+
+}
+
+/**
+ * An entity whose machine names are checked by the machine name controller.
+ */
+class MachineNameTestEntity extends Entity {
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function load($id) {
+    return in_array($id, ['taken', 'taken_2', 'take_2'], TRUE) ? new static([], 'machine_name_test') : NULL;
+  }
+
+}
+
+/**
+ * A service whose method checks machine names for the machine name controller.
+ */
+class MachineNameTestChecker {
+
+  /**
+   * Checks whether a machine name exists.
+   *
+   * @param string $name
+   *   The machine name.
+   *
+   * @return bool
+   *   Whether the machine name exists.
+   */
+  public function exists($name) {
+    return in_array($name, ['taken', 'taken_2', 'take_2'], TRUE);
+  }
+
 }
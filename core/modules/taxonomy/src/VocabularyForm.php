@@ -65,6 +65,7 @@ public function form(array $form, FormStateInterface $form_state) {
       '#maxlength' => EntityTypeInterface::BUNDLE_MAX_LENGTH,
       '#machine_name' => [
         'exists' => [$this, 'exists'],
+        'check' => '\Drupal\taxonomy\Entity\Vocabulary::load',
         'source' => ['name'],
       ],
     ];
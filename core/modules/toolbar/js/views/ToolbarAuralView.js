@@ -39,7 +39,7 @@
     onOrientationChange: function (model, orientation) {
       Drupal.announce(Drupal.t('Tray orientation changed to @orientation.', {
         '@orientation': orientation
-      }));
+      }), 'polite', 'toolbar');
     },
 
     /**
@@ -63,7 +63,7 @@
       else {
         text = Drupal.t('Tray @action.', {'@action': action});
       }
-      Drupal.announce(text);
+      Drupal.announce(text, 'polite', 'toolbar');
     }
   });
 
@@ -183,7 +183,7 @@
    * @param {string} response.selector
    *   Selector to use.
    */
-  Drupal.AjaxCommands.prototype.viewsScrollTop = function (ajax, response) {
+  Drupal.AjaxCommands.register('viewsScrollTop', function (ajax, response) {
     // Scroll to the top of the view. This will allow users
     // to browse newly loaded content after e.g. clicking a pager
     // link.
@@ -200,6 +200,8 @@
     if (offset.top - 10 < $(scrollTarget).scrollTop()) {
       $(scrollTarget).animate({scrollTop: (offset.top - 10)}, 500);
     }
-  };
+  }, {
+    selector: {type: 'string', required: true}
+  });
 
 })(jQuery, Drupal, drupalSettings);
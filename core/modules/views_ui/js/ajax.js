@@ -19,10 +19,12 @@
    * @param {number} [status]
    *   The HTTP status code.
    */
-  Drupal.AjaxCommands.prototype.viewsHighlight = function (ajax, response, status) {
+  Drupal.AjaxCommands.register('viewsHighlight', function (ajax, response, status) {
     $('.hilited').removeClass('hilited');
     $(response.selector).addClass('hilited');
-  };
+  }, {
+    selector: {type: 'string', required: true}
+  });
 
   /**
    * Ajax command to set the form submit action in the views modal edit form.
@@ -34,7 +36,7 @@
    * @param {string} [status]
    *   The XHR status code?
    */
-  Drupal.AjaxCommands.prototype.viewsSetForm = function (ajax, response, status) {
+  Drupal.AjaxCommands.register('viewsSetForm', function (ajax, response, status) {
     var $form = $('.js-views-ui-dialog form');
     // Identify the button that was clicked so that .ajaxSubmit() can use it.
     // We need to do this for both .click() and .mousedown() since JavaScript
@@ -54,7 +56,9 @@
       var ajaxForm = Drupal.ajax(element_settings);
       ajaxForm.$form = $form;
     });
-  };
+  }, {
+    url: {type: 'string', required: true}
+  });
 
   /**
    * Ajax command to show certain buttons in the views edit form.
@@ -68,12 +72,14 @@
    * @param {number} [status]
    *   The HTTP status code.
    */
-  Drupal.AjaxCommands.prototype.viewsShowButtons = function (ajax, response, status) {
+  Drupal.AjaxCommands.register('viewsShowButtons', function (ajax, response, status) {
     $('div.views-edit-view div.form-actions').removeClass('js-hide');
     if (response.changed) {
       $('div.views-edit-view div.view-changed.messages').removeClass('js-hide');
     }
-  };
+  }, {
+    changed: {type: 'boolean'}
+  });
 
   /**
    * Ajax command for triggering preview.
@@ -85,11 +91,11 @@
    * @param {number} [status]
    *   The HTTP status code.
    */
-  Drupal.AjaxCommands.prototype.viewsTriggerPreview = function (ajax, response, status) {
+  Drupal.AjaxCommands.register('viewsTriggerPreview', function (ajax, response, status) {
     if ($('input#edit-displays-live-preview').is(':checked')) {
       $('#preview-submit').trigger('click');
     }
-  };
+  });
 
   /**
    * Ajax command to replace the title of a page.
@@ -105,7 +111,7 @@
    * @param {number} [status]
    *   The HTTP status code.
    */
-  Drupal.AjaxCommands.prototype.viewsReplaceTitle = function (ajax, response, status) {
+  Drupal.AjaxCommands.register('viewsReplaceTitle', function (ajax, response, status) {
     var doc = document;
     // For the <title> element, make a best-effort attempt to replace the page
     // title and leave the site name alone. If the theme doesn't use the site
@@ -118,7 +124,10 @@
     doc.title = oldTitle.replace(re, response.title + ' $1 ' + response.siteName);
 
     $('h1.page-title').text(response.title);
-  };
+  }, {
+    siteName: {type: 'string', required: true},
+    title: {type: 'string', required: true}
+  });
 
   /**
    * Get rid of irritating tabledrag messages.
@@ -72,6 +72,7 @@ public function form(array $form, FormStateInterface $form_state) {
       '#maxlength' => 128,
       '#machine_name' => [
         'exists' => '\Drupal\views\Views::getView',
+        'check' => '\Drupal\views\Views::getView',
         'source' => ['name', 'label'],
       ],
       '#description' => $this->t('A unique machine-readable name for this View. It must only contain lowercase letters, numbers, and underscores.'),
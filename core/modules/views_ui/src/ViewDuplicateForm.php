@@ -37,6 +37,7 @@ public function form(array $form, FormStateInterface $form_state) {
       '#maxlength' => 128,
       '#machine_name' => [
         'exists' => '\Drupal\views\Views::getView',
+        'check' => '\Drupal\views\Views::getView',
         'source' => ['label'],
       ],
       '#default_value' => '',
@@ -71,10 +71,7 @@ class ResolvedLibraryDefinitionsFilesMatchTest extends KernelTestBase {
    *
    * @var string[]
    */
-  protected $librariesToSkip = [
-    // Locale has a "dummy" library that does not actually exist.
-    'locale/translations',
-  ];
+  protected $librariesToSkip = [];
 
   /**
    * A list of all paths that have been checked.
@@ -98,6 +98,31 @@ public function testEntityReferenceAutocompletion() {
     $this->assertIdentical(reset($data), $target, 'Autocomplete returns an entity label containing a comma and a slash.');
   }
 
+  /**
+   * Tests that matches from several bundles are grouped by bundle.
+   */
+  public function testGroupedMatches() {
+    entity_test_create_bundle('second_bundle', 'Second bundle');
+    $storage = $this->container->get('entity_type.manager')->getStorage($this->entityType);
+    $storage->create(['name' => 'grouped first'])->save();
+    $storage->create(['name' => 'grouped second', 'type' => 'second_bundle'])->save();
+
+    $data = $this->getAutocompleteResult('grouped');
+    $groups = [];
+    foreach ($data as $match) {
+      $groups[$match['label']] = $match['group'];
+    }
+    ksort($groups);
+    $this->assertIdentical($groups, [
+      'grouped first' => 'Entity Test Bundle',
+      'grouped second' => 'Second bundle',
+    ]);
+
+    // Matches from a single bundle are not grouped.
+    $data = $this->getAutocompleteResult('grouped second');
+    $this->assertFalse(isset($data[0]['group']));
+  }
+
   /**
    * Tests that missing or invalid selection setting key are handled correctly.
    */
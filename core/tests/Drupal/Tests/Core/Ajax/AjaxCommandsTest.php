@@ -24,6 +24,7 @@
 use Drupal\Core\Ajax\SetDialogOptionCommand;
 use Drupal\Core\Ajax\SetDialogTitleCommand;
 use Drupal\Core\Ajax\RedirectCommand;
+use Drupal\Core\Ajax\UndoableCommand;
 use Drupal\Core\Ajax\UpdateBuildIdCommand;
 
 /**
@@ -446,4 +447,21 @@ public function testUpdateBuildIdCommand() {
     $this->assertEquals($expected, $command->render());
   }
 
+  /**
+   * @covers \Drupal\Core\Ajax\UndoableCommand
+   */
+  public function testUndoableCommand() {
+    $command = new UndoableCommand(new RemoveCommand('#page-title'), '/undo/1', 'Item removed.');
+    $expected = [
+      'command' => 'remove',
+      'selector' => '#page-title',
+      'undoable' => TRUE,
+      'undoUrl' => '/undo/1',
+      'undoMessage' => 'Item removed.',
+    ];
+
+    $this->assertEquals($expected, $command->render());
+    $this->assertInstanceOf('Drupal\Core\Asset\AttachedAssets', $command->getAttachedAssets());
+  }
+
 }
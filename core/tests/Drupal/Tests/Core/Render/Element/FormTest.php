@@ -0,0 +1,101 @@
+<?php
+
+namespace Drupal\Tests\Core\Render\Element;
+
+use Drupal\Core\Path\CurrentPathStack;
+use Drupal\Core\Render\Element\Form;
+use Drupal\Core\Session\AccountInterface;
+use Drupal\Tests\UnitTestCase;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+
+/**
+ * @coversDefaultClass \Drupal\Core\Render\Element\Form
+ * @group Render
+ */
+class FormTest extends UnitTestCase {
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function setUp() {
+    parent::setUp();
+
+    $current_path = $this->prophesize(CurrentPathStack::class);
+    $current_path->getPath()->willReturn('/node/1/edit');
+
+    $current_user = $this->prophesize(AccountInterface::class);
+    $current_user->id()->willReturn(3);
+
+    $container = $this->prophesize(ContainerInterface::class);
+    $container->get('path.current')->willReturn($current_path->reveal());
+    $container->get('current_user')->willReturn($current_user->reveal());
+    \Drupal::setContainer($container->reveal());
+  }
+
+  /**
+   * @covers ::preRenderAutosave
+   * @covers ::getAutosaveKey
+   *
+   * @dataProvider providerTestPreRenderAutosave
+   */
+  public function testPreRenderAutosave($autosave, $expected_key) {
+    $element = [
+      '#form_id' => 'node_article_edit_form',
+      '#autosave' => $autosave,
+    ];
+    $element = Form::preRenderAutosave($element);
+
+    if ($expected_key) {
+      $this->assertSame($expected_key, $element['#attributes']['data-drupal-form-autosave']);
+      $this->assertSame(['core/drupal.form.autosave'], $element['#attached']['library']);
+      $this->assertSame(['user', 'url.path'], $element['#cache']['contexts']);
+    }
+    else {
+      $this->assertArrayNotHasKey('#attributes', $element);
+      $this->assertArrayNotHasKey('#attached', $element);
+    }
+  }
+
+  /**
+   * @covers ::preRenderAutosave
+   */
+  public function testPreRenderAutosaveRevision() {
+    $element = Form::preRenderAutosave([
+      '#form_id' => 'node_article_form',
+      '#autosave' => TRUE,
+    ]);
+    $this->assertArrayNotHasKey('data-drupal-form-autosave-revision', $element['#attributes']);
+
+    $element = Form::preRenderAutosave([
+      '#form_id' => 'node_article_edit_form',
+      '#autosave' => TRUE,
+      '#autosave_revision' => 1500000000,
+    ]);
+    $this->assertSame('1500000000', $element['#attributes']['data-drupal-form-autosave-revision']);
+  }
+
+  /**
+   * Data provider for testPreRenderAutosave().
+   */
+  public function providerTestPreRenderAutosave() {
+    $data = [];
+    $data[] = [FALSE, NULL];
+    $data[] = [TRUE, '3:node_article_edit_form:/node/1/edit'];
+    $data[] = ['node:1', '3:node:1'];
+
+    return $data;
+  }
+
+  /**
+   * @covers ::preRenderClientValidation
+   */
+  public function testPreRenderClientValidation() {
+    $element = Form::preRenderClientValidation(['#client_validation' => FALSE]);
+    $this->assertArrayNotHasKey('#attributes', $element);
+
+    $element = Form::preRenderClientValidation(['#client_validation' => TRUE]);
+    $this->assertSame('true', $element['#attributes']['data-drupal-validate']);
+    $this->assertSame(['core/drupal.form.validation'], $element['#attached']['library']);
+  }
+
+}
@@ -83,6 +83,15 @@
  */
 # $settings['cache']['bins']['dynamic_page_cache'] = 'cache.backend.null';
 
+/**
+ * Enable the #states debugger.
+ *
+ * Adds a panel to the pages using #states, showing the dependency graph of the
+ * elements and the values their states depend on. Rebuild the caches after
+ * changing this setting.
+ */
+# $settings['states_debug'] = TRUE;
+
 /**
  * Allow test modules and themes to be installed.
  *